@@ -0,0 +1,123 @@
+// Benchmarks DomainMatcher against the previous lookup approach
+// (exact Set.has on the hostname plus the isKnownTracker regex list).
+// Usage: node --expose-gc scripts/bench-domain-matcher.js [entries] [lookups]
+import { DomainMatcher } from '../static/lib/domain-matcher.js';
+
+const entryCount = Number(process.argv[2] || 200000);
+const lookupCount = Number(process.argv[3] || 500000);
+
+const trackerPatterns = [
+	/google-analytics/,
+	/googletagmanager/,
+	/doubleclick/,
+	/facebook\.com.*\/tr/,
+	/amazon-adsystem/,
+	/googlesyndication/,
+	/scorecardresearch/,
+	/quantserve/
+];
+
+const tlds = ['com', 'net', 'org', 'io', 'co.uk', 'de', 'biz', 'info'];
+
+function randomLabel(random, length) {
+	let label = '';
+	for (let i = 0; i < length; i++) {
+		label += String.fromCharCode(97 + Math.floor(random() * 26));
+	}
+	return label;
+}
+
+// Small deterministic PRNG so runs are comparable
+function mulberry32(seed) {
+	return () => {
+		seed = (seed + 0x6d2b79f5) | 0;
+		let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+const random = mulberry32(42);
+const domains = Array.from(
+	{ length: entryCount },
+	() =>
+		`${randomLabel(random, 6 + Math.floor(random() * 10))}.${tlds[Math.floor(random() * tlds.length)]}`
+);
+
+// Structures are built from freshly split feed text, as they would be from a download,
+// so the heap numbers include the domain strings each approach keeps alive
+const feedText = domains.join('\n');
+
+// Lookups are mostly misses with subdomains, like real page traffic
+const hostnames = Array.from({ length: lookupCount }, (_, index) => {
+	if (index % 10 === 0) return `cdn.${domains[Math.floor(random() * domains.length)]}`;
+	return `www.${randomLabel(random, 10)}.com`;
+});
+
+function heapUsed() {
+	globalThis.gc?.();
+	return process.memoryUsage().heapUsed;
+}
+
+function measure(name, build, lookup) {
+	const before = heapUsed();
+	let start = performance.now();
+	const structure = build();
+	const buildMs = performance.now() - start;
+	const memoryMb = (heapUsed() - before) / 1024 / 1024;
+
+	let hits = 0;
+	start = performance.now();
+	for (const hostname of hostnames) {
+		if (lookup(structure, hostname)) hits++;
+	}
+	const lookupNs = ((performance.now() - start) * 1e6) / hostnames.length;
+
+	console.log(
+		`${name.padEnd(28)} build ${buildMs.toFixed(0).padStart(6)} ms  ` +
+			`heap ${memoryMb.toFixed(1).padStart(7)} MB  ` +
+			`lookup ${lookupNs.toFixed(0).padStart(6)} ns  hits ${hits}`
+	);
+	return structure;
+}
+
+console.log(`${entryCount} entries, ${lookupCount} lookups (10% subdomains of listed domains)`);
+if (!globalThis.gc) {
+	console.log('Run with --expose-gc for reliable heap numbers');
+}
+
+measure(
+	'Set.has + regex (previous)',
+	() => new Set(feedText.split('\n')),
+	(set, hostname) => set.has(hostname) || trackerPatterns.some((pattern) => pattern.test(hostname))
+);
+
+measure(
+	'Set.has with parent walk',
+	() => new Set(feedText.split('\n')),
+	(set, hostname) => {
+		let domain = hostname;
+		while (domain.includes('.')) {
+			if (set.has(domain)) return true;
+			domain = domain.slice(domain.indexOf('.') + 1);
+		}
+		return false;
+	}
+);
+
+const matcher = measure(
+	'DomainMatcher.match',
+	() => DomainMatcher.fromDomains(feedText.split('\n')),
+	(structure, hostname) => structure.match(hostname) !== null
+);
+
+const start = performance.now();
+const serialized = matcher.serialize();
+const restored = DomainMatcher.deserialize(structuredClone(serialized));
+console.log(
+	`Serialize + structuredClone + deserialize: ${(performance.now() - start).toFixed(0)} ms ` +
+		`(${((serialized.text.length * 2 + serialized.offsets.byteLength + serialized.bits.byteLength) / 1024 / 1024).toFixed(1)} MB)`
+);
+console.log(
+	`Restored matcher answers identically: ${restored.match(hostnames[0]) === matcher.match(hostnames[0])}`
+);
@@ -0,0 +1,22 @@
+// Generates the static declarativeNetRequest rulesets from the bundled threat feeds.
+// Usage: node scripts/build-rulesets.js
+import fs from 'fs-extra';
+import { fileURLToPath } from 'node:url';
+import { BUNDLED_FEEDS } from '../static/lib/feeds/manager.js';
+import { parseFeed } from '../static/lib/feeds/parsers.js';
+import { buildBlockRules } from '../static/lib/rulesets.js';
+
+const staticDir = fileURLToPath(new URL('../static/', import.meta.url));
+
+await fs.ensureDir(`${staticDir}rules`);
+
+for (const feed of BUNDLED_FEEDS) {
+	const text = await fs.readFile(`${staticDir}${feed.url}`, 'utf8');
+	const domains = parseFeed(text, feed.format);
+	const rules = [];
+	for (const domain of domains) {
+		rules.push(...buildBlockRules(rules.length + 1, feed.category, [domain]));
+	}
+	await fs.writeJson(`${staticDir}rules/${feed.category}.json`, rules, { spaces: 2 });
+	console.log(`Wrote ${rules.length} rules from ${feed.url} to rules/${feed.category}.json`);
+}
@@ -0,0 +1,52 @@
+// Local stand-in for a threat-intelligence feed host.
+// Serves static/feeds/ with ETag and Last-Modified support so custom feed URLs
+// (e.g. http://localhost:8787/trackers.txt) can be tried without a real provider.
+// Usage: node scripts/feed-server.js [port]
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const feedsDir = fileURLToPath(new URL('../static/feeds/', import.meta.url));
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+
+const contentTypes = {
+	'.txt': 'text/plain; charset=utf-8',
+	'.csv': 'text/csv; charset=utf-8'
+};
+
+const server = http.createServer(async (request, response) => {
+	const { pathname } = new URL(request.url, `http://localhost:${port}`);
+	const filePath = path.join(feedsDir, path.normalize(pathname).replace(/^(\.\.[/\\])+/, ''));
+
+	if (!filePath.startsWith(feedsDir) || !(await fs.pathExists(filePath))) {
+		response.writeHead(404).end('Not found');
+		console.log(`404 ${pathname}`);
+		return;
+	}
+
+	const [body, stat] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+	const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+	const lastModified = stat.mtime.toUTCString();
+
+	if (request.headers['if-none-match'] === etag) {
+		response.writeHead(304, { ETag: etag, 'Last-Modified': lastModified }).end();
+		console.log(`304 ${pathname}`);
+		return;
+	}
+
+	response
+		.writeHead(200, {
+			'Content-Type': contentTypes[path.extname(filePath)] || 'text/plain; charset=utf-8',
+			'Access-Control-Allow-Origin': '*',
+			ETag: etag,
+			'Last-Modified': lastModified
+		})
+		.end(body);
+	console.log(`200 ${pathname}`);
+});
+
+server.listen(port, () => {
+	console.log(`Serving ${feedsDir} at http://localhost:${port}/`);
+});
@@ -0,0 +1,52 @@
+// Regenerates the embedded confusables table (static/lib/confusables.js) from Unicode TR39's
+// confusables.txt. Only characters whose prototype is plain ASCII hostname text are kept,
+// since lookalike detection compares domain labels against ASCII brand names.
+// Usage: node scripts/update-confusables.js [url-or-path-to-confusables.txt]
+import fs from 'fs-extra';
+import { fileURLToPath } from 'node:url';
+
+const source = process.argv[2] || 'https://www.unicode.org/Public/security/latest/confusables.txt';
+const outputPath = fileURLToPath(new URL('../static/lib/confusables.js', import.meta.url));
+
+const text = /^https?:\/\//.test(source)
+	? await (await fetch(source)).text()
+	: await fs.readFile(source, 'utf8');
+
+const version = text.match(/^#\s*(?:confusables\.txt\s+)?Version:?\s*([\d.]+)/im)?.[1] || 'unknown';
+
+const fromCodePoints = (field) =>
+	field
+		.trim()
+		.split(/\s+/)
+		.map((point) => String.fromCodePoint(parseInt(point, 16)))
+		.join('');
+
+const table = {};
+for (const line of text.split(/\r?\n/)) {
+	const [data] = line.split('#');
+	const fields = data.split(';');
+	if (fields.length < 2) continue;
+
+	const from = fromCodePoints(fields[0]);
+	const prototype = fromCodePoints(fields[1]).toLowerCase();
+	if (
+		[...from].length === 1 &&
+		from.toLowerCase() !== prototype &&
+		/^[a-z0-9-]+$/.test(prototype)
+	) {
+		table[from] = prototype;
+	}
+}
+
+const output = `// Unicode TR39 confusables (https://www.unicode.org/reports/tr39/), reduced to characters
+// that look like ASCII letters, digits or hyphens. Version ${version}.
+// Generated by scripts/update-confusables.js - do not edit by hand.
+// Unicode License: https://www.unicode.org/license.txt
+
+export const CONFUSABLES_VERSION = '${version}';
+
+export const CONFUSABLES = ${JSON.stringify(table)};
+`;
+
+await fs.writeFile(outputPath, output);
+console.log(`Wrote ${Object.keys(table).length} confusables to static/lib/confusables.js`);
@@ -0,0 +1,42 @@
+// Regenerates the embedded Public Suffix List snapshot (static/lib/public-suffix-list.js).
+// Rules are stored in their ASCII (punycode) form, which is what URL.hostname returns.
+// Usage: node scripts/update-psl.js [url-or-path-to-public_suffix_list.dat]
+import fs from 'fs-extra';
+import { domainToASCII } from 'node:url';
+import { fileURLToPath } from 'node:url';
+
+const source = process.argv[2] || 'https://publicsuffix.org/list/public_suffix_list.dat';
+const outputPath = fileURLToPath(new URL('../static/lib/public-suffix-list.js', import.meta.url));
+
+const text = /^https?:\/\//.test(source)
+	? await (await fetch(source)).text()
+	: await fs.readFile(source, 'utf8');
+
+function toASCII(rule) {
+	const prefix = rule.match(/^[!*]\.?/)?.[0] || '';
+	const ascii = domainToASCII(rule.slice(prefix.length));
+	return ascii ? `${prefix}${ascii}` : null;
+}
+
+const rules = [
+	...new Set(
+		text
+			.split(/\r?\n/)
+			.map((line) => line.trim().split(/\s/)[0])
+			.filter((line) => line && !line.startsWith('//'))
+			.map(toASCII)
+			.filter(Boolean)
+	)
+];
+
+const output = `// Public Suffix List snapshot (https://publicsuffix.org/), ICANN and private sections.
+// Generated by scripts/update-psl.js - do not edit by hand.
+// Mozilla Public License 2.0: https://mozilla.org/MPL/2.0/
+
+export const PSL_SNAPSHOT_DATE = '${new Date().toISOString().slice(0, 10)}';
+
+export const PSL_RULES = ${JSON.stringify(rules.join('\n'))};
+`;
+
+await fs.writeFile(outputPath, output);
+console.log(`Wrote ${rules.length} rules to static/lib/public-suffix-list.js`);
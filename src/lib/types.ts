@@ -1,19 +1,36 @@
 // Shared type definitions for WebGuardian extension
+import type { RiskContribution } from '$ext/scoring.js';
+import type { StatsDay } from '$ext/stats.js';
+import type { DetectionRule, RuleMatch } from '$ext/rule-engine.js';
+
+export type { RiskContribution, StatsDay, DetectionRule, RuleMatch };
+
+export type ThreatSource = 'url' | 'network' | 'dom' | 'download';
 
 export interface Threat {
   type: string;
   severity: 'low' | 'medium' | 'high' | 'critical';
   description: string;
+  signal?: string;
+  source?: ThreatSource;
+  selector?: string;
   details?: any;
+  foundAt?: number;
   showDetails?: boolean;
+  // Set on findings of detection rules; user rules also name themselves and their advice
+  rule?: string;
+  title?: string;
+  recommendation?: string;
 }
 
 export interface SecurityData {
   isSecure: boolean;
   riskScore: number;
   threats: Threat[];
+  riskBreakdown: RiskContribution[];
   trackersBlocked: number;
   lastScan: Date | null;
+  posture: SecurityPosture | null;
 }
 
 export interface Settings {
@@ -27,6 +44,10 @@ export interface Settings {
   notificationLevel: 'low' | 'medium' | 'high';
   scanFrequency: 'realtime' | 'periodic' | 'manual';
   whitelistMode: boolean;
+  protectedBrands: string[];
+  riskWeights: Record<string, number>;
+  keepHistory: boolean;
+  clearCookiesOnClose: boolean;
 }
 
 export interface Stats {
@@ -37,14 +58,289 @@ export interface Stats {
   phishingBlocked: number;
 }
 
+export type FeedCategory = 'malicious' | 'phishing' | 'trackers';
+
+export interface FeedInfo {
+  id: string;
+  name: string;
+  category: FeedCategory;
+  format: string;
+  url: string;
+  bundled: boolean;
+  managed: boolean;
+  entryCount: number;
+  version: string | null;
+  lastUpdated: number | null;
+  lastChecked: number | null;
+  error: string | null;
+}
+
+export interface FeedStatusResponse {
+  refreshMinutes: number;
+  feeds: FeedInfo[];
+}
+
+export type SiteListType = 'trusted' | 'blocked' | 'exception';
+
+export type SiteScope = 'exact' | 'wildcard' | 'site';
+
+export interface SiteEntry {
+  id: string;
+  pattern: string;
+  scope: SiteScope;
+  type: SiteListType;
+  detectors: string[];
+  expiresAt: number | null;
+  note: string;
+  addedAt: number;
+  managed?: boolean;
+}
+
+export interface SiteListsResponse {
+  entries: SiteEntry[];
+  detectors: Record<string, string>;
+  error?: string;
+}
+
+export interface AnalysisResult {
+  url: string;
+  domain: string;
+  threats: Threat[];
+  riskScore: number;
+  riskBreakdown?: RiskContribution[];
+  trackersBlocked: number;
+  timestamp: number;
+  isSecure: boolean;
+  siteStatus?: SiteListType | null;
+  reputation?: DomainReputation | null;
+  historyId?: number | null;
+  // Redirects that led to the page, ending with the page itself
+  redirectChain?: RedirectHop[];
+  posture?: SecurityPosture;
+}
+
+export interface RedirectHop {
+  url: string;
+  domain: string;
+  kind: 'start' | 'server' | 'client';
+  statusCode: number | null;
+  riskScore: number | null;
+}
+
+export interface DomainReputation {
+  domain: string;
+  firstSeen: number;
+  lastSeen: number;
+  visits: number;
+  worstScore: number;
+  worstSeen: number | null;
+}
+
+export interface HistoryEntry {
+  id: number;
+  url: string;
+  domain: string;
+  timestamp: number;
+  riskScore: number;
+  riskBreakdown: RiskContribution[];
+  threats: Threat[];
+  siteStatus: SiteListType | null;
+}
+
+export interface HistoryQuery {
+  search?: string;
+  severity?: Threat['severity'] | '';
+  type?: string;
+  before?: number | null;
+  limit?: number;
+}
+
+export interface HistoryPage {
+  entries: HistoryEntry[];
+  nextBefore: number | null;
+}
+
+export interface HistoryEntryDetails {
+  entry: HistoryEntry | null;
+  reputation: DomainReputation | null;
+}
+
+// What the download monitor did; resumed and discarded are the user's answer to a pause
+export type DownloadAction = 'allowed' | 'paused' | 'cancelled' | 'resumed' | 'discarded';
+
+export interface DownloadEntry {
+  id: number;
+  downloadId: number;
+  url: string;
+  referrer: string | null;
+  filename: string;
+  mime: string | null;
+  timestamp: number;
+  riskScore: number;
+  riskBreakdown: RiskContribution[];
+  threats: Threat[];
+  action: DownloadAction;
+  decidedAt?: number;
+}
+
+export interface DownloadPage {
+  entries: DownloadEntry[];
+  nextBefore: number | null;
+}
+
+export type ImportMode = 'merge' | 'replace';
+
+export interface ImportOptions {
+  mode: ImportMode;
+  includeHistory: boolean;
+}
+
+export interface CustomRule {
+  domain: string;
+  category: FeedCategory;
+  addedAt: number;
+  managed?: boolean;
+}
+
+// Enforced through chrome.storage.managed (static/managed_schema.json)
+export interface ManagedPolicy {
+  settings: Partial<Settings>;
+  sites: SiteEntry[];
+  customRules: CustomRule[];
+  feeds: { id: string; name: string; category: FeedCategory; format: string; url: string }[];
+}
+
+export interface ImportDiff {
+  settings: { key: string; from: unknown; to: unknown }[];
+  siteLists: { added: SiteEntry[]; changed: SiteEntry[]; removed: SiteEntry[] };
+  customRules: { added: CustomRule[]; removed: CustomRule[] };
+  detectionRules: { added: DetectionRule[]; changed: DetectionRule[]; removed: DetectionRule[] };
+  history: { visitsBefore: number; visitsAfter: number; sitesBefore: number; sitesAfter: number } | null;
+}
+
+export interface ImportPreview {
+  errors: string[];
+  warnings: string[];
+  diff: ImportDiff | null;
+  hasHistory?: boolean;
+}
+
+export interface BlockDetails {
+  url: string | null;
+  analysis: AnalysisResult | null;
+}
+
 export interface ChromeResponse {
   riskScore?: number;
+  riskBreakdown?: RiskContribution[];
   threats?: Threat[];
   trackersBlocked?: number;
   timestamp?: number;
+  posture?: SecurityPosture;
 }
 
 export interface ChromeStorageResult {
   webguardian_settings?: Settings;
   webguardian_stats?: Stats;
-}
\ No newline at end of file
+  webguardian_stats_daily?: Record<string, StatsDay>;
+}
+export interface DetectionRulesResponse {
+  builtin: DetectionRule[];
+  rules: DetectionRule[];
+  error?: string;
+}
+
+// A protected password as listed on the options page; its fingerprint stays in the background
+export interface ProtectedPassword {
+  id: string;
+  label: string;
+  domains: string[];
+  addedAt: number;
+}
+
+export type ResourceKind = 'script' | 'iframe' | 'connect';
+
+export type PartyClass = 'first_party' | 'tracker' | 'cdn' | 'unknown';
+
+export interface InventoryResource {
+  url: string;
+  kind: ResourceKind;
+  sources: ('network' | 'dom')[];
+  count: number;
+}
+
+export interface InventoryGroup {
+  domain: string;
+  party: PartyClass;
+  counts: Record<ResourceKind, number>;
+  resources: InventoryResource[];
+}
+
+export interface ResourceInventory {
+  pageUrl: string | null;
+  since: number | null;
+  inlineScripts: number;
+  truncated: boolean;
+  groups: InventoryGroup[];
+}
+
+export type AuditStatus = 'pass' | 'warn' | 'fail';
+
+// One item of a page's security header audit
+export interface PostureCheck {
+  id: string;
+  label: string;
+  status: AuditStatus;
+  detail: string;
+}
+
+// The page's headers, cookies and mixed content, graded
+export interface SecurityPosture {
+  url: string;
+  https: boolean;
+  score: number;
+  grade: 'A' | 'B' | 'C' | 'D' | 'F';
+  checks: PostureCheck[];
+}
+
+// A cookie the current page can send, as the cookie view lists it
+export interface CookieInfo {
+  name: string;
+  domain: string;
+  path: string;
+  thirdParty: boolean;
+  partitioned: boolean;
+  secure: boolean;
+  httpOnly: boolean;
+  sameSite: string;
+  expires: number | null;
+  longLived: boolean;
+  // The vendor a tracking cookie belongs to
+  tracker: string | null;
+}
+
+export interface CookieGroup {
+  domain: string;
+  thirdParty: boolean;
+  cookies: CookieInfo[];
+}
+
+// A localStorage entry that holds a visitor ID
+export interface StorageIdentifier {
+  key: string;
+  reason: string;
+}
+
+export interface CookieReport {
+  pageUrl: string;
+  site: string;
+  counts: {
+    total: number;
+    thirdParty: number;
+    tracking: number;
+    longLived: number;
+    storageIdentifiers: number;
+  };
+  groups: CookieGroup[];
+  storageIdentifiers: StorageIdentifier[];
+}
@@ -1,7 +1,137 @@
 // Background service worker for WebGuardian Chrome Extension
+import {
+  RulesetManager,
+  RULESET_MALICIOUS,
+  RULESET_PHISHING,
+  RULESET_TRACKERS
+} from './lib/rulesets.js';
+import { FeedManager, FEED_REFRESH_ALARM } from './lib/feeds/manager.js';
+import { getRegistrableDomain, parseHostname, isPublicSuffix, isSameSite } from './lib/domain.js';
+import {
+  findLookalike,
+  findMixedScriptLabel,
+  getProtectedBrands,
+  matchesBrandName
+} from './lib/lookalike.js';
+import { DEFAULT_PROTECTED_BRANDS } from './lib/brands.js';
+import { TabStateStore } from './lib/tab-state.js';
+import { HistoryManager } from './lib/history.js';
+import { DailyStats } from './lib/stats.js';
+import { EMPTY_POLICY, loadManagedPolicy } from './lib/policy.js';
+import { DetectionRuleManager } from './lib/detection-rules.js';
+import { PasswordProtectionManager } from './lib/password-protection.js';
+import { BUILTIN_RULES, RULE_CONTEXTS, requestSubject, urlSubject } from './lib/rule-engine.js';
+import { DOWNLOAD_ACTIONS, getDownloadHost, getFileName, inspectDownloadFile } from './lib/downloads.js';
+import { isMiningPoolUrl } from './lib/miner-signatures.js';
+import { MAX_MIXED_CONTENT_URLS, auditResponse, gradePosture, postureSignals } from './lib/header-audit.js';
+import { MAX_STORAGE_IDENTIFIERS, classifyCookie, summarizeCookies } from './lib/cookie-audit.js';
+import {
+  RESOURCE_SOURCES,
+  addResource,
+  addSite,
+  emptyInventory,
+  requestKind,
+  summarizeInventory
+} from './lib/inventory.js';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  IMPORT_REPLACE,
+  combineBackup,
+  diffBackup,
+  parseBackup,
+  tooManyDetectionRules
+} from './lib/backup.js';
+import {
+  RISK_SIGNALS,
+  RISK_THRESHOLDS,
+  getRiskLevel,
+  getSeverityForWeight,
+  getSignalWeight,
+  scoreSignals
+} from './lib/scoring.js';
+import {
+  SiteListManager,
+  SITE_BLOCKED,
+  SITE_DETECTORS,
+  SITE_LIST_EXPIRY_ALARM,
+  SITE_TRUSTED
+} from './lib/site-lists.js';
+
+// Where a threat was found: the page's URL, its network requests or its DOM (content script),
+// or a file the page downloaded
+const THREAT_SOURCES = Object.freeze({ URL: 'url', NETWORK: 'network', DOM: 'dom', DOWNLOAD: 'download' });
+
+// Notifications about a download are named after it and its history entry, if it has one
+const DOWNLOAD_NOTIFICATION_PREFIX = 'webguardian-download:';
+
+function downloadNotificationId(downloadId, entryId) {
+  return `${DOWNLOAD_NOTIFICATION_PREFIX}${downloadId}:${entryId ?? ''}`;
+}
+
+// Stats change on every scan and blocked request, so writes are batched
+const STATS_SAVE_DELAY_MS = 2000;
+
+// A page's requests are added to its tab's resource inventory in batches
+const INVENTORY_SAVE_DELAY_MS = 1000;
+// Resources a content script can report in one message
+const MAX_REPORTED_RESOURCES = 200;
+
+// Pages with many similar elements (ad iframes, say) list only the first few per finding type
+const MAX_DOM_THREATS_PER_TYPE = 5;
+// Lines of evidence kept with a behaviour verdict from the content script
+const MAX_EVIDENCE_ITEMS = 5;
+
+// Link shorteners are judged by where they lead, not flagged themselves
+const URL_SHORTENERS = [
+  'bit.ly', 'tinyurl.com', 't.co', 'short.link', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'rb.gy', 't.ly', 'shorturl.at', 'tiny.cc'
+];
+
+// Links a content script can have checked in one message
+const MAX_LINK_CHECKS = 100;
+
+// Redirect chains are kept to this many hops; client-side redirect loops could grow them forever
+const MAX_REDIRECT_HOPS = 20;
+
+// A link crossing between sites this many times before landing is bouncing
+const REDIRECT_BOUNCE_HOPS = 3;
+
+// Messages that change what is protected and how - sites, passwords, feeds and rules - or
+// read and erase what the extension recorded; never accepted from content scripts
+const EXTENSION_PAGE_MESSAGES = new Set([
+  'add_site_entry',
+  'remove_site_entry',
+  'add_protected_password',
+  'remove_protected_password',
+  'add_password_domain',
+  'remove_password_domain',
+  'add_feed',
+  'remove_feed',
+  'add_block_rule',
+  'remove_block_rule',
+  'get_history',
+  'get_history_entry',
+  'clear_history',
+  'clear_stats',
+  'export_backup',
+  'preview_import',
+  'apply_import',
+  'settings_updated',
+  'save_detection_rules',
+  'resolve_download',
+  'clear_downloads',
+  'get_cookie_report',
+  'clear_third_party_cookies'
+]);
+
+// Options sections a warning on a page may open
+const OPTIONS_SECTIONS_FROM_PAGES = ['sites', 'passwords'];
+
 class WebGuardianBackground {
   constructor() {
-    this.settings = {
+    // The user's own settings, as saved in sync storage
+    this.userSettings = {
       realTimeProtection: true,
       blockMaliciousSites: true,
       blockPhishing: true,
@@ -11,8 +141,14 @@ class WebGuardianBackground {
       autoScan: true,
       notificationLevel: 'medium',
       scanFrequency: 'realtime',
-      whitelistMode: false
+      whitelistMode: false,
+      protectedBrands: DEFAULT_PROTECTED_BRANDS,
+      riskWeights: {},
+      keepHistory: true,
+      clearCookiesOnClose: false
     };
+    // The settings in effect: the user's with the policy's on top. Only the user's are saved.
+    this.settings = { ...this.userSettings };
     
     this.stats = {
       sitesScanned: 0,
@@ -22,44 +158,67 @@ class WebGuardianBackground {
       phishingBlocked: 0
     };
     
-    // Known malicious domains (in production, load from threat intelligence feeds)
-    this.maliciousDomains = new Set([
-      'malicious-example.com',
-      'phishing-site.net',
-      'fake-bank.org',
-      'scam-site.biz'
-    ]);
-    
-    // Known tracker domains
-    this.trackerDomains = new Set([
-      'google-analytics.com',
-      'doubleclick.net',
-      'facebook.com',
-      'googletagmanager.com',
-      'googlesyndication.com',
-      'amazon-adsystem.com'
-    ]);
-    
-    // Phishing keywords and patterns
-    this.phishingPatterns = [
-      'verify your account immediately',
-      'suspended account',
-      'click here now',
-      'limited time offer',
-      'confirm your identity',
-      'unusual activity detected',
-      'payp4l',
-      'micr0soft',
-      'g00gle'
-    ];
-    
-    this.init();
+    // Admin policy from chrome.storage.managed; overrides the settings above
+    this.policy = EMPTY_POLICY;
+
+    // Blocking is done by declarativeNetRequest; this keeps the rulesets in sync with settings
+    this.rulesets = new RulesetManager();
+
+    // Per-tab analysis, blocked request counts and "Proceed once" allowance
+    this.tabState = new TabStateStore();
+
+    // Top-frame analyses still running, so the block page can wait for its tab's verdict
+    this.pendingAnalyses = new Map();
+
+    // Resources seen on each tab and not yet added to its inventory, with their save timers
+    this.pendingResources = new Map();
+    this.inventoryTimers = new Map();
+
+    // The same counters per day, for the dashboard
+    this.dailyStats = new DailyStats();
+    this.statsSaveTimer = null;
+
+    // Past visits and per-site reputation
+    this.history = new HistoryManager();
+
+    // Declarative detection rules, built-in and the user's own
+    this.detectionRules = new DetectionRuleManager();
+
+    // Fingerprints of passwords the user doesn't want typed on other sites
+    this.passwords = new PasswordProtectionManager();
+
+    // Malicious, phishing and tracker domains come from threat intelligence feeds.
+    // Domains from URL feeds are blocked through dynamic rules.
+    this.feeds = new FeedManager({
+      onUpdate: () => this.rulesets.applyDynamicRules(this.settings)
+    });
+    this.rulesets.setFeedDomainSource((category) => this.feeds.getRemoteDomains(category));
+
+    // Trusted and blocked sites, and per-site detector exceptions
+    this.siteLists = new SiteListManager({
+      onChange: () => this.rulesets.applyDynamicRules(this.settings)
+    });
+    this.rulesets.setSiteRuleSource((settings) =>
+      this.siteLists.buildRules(settings, (category) => this.getListedDomains(category))
+    );
+
+    // The worker is restarted for each event after being suspended. Listeners have to be
+    // registered right away to receive that event, and wait for settings and lists to load.
+    this.ready = this.init().catch((error) => console.error('Initialization failed:', error));
+    this.setupEventListeners();
   }
 
   async init() {
     await this.loadSettings();
     await this.loadStats();
-    this.setupEventListeners();
+    await this.rulesets.loadUserRules();
+    await this.siteLists.load();
+    await this.detectionRules.load();
+    await this.passwords.load();
+    await this.rulesets.sync(this.settings);
+    this.feeds.setManagedFeeds(this.policy.feeds);
+    await this.feeds.init();
+    await this.tabState.prune();
     console.log('WebGuardian Background Service initialized');
   }
 
@@ -67,11 +226,34 @@ class WebGuardianBackground {
     try {
       const result = await chrome.storage.sync.get('webguardian_settings');
       if (result.webguardian_settings) {
-        this.settings = { ...this.settings, ...result.webguardian_settings };
+        this.userSettings = { ...this.userSettings, ...result.webguardian_settings };
       }
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
+    await this.loadPolicy();
+  }
+
+  // Policy settings win over the user's; policy sites, rules and feeds are added to theirs
+  async loadPolicy() {
+    this.policy = await loadManagedPolicy();
+    this.settings = { ...this.userSettings, ...this.policy.settings };
+    this.siteLists.setManagedEntries(this.policy.sites);
+    this.rulesets.setManagedRules(this.policy.customRules);
+  }
+
+  // settings with the user's own values for the keys the policy locks, which the options
+  // page shows with the policy's values; they come back when the policy is lifted
+  keepLockedSettings(settings) {
+    const locked = Object.keys(this.policy.settings).map((key) => [key, this.userSettings[key]]);
+    return { ...settings, ...Object.fromEntries(locked) };
+  }
+
+  // The admin changed the policy while the extension was running
+  async handlePolicyChange() {
+    await this.loadSettings();
+    await this.feeds.syncManagedFeeds(this.policy.feeds);
+    await this.rulesets.sync(this.settings);
   }
 
   async loadStats() {
@@ -83,11 +265,26 @@ class WebGuardianBackground {
     } catch (error) {
       console.error('Failed to load stats:', error);
     }
+    await this.dailyStats.load();
   }
 
-  async saveStats() {
+  countStat(counter, amount = 1) {
+    if (amount <= 0) return;
+    this.stats[counter] += amount;
+    this.dailyStats.count(counter, amount);
+  }
+
+  // Schedules a write of the stats; changes within STATS_SAVE_DELAY_MS share one write
+  saveStats() {
+    if (this.statsSaveTimer) return;
+    this.statsSaveTimer = setTimeout(() => this.flushStats(), STATS_SAVE_DELAY_MS);
+  }
+
+  async flushStats() {
+    clearTimeout(this.statsSaveTimer);
+    this.statsSaveTimer = null;
     try {
-      await chrome.storage.local.set({ webguardian_stats: this.stats });
+      await chrome.storage.local.set({ webguardian_stats: this.stats, ...this.dailyStats.toStorage() });
     } catch (error) {
       console.error('Failed to save stats:', error);
     }
@@ -95,34 +292,178 @@ class WebGuardianBackground {
 
   setupEventListeners() {
     // Listen for navigation events
-    chrome.webNavigation.onBeforeNavigate.addListener((details) => {
-      if (details.frameId === 0 && this.settings.realTimeProtection) {
-        this.analyzeURL(details.url, details.tabId);
+    chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+      if (details.frameId !== 0) return;
+      await this.ready;
+
+      // A new page starts with a clean slate; analyzeURL's own update queues behind this one.
+      // The block page keeps the analysis of the site it stands in for.
+      this.expireProceedOnce(details.tabId, details.url);
+      if (!details.url.startsWith(chrome.runtime.getURL(''))) {
+        this.resetTabState(details.tabId, details.timeStamp);
+      }
+      if (this.settings.realTimeProtection) {
+        this.startAnalysis(details.tabId, details.url);
+      }
+    });
+
+    // Server redirects stay within one navigation; each hop is analyzed in turn, so the
+    // tab ends up with the analysis of the final destination and the chain that led there
+    chrome.webRequest.onBeforeRedirect.addListener(
+      async (details) => {
+        if (details.tabId === -1) return;
+        await this.ready;
+        if (this.settings.realTimeProtection) {
+          this.startAnalysis(details.tabId, details.redirectUrl, {
+            kind: 'server',
+            from: details.url,
+            statusCode: details.statusCode
+          });
+        }
+      },
+      { urls: ['<all_urls>'], types: ['main_frame'] }
+    );
+
+    // The page's own response headers, for the security posture audit. extraHeaders is
+    // needed to see Set-Cookie.
+    chrome.webRequest.onHeadersReceived.addListener(
+      async (details) => {
+        if (details.tabId === -1) return;
+        await this.ready;
+        await this.auditPageHeaders(details);
+      },
+      { urls: ['<all_urls>'], types: ['main_frame'] },
+      ['responseHeaders', 'extraHeaders']
+    );
+
+    // Client redirects (meta refresh, script) start a new navigation; the previous page's
+    // chain is joined to it once Chrome says it was a redirect
+    chrome.webNavigation.onCommitted.addListener(async (details) => {
+      if (details.frameId !== 0 || !details.transitionQualifiers.includes('client_redirect')) return;
+      await this.ready;
+      if (this.settings.realTimeProtection) {
+        await this.joinClientRedirect(details.tabId, details.url);
       }
     });
 
     // Listen for web requests to detect trackers
     chrome.webRequest.onBeforeRequest.addListener(
-      (details) => this.analyzeRequest(details),
+      (details) => {
+        this.ready.then(() => this.analyzeRequest(details));
+      },
       { urls: ['<all_urls>'] },
       []
     );
 
+    // Count requests blocked by our rulesets. onRuleMatchedDebug is only available
+    // to unpacked extensions; packed builds poll getMatchedRules instead
+    if (chrome.declarativeNetRequest.onRuleMatchedDebug) {
+      chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(async (info) => {
+        await this.ready;
+        this.recordBlockedRequest(info.request.tabId, info.rule, info.request.url);
+      });
+    }
+
+    chrome.tabs.onRemoved.addListener(async (tabId) => {
+      const state = await this.tabState.get(tabId);
+      if (state.proceedOnce) {
+        this.rulesets.clearTabAllowance(tabId);
+      }
+      await this.ready;
+      if (this.settings.clearCookiesOnClose) {
+        try {
+          await this.clearThirdPartyCookies(tabId, { keepOpenSites: true });
+        } catch (error) {
+          console.error('Failed to clear cookies of closed tab:', error);
+        }
+      }
+      clearTimeout(this.inventoryTimers.get(tabId));
+      this.inventoryTimers.delete(tabId);
+      this.pendingResources.delete(tabId);
+      await this.tabState.remove(tabId);
+    });
+
+    // Refresh threat feeds on schedule
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      await this.ready;
+      if (alarm.name === FEED_REFRESH_ALARM) {
+        this.feeds.refreshAll();
+      } else if (alarm.name === SITE_LIST_EXPIRY_ALARM) {
+        this.siteLists.handleExpiryAlarm();
+      }
+    });
+
     // Handle messages from popup and content scripts
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
+      this.ready.then(() => this.handleMessage(message, sender, sendResponse));
       return true; // Keep message channel open for async responses
     });
 
-    // Handle tab updates
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // Chrome resets the badge when a tab navigates; restore it from the tab's analysis.
+    // The tab's cookie store is noted for cleaning up after it closes.
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      if (changeInfo.status === 'loading') {
+        this.rememberCookieStore(tabId);
+      }
       if (changeInfo.status === 'complete' && tab.url) {
-        this.updateBadge(tabId);
+        const { analysis } = await this.tabState.get(tabId);
+        this.updateBadge(tabId, analysis);
+      }
+    });
+
+    // Chrome holds a download's final name until suggest() is called, so the file isn't
+    // finished before the check below has paused or cancelled it
+    chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
+      this.ready
+        .then(() => this.checkDownload(item))
+        .catch((error) => console.error('Download check failed:', error))
+        .finally(() => suggest());
+      return true;
+    });
+
+    // "Keep" and "Delete" on the notification of a paused download
+    chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+      if (!notificationId.startsWith(DOWNLOAD_NOTIFICATION_PREFIX)) return;
+      const [downloadId, entryId] = notificationId.slice(DOWNLOAD_NOTIFICATION_PREFIX.length).split(':');
+      await this.ready;
+      try {
+        await this.resolveDownload(Number(downloadId), entryId ? Number(entryId) : null, buttonIndex === 0);
+      } catch (error) {
+        console.error('Failed to resolve download:', error);
+      }
+    });
+
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+      if (area !== 'managed') return;
+      await this.ready;
+      await this.handlePolicyChange();
+    });
+
+    // Last chance to write batched stats before the worker is shut down
+    chrome.runtime.onSuspend.addListener(() => {
+      if (this.statsSaveTimer) {
+        this.flushStats();
+      }
+    });
+  }
+
+  // Analyses of a tab's top frame are tracked so the block page can wait for them. A redirect
+  // hop is analyzed after the hop before it, as its chain builds on that one's.
+  startAnalysis(tabId, url, redirect = null) {
+    const previous = redirect && this.pendingAnalyses.get(tabId);
+    const pending = previous ? previous.then(() => this.analyzeURL(url, tabId, redirect)) : this.analyzeURL(url, tabId);
+    this.pendingAnalyses.set(tabId, pending);
+    pending.finally(() => {
+      if (this.pendingAnalyses.get(tabId) === pending) {
+        this.pendingAnalyses.delete(tabId);
       }
     });
+    return pending;
   }
 
-  async analyzeURL(url, tabId) {
+  // redirect describes how the navigation got here from the tab's previous analysis:
+  // { kind: 'server', from, statusCode }
+  async analyzeURL(url, tabId, redirect = null) {
     try {
       const urlObj = new URL(url);
       const domain = urlObj.hostname.toLowerCase();
@@ -132,7 +473,7 @@ class WebGuardianBackground {
         return;
       }
 
-      this.stats.sitesScanned++;
+      this.countStat('sitesScanned');
       
       const analysis = {
         url: url,
@@ -144,307 +485,1595 @@ class WebGuardianBackground {
         isSecure: true
       };
 
-      // Check against malicious domains
-      if (this.maliciousDomains.has(domain)) {
+      // Site lists decide first: trusted sites skip every check, exceptions skip some
+      const sitePolicy = this.siteLists.lookup(domain);
+      analysis.siteStatus = sitePolicy.status;
+      const isEnabled = (detector) => !sitePolicy.disabled.includes(detector);
+
+      if (sitePolicy.status === SITE_BLOCKED) {
+        analysis.threats.push({
+          type: 'blocked_site',
+          signal: 'blocked_site',
+          source: THREAT_SOURCES.URL,
+          severity: 'high',
+          description: `${domain} is on your blocked sites list`
+        });
+        this.countStat('threatsBlocked');
+      } else if (this.settings.whitelistMode && sitePolicy.status !== SITE_TRUSTED) {
+        analysis.threats.push({
+          type: 'not_allowlisted',
+          signal: 'not_allowlisted',
+          source: THREAT_SOURCES.URL,
+          severity: 'medium',
+          description: `${domain} is not on your trusted sites list (allowlist-only mode)`
+        });
+      }
+
+      // Check against malicious domains, including subdomains of listed ones
+      const maliciousMatch = isEnabled('malicious') && this.feeds.match(RULESET_MALICIOUS, domain);
+      if (maliciousMatch) {
         analysis.threats.push({
           type: 'malicious_domain',
+          signal: 'malicious_domain',
+          source: THREAT_SOURCES.URL,
+          severity: 'high',
+          description: `Known malicious domain: ${maliciousMatch}`
+        });
+        this.countStat('malwareDetected');
+        this.countStat('threatsBlocked');
+      }
+
+      // Check against phishing feeds
+      const phishingMatch = isEnabled('phishing') && this.feeds.match(RULESET_PHISHING, domain);
+      if (phishingMatch) {
+        analysis.threats.push({
+          type: 'phishing',
+          signal: 'phishing_feed',
+          source: THREAT_SOURCES.URL,
           severity: 'high',
-          description: `Known malicious domain: ${domain}`
+          description: `Known phishing domain: ${phishingMatch}`
         });
-        analysis.riskScore += 80;
-        this.stats.malwareDetected++;
-        this.stats.threatsBlocked++;
+        this.countStat('phishingBlocked');
+        this.countStat('threatsBlocked');
       }
 
       // Check for phishing indicators
-      const phishingCheck = this.detectPhishing(domain, urlObj);
+      const phishingCheck = isEnabled('phishing') ? this.detectPhishing(domain) : { isPhishing: false };
       if (phishingCheck.isPhishing) {
         analysis.threats.push({
           type: 'phishing',
+          signal: phishingCheck.signal,
+          source: THREAT_SOURCES.URL,
           severity: 'high',
-          description: phishingCheck.reason
+          description: phishingCheck.reason,
+          ...(phishingCheck.details && { details: phishingCheck.details })
         });
-        analysis.riskScore += 70;
-        this.stats.phishingBlocked++;
-        this.stats.threatsBlocked++;
+        this.countStat('phishingBlocked');
+        this.countStat('threatsBlocked');
       }
 
       // Check URL structure for suspicious patterns
-      const urlCheck = this.analyzeURLStructure(urlObj);
-      if (urlCheck.suspicious) {
+      const urlFindings = isEnabled('suspicious_url') ? this.analyzeURLStructure(urlObj) : [];
+      urlFindings.forEach(({ signal, reason }) => {
         analysis.threats.push({
           type: 'suspicious_url',
+          signal,
+          source: THREAT_SOURCES.URL,
           severity: 'medium',
-          description: urlCheck.reason
+          description: reason
         });
-        analysis.riskScore += urlCheck.score;
+      });
+
+      // Detection rules on the page's address
+      this.detectionRules.evaluate(RULE_CONTEXTS.URL, urlSubject(urlObj), isEnabled).forEach((match) => {
+        analysis.threats.push(this.detectionRules.toThreat(match, THREAT_SOURCES.URL));
+      });
+
+      // The redirects that led here, each with its own score; the page's own hop is scored below
+      analysis.redirectChain = [
+        ...(redirect ? await this.earlierHops(tabId, redirect) : []),
+        { url, domain, kind: redirect?.kind || 'start', statusCode: redirect?.statusCode ?? null, riskScore: null }
+      ].slice(-MAX_REDIRECT_HOPS);
+      if (isEnabled('suspicious_url')) {
+        analysis.threats.push(...this.redirectChainThreats(analysis.redirectChain));
+      }
+
+      this.dailyStats.countThreats(domain, analysis.threats);
+
+      // Earlier visits to this site. Incognito tabs neither use nor add to the history.
+      const recordHistory = this.settings.keepHistory && !(await this.isIncognitoTab(tabId));
+      analysis.contextSignals = [];
+      if (recordHistory) {
+        const reputation = await this.history.getReputation(domain);
+        analysis.reputation = reputation;
+        if (sitePolicy.status !== SITE_TRUSTED) {
+          if (!reputation) {
+            analysis.contextSignals.push('new_domain');
+          } else if (reputation.worstScore >= RISK_THRESHOLDS.danger) {
+            analysis.contextSignals.push('risky_history');
+          }
+        }
       }
 
-      // Determine if site is secure
-      analysis.isSecure = analysis.riskScore < 30;
+      // Score the collected signals and determine if site is secure
+      this.scoreAnalysis(analysis);
+      analysis.redirectChain[analysis.redirectChain.length - 1].riskScore = analysis.riskScore;
+
+      if (recordHistory) {
+        analysis.historyId = await this.history.recordVisit(analysis);
+      }
 
       // Store analysis
       await this.storeAnalysis(tabId, analysis);
 
-      // Show warning if high risk and warnings enabled
-      if (analysis.riskScore >= 60 && this.settings.showWarnings) {
-        this.showSecurityWarning(tabId, analysis);
+      // Blocked sites end up on the block page - listed domains are redirected there by
+      // declarativeNetRequest, heuristic detections from here. Other risky pages get a warning.
+      const { proceedOnce } = await this.tabState.get(tabId);
+      if (proceedOnce !== domain) {
+        if (this.shouldBlock(analysis)) {
+          const blockedByRules = sitePolicy.status === SITE_BLOCKED ||
+            (this.settings.whitelistMode && sitePolicy.status !== SITE_TRUSTED) ||
+            (maliciousMatch && this.settings.blockMaliciousSites) ||
+            (phishingMatch && this.settings.blockPhishing);
+          if (!blockedByRules) {
+            await this.showBlockPage(tabId);
+          }
+        } else if (analysis.riskScore >= RISK_THRESHOLDS.danger && this.settings.showWarnings) {
+          this.showSecurityWarning(tabId, analysis);
+        }
       }
 
       // Update badge
       this.updateBadge(tabId, analysis);
 
-      await this.saveStats();
+      this.saveStats();
 
     } catch (error) {
       console.error('URL analysis failed:', error);
     }
   }
 
-  detectPhishing(domain, urlObj) {
-    const result = { isPhishing: false, reason: '' };
+  // The chain of the tab's previous analysis, if that was the page this redirect came from
+  async earlierHops(tabId, redirect) {
+    const { analysis } = await this.tabState.get(tabId);
+    if (analysis?.url === redirect.from && analysis.redirectChain) {
+      return analysis.redirectChain;
+    }
+    return [{ url: redirect.from, domain: new URL(redirect.from).hostname, kind: 'start', statusCode: null, riskScore: null }];
+  }
 
-    // Check for character substitution in common domains
-    const commonDomains = ['paypal', 'microsoft', 'google', 'facebook', 'amazon', 'apple'];
-    for (const commonDomain of commonDomains) {
-      if (domain.includes(commonDomain) && !domain.includes(`${commonDomain}.com`)) {
-        // Check for character substitution
-        if (this.hasCharacterSubstitution(domain, commonDomain)) {
-          result.isPhishing = true;
-          result.reason = `Possible phishing attempt targeting ${commonDomain}`;
-          break;
-        }
+  // A client redirect's page was analyzed as a fresh navigation; put the chain of the page
+  // that redirected in front of its own and score the result again
+  async joinClientRedirect(tabId, url) {
+    const { previousChain } = await this.tabState.get(tabId);
+    if (!previousChain?.length) return;
+
+    await this.updateTabThreats(tabId, (analysis) => {
+      if (!analysis || analysis.url !== url || analysis.redirectChain[0].kind !== 'start') return false;
+      const [ownStart, ...ownRedirects] = analysis.redirectChain;
+      analysis.redirectChain = [...previousChain, { ...ownStart, kind: 'client' }, ...ownRedirects].slice(
+        -MAX_REDIRECT_HOPS
+      );
+
+      // Findings from the page's own server redirects are replaced by those of the whole chain
+      if (!this.siteLists.isDisabled(analysis.domain, 'suspicious_url')) {
+        this.redirectChainThreats(analysis.redirectChain).forEach((threat) => {
+          const index = analysis.threats.findIndex((known) => known.type === 'redirect' && known.signal === threat.signal);
+          if (index === -1) analysis.threats.push(threat);
+          else analysis.threats[index] = threat;
+        });
       }
+      this.scoreAnalysis(analysis);
+      analysis.redirectChain[analysis.redirectChain.length - 1].riskScore = analysis.riskScore;
+      return true;
+    });
+  }
+
+  // Findings about how the page was reached. The last hop is the page itself.
+  redirectChainThreats(chain) {
+    const earlier = chain.slice(0, -1);
+    if (earlier.length === 0) return [];
+
+    const findings = [];
+    const shortener = earlier.find((hop) => URL_SHORTENERS.includes(parseHostname(hop.domain).registrableDomain));
+    if (shortener) {
+      findings.push({
+        signal: 'url_shortener',
+        reason: `Reached through the link shortener ${shortener.domain}; this page is where it leads`
+      });
     }
 
-    // Check for suspicious TLDs
-    const suspiciousTLDs = ['.tk', '.ml', '.ga', '.cf', '.cc'];
-    if (suspiciousTLDs.some(tld => domain.endsWith(tld))) {
-      result.isPhishing = true;
-      result.reason = 'Uses suspicious top-level domain often associated with phishing';
+    const risky = earlier
+      .filter((hop) => hop.riskScore >= RISK_THRESHOLDS.danger)
+      .sort((a, b) => b.riskScore - a.riskScore)[0];
+    if (risky) {
+      findings.push({
+        signal: 'risky_redirect',
+        reason: `Redirected here through ${risky.domain}, which scored ${risky.riskScore}/100`
+      });
     }
 
-    // Check for URL shorteners
-    const shorteners = ['bit.ly', 'tinyurl.com', 't.co', 'short.link'];
-    if (shorteners.some(shortener => domain.includes(shortener))) {
-      result.isPhishing = true;
-      result.reason = 'URL shortener detected - may hide real destination';
+    const crossings = chain.filter((hop, index) => index > 0 && !isSameSite(hop.domain, chain[index - 1].domain)).length;
+    if (crossings >= REDIRECT_BOUNCE_HOPS) {
+      const sites = new Set(chain.map((hop) => parseHostname(hop.domain).registrableDomain || hop.domain));
+      findings.push({
+        signal: 'redirect_bouncing',
+        reason: `The link bounced between ${sites.size} sites in ${chain.length - 1} redirects before landing here`
+      });
     }
 
-    return result;
+    // Each finding shows the chain; it shares the hops, so the page's score lands in it once scored
+    return findings.map(({ signal, reason }) => ({
+      type: 'redirect',
+      signal,
+      source: THREAT_SOURCES.URL,
+      severity: getSeverityForWeight(getSignalWeight(signal, this.settings.riskWeights)),
+      description: reason,
+      details: { chain }
+    }));
   }
 
-  hasCharacterSubstitution(domain, target) {
-    // Simple character substitution detection
-    const substitutions = {
-      'o': '0',
-      'i': '1',
-      'l': '1',
-      'e': '3',
-      'a': '@',
-      's': '$'
-    };
+  scoreAnalysis(analysis) {
+    const signals = [...analysis.threats.map((threat) => threat.signal), ...(analysis.contextSignals || [])];
+    const risk = scoreSignals(signals, this.settings.riskWeights, this.detectionRules.signals);
+    analysis.riskScore = risk.score;
+    analysis.riskBreakdown = risk.breakdown;
+    analysis.isSecure = analysis.riskScore < RISK_THRESHOLDS.caution;
+  }
 
-    let modifiedTarget = target;
-    for (const [char, sub] of Object.entries(substitutions)) {
-      modifiedTarget = modifiedTarget.replace(new RegExp(char, 'g'), sub);
-      if (domain.includes(modifiedTarget)) {
-        return true;
-      }
-    }
-    return false;
+  // Adds what the content script found on the page to the tab's analysis
+  async reportContentFindings(sender, data) {
+    const tabId = sender.tab?.id;
+    if (!tabId || sender.frameId !== 0 || !Array.isArray(data?.indicators)) return;
+
+    await this.updateTabThreats(tabId, (analysis) =>
+      this.mergeContentFindings(analysis, sender.url || data.url, data)
+    );
   }
 
-  analyzeURLStructure(urlObj) {
-    const result = { suspicious: false, reason: '', score: 0 };
+  async auditPageHeaders(details) {
+    // Redirect responses aren't the page; the response they lead to is audited instead
+    if (details.statusCode >= 300 && details.statusCode < 400) return;
+    if (!/^https?:/.test(details.url)) return;
 
-    // Check for IP address instead of domain
-    if (/^\d+\.\d+\.\d+\.\d+$/.test(urlObj.hostname)) {
-      result.suspicious = true;
-      result.reason = 'Uses IP address instead of domain name';
-      result.score = 40;
-      return result;
-    }
+    const audit = auditResponse(details);
+    await this.tabState.update(details.tabId, (state) => {
+      state.headerAudit = audit;
+    });
+    await this.applyPosture(details.tabId);
+  }
 
-    // Check URL length
-    if (urlObj.href.length > 100) {
-      result.suspicious = true;
-      result.reason = 'Unusually long URL';
-      result.score = 20;
+  // Subresources the top page loads over plain HTTP while itself on HTTPS
+  async recordMixedContent(details) {
+    let added = false;
+    await this.tabState.update(details.tabId, (state) => {
+      if (details.timeStamp < state.blockCounts.since) return;
+      state.mixedContent ||= [];
+      if (state.mixedContent.length >= MAX_MIXED_CONTENT_URLS || state.mixedContent.includes(details.url)) return;
+      state.mixedContent.push(details.url);
+      added = true;
+    });
+    if (added) {
+      await this.applyPosture(details.tabId);
     }
+  }
 
-    // Check for too many subdomains
-    const subdomains = urlObj.hostname.split('.');
-    if (subdomains.length > 4) {
-      result.suspicious = true;
-      result.reason = 'Too many subdomains';
-      result.score += 25;
-    }
+  // Grades the tab's header audit and mixed content into its analysis, and turns the worst
+  // failures into threats so they count towards the risk score
+  async applyPosture(tabId) {
+    const { headerAudit, mixedContent } = await this.tabState.get(tabId);
+    if (!headerAudit) return;
+    const posture = gradePosture(headerAudit, mixedContent);
+    const withoutHash = (url) => url.split('#')[0];
+
+    await this.updateTabThreats(tabId, (analysis) => {
+      if (!analysis || withoutHash(analysis.url) !== withoutHash(posture.url)) return false;
+      analysis.posture = posture;
+
+      const signals = this.siteLists.isDisabled(analysis.domain, 'security_headers') ? [] : postureSignals(posture);
+      const current = new Set(signals.map(({ signal }) => signal));
+      const isPosture = (threat) => RISK_SIGNALS[threat.signal]?.category === 'posture';
+      analysis.threats = analysis.threats.filter((threat) => !isPosture(threat) || current.has(threat.signal));
+      signals.forEach(({ signal, description }) => {
+        const threat = {
+          type: signal,
+          signal,
+          source: THREAT_SOURCES.NETWORK,
+          severity: getSeverityForWeight(getSignalWeight(signal, this.settings.riskWeights)),
+          description
+        };
+        // Mixed content grows as the page loads; the threat is updated rather than repeated
+        const existing = analysis.threats.find((item) => item.signal === signal);
+        if (existing) Object.assign(existing, threat);
+        else analysis.threats.push({ ...threat, foundAt: Date.now() });
+      });
+
+      this.scoreAnalysis(analysis);
+      return true;
+    });
+  }
+
+  // The content script's view of the page's scripts and frames, for the inventory
+  reportContentResources(sender, data) {
+    const tabId = sender.tab?.id;
+    if (!tabId || sender.frameId !== 0 || !Array.isArray(data?.resources)) return;
 
-    // Check for suspicious patterns in path
-    const suspiciousPathPatterns = [
-      /login.*secure/i,
-      /verify.*account/i,
-      /update.*payment/i,
-      /suspended/i
-    ];
+    const resources = data.resources
+      .filter((resource) => typeof resource?.url === 'string' && typeof resource.kind === 'string')
+      .slice(0, MAX_REPORTED_RESOURCES)
+      .map(({ url, kind }) => ({ url, kind, source: RESOURCE_SOURCES.DOM }));
+    this.queueResources(tabId, data.timestamp, resources, Number(data.inlineScripts) || 0);
+  }
 
-    if (suspiciousPathPatterns.some(pattern => pattern.test(urlObj.pathname))) {
-      result.suspicious = true;
-      result.reason = 'Suspicious path pattern detected';
-      result.score += 30;
+  queueResources(tabId, timestamp, resources, inlineScripts = 0, hostname = null) {
+    if (!this.pendingResources.has(tabId)) {
+      this.pendingResources.set(tabId, { items: [], sites: [], inlineScripts: 0 });
+    }
+    const pending = this.pendingResources.get(tabId);
+    resources.forEach((resource) => pending.items.push({ ...resource, timestamp }));
+    pending.inlineScripts = Math.max(pending.inlineScripts, inlineScripts);
+    if (hostname) {
+      pending.sites.push({ hostname, timestamp });
     }
 
-    return result;
+    if (!this.inventoryTimers.has(tabId)) {
+      this.inventoryTimers.set(tabId, setTimeout(() => this.saveResources(tabId), INVENTORY_SAVE_DELAY_MS));
+    }
   }
 
-  analyzeRequest(details) {
-    const url = new URL(details.url);
-    const domain = url.hostname.toLowerCase();
+  async saveResources(tabId) {
+    clearTimeout(this.inventoryTimers.get(tabId));
+    this.inventoryTimers.delete(tabId);
+    const pending = this.pendingResources.get(tabId);
+    this.pendingResources.delete(tabId);
+    if (!pending) return;
 
-    // Check for trackers
-    if (this.settings.blockTrackers && (this.trackerDomains.has(domain) || this.isKnownTracker(domain))) {
-      this.stats.trackersBlocked++;
-      this.saveStats();
+    await this.tabState.update(tabId, (state) => {
+      state.inventory ||= emptyInventory();
+      // Requests made before the tab's last navigation belong to the page it left
+      pending.items
+        .filter((item) => item.timestamp >= state.inventory.since)
+        .forEach((item) => addResource(state.inventory, item));
+      pending.sites
+        .filter((item) => item.timestamp >= state.inventory.since)
+        .forEach((item) => addSite(state.inventory, item.hostname));
+      state.inventory.inlineScripts = Math.max(state.inventory.inlineScripts, pending.inlineScripts);
+    });
+  }
 
-      // Notify content script
-      if (details.tabId && details.tabId !== -1) {
-        chrome.tabs.sendMessage(details.tabId, {
-          type: 'tracker_detected',
-          trackers: [{ domain: domain, url: details.url }]
-        }).catch(() => {}); // Ignore errors if tab is closed
+  async getInventory(tabId) {
+    await this.saveResources(tabId);
+    const { analysis, inventory } = await this.tabState.get(tabId);
+    let pageUrl = analysis?.url;
+    if (!pageUrl) {
+      try {
+        pageUrl = (await chrome.tabs.get(tabId)).url;
+      } catch {
+        // Closed tab
       }
-
-      // Block the request
-      return { cancel: true };
     }
+    return summarizeInventory(inventory, {
+      pageUrl,
+      isTracker: (hostname) => this.feeds.has(RULESET_TRACKERS, hostname)
+    });
   }
 
-  isKnownTracker(domain) {
-    const trackerPatterns = [
-      /google-analytics/,
-      /googletagmanager/,
-      /doubleclick/,
-      /facebook\.com.*\/tr/,
-      /amazon-adsystem/,
-      /googlesyndication/,
-      /scorecardresearch/,
-      /quantserve/
-    ];
+  // Visitor IDs the content script found in the page's localStorage
+  async reportStorageIdentifiers(sender, data) {
+    const tabId = sender.tab?.id;
+    if (!tabId || sender.frameId !== 0 || !Array.isArray(data?.identifiers)) return;
 
-    return trackerPatterns.some(pattern => pattern.test(domain));
+    await this.tabState.update(tabId, (state) => {
+      if (data.timestamp < (state.inventory?.since || 0)) return;
+      const identifiers = data.identifiers
+        .filter((item) => typeof item?.key === 'string' && typeof item.reason === 'string')
+        .slice(0, MAX_STORAGE_IDENTIFIERS)
+        .map(({ key, reason }) => ({ key: key.slice(0, 100), reason }));
+      state.storageIdentifiers = identifiers;
+    });
   }
 
-  async showSecurityWarning(tabId, analysis) {
+  // Every domain a blocklist blocks: its feeds, bundled ones included, and block rules
+  async getListedDomains(category) {
+    const ruleDomains = this.rulesets
+      .getRules()
+      .filter((rule) => rule.category === category)
+      .map((rule) => rule.domain);
+    return [...(await this.feeds.getDomains(category)), ...ruleDomains];
+  }
+
+  // The cookie store the tab uses; incognito tabs have their own. Closed tabs are no longer
+  // listed with their store, so it is noted while the tab is open.
+  async getCookieStoreId(tabId) {
+    const { cookieStoreId } = await this.tabState.get(tabId);
+    if (cookieStoreId) return cookieStoreId;
+    const stores = await chrome.cookies.getAllCookieStores();
+    return stores.find((store) => store.tabIds.includes(tabId))?.id;
+  }
+
+  async rememberCookieStore(tabId) {
+    const { cookieStoreId } = await this.tabState.get(tabId);
+    if (cookieStoreId) return;
     try {
-      await chrome.tabs.sendMessage(tabId, {
-        type: 'security_warning',
-        analysis: analysis
+      const storeId = await this.getCookieStoreId(tabId);
+      if (!storeId) return;
+      await this.tabState.update(tabId, (state) => {
+        state.cookieStoreId = storeId;
       });
     } catch (error) {
-      // Tab might be closed or not ready
-      console.log('Could not send warning to tab:', error.message);
+      console.error('Failed to look up the cookie store of tab:', error);
     }
   }
 
-  updateBadge(tabId, analysis = null) {
-    if (analysis && analysis.threats.length > 0) {
-      chrome.action.setBadgeText({
-        tabId: tabId,
-        text: analysis.threats.length.toString()
-      });
-      
-      const color = analysis.riskScore >= 80 ? '#dc2626' : 
-                   analysis.riskScore >= 60 ? '#ea580c' : '#f59e0b';
-      
-      chrome.action.setBadgeBackgroundColor({
-        tabId: tabId,
-        color: color
-      });
-    } else {
-      chrome.action.setBadgeText({
-        tabId: tabId,
-        text: ''
-      });
+  // The cookies the tab's page can send: its own site's, those of every site it made a request
+  // to, and the ones partitioned to it
+  async collectCookies(tabId) {
+    await this.saveResources(tabId);
+    const { analysis, inventory } = await this.tabState.get(tabId);
+    let pageUrl = analysis?.url;
+    if (!pageUrl) {
+      try {
+        pageUrl = (await chrome.tabs.get(tabId)).url;
+      } catch {
+        // Closed tab
+      }
     }
-  }
+    if (!pageUrl || !/^https?:/.test(pageUrl)) return null;
 
-  async storeAnalysis(tabId, analysis) {
-    const key = `analysis_${tabId}`;
+    // Without its store, a closed incognito tab's cleanup would hit the regular profile
+    const storeId = await this.getCookieStoreId(tabId);
+    if (!storeId) return null;
+
+    const site = getRegistrableDomain(new URL(pageUrl).hostname);
+    const domains = [site, ...(inventory?.sites || []).filter((domain) => !isSameSite(domain, site))];
+    const lists = await Promise.all(domains.map((domain) => chrome.cookies.getAll({ domain, storeId })));
     try {
-      await chrome.storage.local.set({ [key]: analysis });
-    } catch (error) {
-      console.error('Failed to store analysis:', error);
+      lists.push(await chrome.cookies.getAll({ partitionKey: { topLevelSite: `https://${site}` }, storeId }));
+    } catch {
+      // Partitioned cookies need Chrome 119
     }
+
+    const seen = new Set();
+    const cookies = lists.flat().filter((cookie) => {
+      const key = `${cookie.domain}|${cookie.path}|${cookie.name}|${cookie.partitionKey?.topLevelSite || ''}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return { pageUrl, site, storeId, cookies };
   }
 
-  async handleMessage(message, sender, sendResponse) {
-    try {
-      switch (message.type) {
-        case 'get_analysis':
-          const analysis = await this.getStoredAnalysis(sender.tab?.id);
-          sendResponse(analysis);
-          break;
+  async getCookieReport(tabId) {
+    const collected = await this.collectCookies(tabId);
+    if (!collected) return null;
+    const { storageIdentifiers } = await this.tabState.get(tabId);
+    return {
+      pageUrl: collected.pageUrl,
+      ...summarizeCookies(collected.cookies, {
+        pageUrl: collected.pageUrl,
+        isTracker: (hostname) => this.feeds.has(RULESET_TRACKERS, hostname),
+        storageIdentifiers: storageIdentifiers || []
+      })
+    };
+  }
 
-        case 'force_scan':
-          if (sender.tab?.id && sender.tab?.url) {
-            await this.analyzeURL(sender.tab.url, sender.tab.id);
-            const newAnalysis = await this.getStoredAnalysis(sender.tab.id);
-            sendResponse(newAnalysis);
-          }
-          break;
+  // Removes the other sites' tracking cookies the tab's page could send, and the cookies
+  // other sites keep partitioned to the page. Sites the user visits themselves keep their
+  // cookies, since sign-in and embed providers (accounts.google.com behind a video) rely on
+  // them. When a tab closes, a page still open in another tab keeps its partitioned cookies.
+  async clearThirdPartyCookies(tabId, { keepOpenSites = false } = {}) {
+    const collected = await this.collectCookies(tabId);
+    if (!collected) return 0;
 
-        case 'settings_updated':
-          this.settings = { ...this.settings, ...message.settings };
-          sendResponse({ success: true });
-          break;
+    const openSites = [];
+    const tabs = await chrome.tabs.query({});
+    tabs.forEach((tab) => {
+      if (tab.id !== tabId && /^https?:/.test(tab.url || '')) {
+        openSites.push(new URL(tab.url).hostname);
+      }
+    });
+    const isOpen = (domain) => openSites.some((hostname) => isSameSite(hostname, domain));
+    if (keepOpenSites && isOpen(collected.site)) {
+      collected.cookies = collected.cookies.filter((cookie) => !cookie.partitionKey);
+    }
 
-        case 'get_stats':
-          sendResponse(this.stats);
-          break;
+    const isTracker = (hostname) => this.feeds.has(RULESET_TRACKERS, hostname);
+    let removed = 0;
+    for (const cookie of collected.cookies) {
+      const item = classifyCookie(cookie, { site: collected.site, isTracker });
+      if (!item.thirdParty) continue;
+      if (!item.partitioned) {
+        if (!item.tracker || isOpen(item.domain)) continue;
+        // Sites in the scan history were visited as pages of their own
+        if (await this.history.getReputation(item.domain)) continue;
+      }
+      try {
+        await chrome.cookies.remove({
+          url: `http${cookie.secure ? 's' : ''}://${item.domain}${cookie.path}`,
+          name: cookie.name,
+          storeId: collected.storeId,
+          ...(cookie.partitionKey && { partitionKey: cookie.partitionKey })
+        });
+        removed++;
+      } catch (error) {
+        console.error(`Failed to remove cookie ${cookie.name} of ${item.domain}:`, error);
+      }
+    }
+    return removed;
+  }
 
-        case 'report_suspicious':
-          // Handle suspicious content reports from content script
-          console.log('Suspicious content reported:', message.data);
-          sendResponse({ success: true });
-          break;
+  // Adds threats found after the page's own analysis to it; merge(analysis) returns
+  // whether it added any
+  async updateTabThreats(tabId, merge) {
+    // The page's own analysis has to be stored first
+    await this.pendingAnalyses.get(tabId);
 
-        case 'update_tracker_count':
-          if (sender.tab?.id) {
-            const key = `analysis_${sender.tab.id}`;
-            const result = await chrome.storage.local.get(key);
-            if (result[key]) {
-              result[key].trackersBlocked = message.count;
-              await chrome.storage.local.set({ [key]: result[key] });
-            }
-          }
-          sendResponse({ success: true });
-          break;
+    let merged = null;
+    await this.tabState.update(tabId, ({ analysis }) => {
+      const known = analysis?.threats.length;
+      if (merge(analysis)) {
+        merged = analysis;
+        this.dailyStats.countThreats(analysis.domain, analysis.threats.slice(known));
+      }
+    });
+    if (merged) {
+      this.saveStats();
+      this.updateBadge(tabId, merged);
+      if (merged.historyId) {
+        await this.history.updateVisit(merged.historyId, merged);
+      }
+    }
+  }
 
-        default:
-          sendResponse({ error: 'Unknown message type' });
+  // Returns whether any new threat was added
+  mergeContentFindings(analysis, pageUrl, data) {
+    // Drop reports from a page the tab has since navigated away from
+    if (!analysis || data.timestamp < analysis.timestamp) return false;
+    if (!isSameSite(new URL(pageUrl).hostname, analysis.domain)) return false;
+    if (this.siteLists.isDisabled(analysis.domain, 'content')) return false;
+
+    const threatKey = (threat) => `${threat.signal}|${threat.selector || threat.description}`;
+    const known = new Set(analysis.threats.map(threatKey));
+    const countBySignal = (signal) =>
+      analysis.threats.filter((threat) => threat.source === THREAT_SOURCES.DOM && threat.signal === signal).length;
+
+    let added = 0;
+    for (const indicator of data.indicators) {
+      if (typeof indicator?.type !== 'string' || typeof indicator.description !== 'string') continue;
+
+      // Rule findings are described from the background's copy of the rule
+      let threat;
+      if (typeof indicator.rule === 'string') {
+        threat = this.pageRuleThreat(analysis.domain, indicator);
+      } else {
+        threat = {
+          type: indicator.type,
+          signal: indicator.type,
+          source: THREAT_SOURCES.DOM,
+          severity: getSeverityForWeight(getSignalWeight(indicator.type, this.settings.riskWeights)),
+          description: indicator.description.slice(0, 300)
+        };
+        // What the main-world monitor saw that led to a verdict
+        if (Array.isArray(indicator.evidence)) {
+          const evidence = indicator.evidence.filter((item) => typeof item === 'string');
+          threat.details = { evidence: evidence.slice(0, MAX_EVIDENCE_ITEMS).map((item) => item.slice(0, 300)) };
+        }
       }
-    } catch (error) {
-      console.error('Error handling message:', error);
-      sendResponse({ error: error.message });
+      if (!threat || !(RISK_SIGNALS[threat.signal] || this.detectionRules.signals[threat.signal])) continue;
+      threat.foundAt = Date.now();
+      if (typeof indicator.selector === 'string') {
+        threat.selector = indicator.selector.slice(0, 500);
+      }
+      if (known.has(threatKey(threat))) continue;
+      if (countBySignal(threat.signal) >= MAX_DOM_THREATS_PER_TYPE) continue;
+
+      known.add(threatKey(threat));
+      analysis.threats.push(threat);
+      added++;
+    }
+    if (added === 0) return false;
+
+    this.scoreAnalysis(analysis);
+    return true;
+  }
+
+  // The content script stopped a protected password from being submitted on this page
+  async reportPasswordReuse(sender, id) {
+    const tabId = sender.tab?.id;
+    const fingerprint = this.passwords.get(id);
+    if (!tabId || !fingerprint || !sender.url) return;
+    const hostname = new URL(sender.url).hostname;
+    if (!this.passwords.foreignTo(hostname).includes(fingerprint)) return;
+
+    await this.updateTabThreats(tabId, (analysis) => {
+      if (!analysis) return false;
+      const reported = analysis.threats.some(
+        (threat) => threat.signal === 'password_reuse' && threat.details?.password === fingerprint.label
+      );
+      if (reported) return false;
+
+      analysis.threats.push({
+        type: 'password_reuse',
+        signal: 'password_reuse',
+        source: THREAT_SOURCES.DOM,
+        foundAt: Date.now(),
+        severity: 'high',
+        description: `Your "${fingerprint.label}" password was typed on ${hostname}, but it belongs to ${fingerprint.domains.join(', ')}`,
+        details: { password: fingerprint.label, sites: fingerprint.domains, typedOn: hostname }
+      });
+      this.countStat('phishingBlocked');
+      this.countStat('threatsBlocked');
+      this.scoreAnalysis(analysis);
+      return true;
+    });
+  }
+
+  pageRuleThreat(domain, indicator) {
+    const rule = this.detectionRules.getRule(indicator.rule);
+    if (!rule?.enabled || rule.context !== RULE_CONTEXTS.PAGE) return null;
+    if (this.siteLists.isDisabled(domain, rule.detector)) return null;
+    const value = typeof indicator.match === 'string' ? indicator.match.slice(0, 300) : '';
+    return this.detectionRules.toThreat({ rule, value }, THREAT_SOURCES.DOM);
+  }
+
+  // Request rules see what the page loads; its own address is left to URL rules
+  async checkRequestRules(details) {
+    if (details.type === 'main_frame') return;
+    const matches = this.detectionRules.evaluate(RULE_CONTEXTS.REQUEST, requestSubject(details));
+    if (matches.length === 0) return;
+
+    await this.updateTabThreats(details.tabId, (analysis) => {
+      // Drop requests from the page the tab has since navigated away from
+      if (!analysis || details.timeStamp < analysis.timestamp) return false;
+
+      const known = new Set(analysis.threats.map((threat) => threat.signal));
+      let added = 0;
+      for (const match of matches) {
+        if (this.siteLists.isDisabled(analysis.domain, match.rule.detector)) continue;
+        const threat = this.detectionRules.toThreat(match, THREAT_SOURCES.NETWORK);
+        if (known.has(threat.signal)) continue;
+        known.add(threat.signal);
+        analysis.threats.push({ ...threat, foundAt: Date.now() });
+        added++;
+      }
+      if (added === 0) return false;
+
+      this.scoreAnalysis(analysis);
+      return true;
+    });
+  }
+
+  // The content script sees pool connections the page opens itself; this also catches the
+  // ones its workers open, which only show up as requests
+  async flagMiningPool(details) {
+    const description = `Connects to the mining pool ${new URL(details.url).hostname}`;
+    let flagged = false;
+    await this.updateTabThreats(details.tabId, (analysis) => {
+      if (!analysis || details.timeStamp < analysis.timestamp) return false;
+      if (this.siteLists.isDisabled(analysis.domain, 'content')) return false;
+      flagged = true;
+      if (analysis.threats.some((threat) => threat.signal === 'mining_pool_connection' && threat.description === description)) {
+        return false;
+      }
+
+      analysis.threats.push({
+        type: 'cryptomining',
+        signal: 'mining_pool_connection',
+        source: THREAT_SOURCES.NETWORK,
+        severity: getSeverityForWeight(getSignalWeight('mining_pool_connection', this.settings.riskWeights)),
+        description,
+        foundAt: Date.now()
+      });
+      this.scoreAnalysis(analysis);
+      return true;
+    });
+
+    if (flagged && this.settings.blockCryptominers) {
+      chrome.tabs.sendMessage(details.tabId, { type: 'stop_miners' }).catch(() => {});
+    }
+  }
+
+  async isIncognitoTab(tabId) {
+    try {
+      return (await chrome.tabs.get(tabId)).incognito;
+    } catch {
+      return false;
+    }
+  }
+
+  detectPhishing(domain) {
+    const result = { isPhishing: false, reason: '' };
+    const parsed = parseHostname(domain);
+    if (!parsed.registrableDomain) {
+      return result;
+    }
+
+    const brandDomains = this.settings.protectedBrands || DEFAULT_PROTECTED_BRANDS;
+    const brands = getProtectedBrands(brandDomains);
+
+    // Brand names only count as words of a label (paypal-login), not substrings (pineapple)
+    const labelWords = (label) => label.split(/[-\d]+/).filter(Boolean);
+
+    // A subdomain dressed up as the brand's site: paypal.com.evil.tk or paypal-login.evil.tk
+    const imitatesInSubdomain = (brand) => parsed.subdomainLabels.some((label, index) => {
+      const next = parsed.subdomainLabels[index + 1];
+      if (matchesBrandName(label, brand)) {
+        return !!next && isPublicSuffix(next);
+      }
+      return labelWords(label).includes(brand.label);
+    });
+
+    // Check for brand names used outside the brand's own registrable domain
+    if (!brands.some((brand) => brand.label === parsed.domainLabel)) {
+      for (const brand of brands) {
+        if (imitatesInSubdomain(brand)) {
+          result.isPhishing = true;
+          result.signal = 'brand_subdomain';
+          result.reason = `${brand.label} used in a subdomain of ${parsed.registrableDomain} - possible phishing attempt`;
+          result.details = { brand: brand.domain, technique: 'subdomain' };
+          break;
+        }
+      }
+    }
+
+    // Check for homoglyph, punycode and misspelled lookalikes of protected brands
+    if (!result.isPhishing) {
+      const lookalike = findLookalike(domain, brandDomains);
+      if (lookalike) {
+        result.isPhishing = true;
+        result.signal = 'lookalike_domain';
+        result.reason = lookalike.reason;
+        result.details = lookalike;
+      }
+    }
+
+    // Check for suspicious TLDs
+    const suspiciousTLDs = ['tk', 'ml', 'ga', 'cf', 'cc'];
+    if (!result.isPhishing && suspiciousTLDs.includes(parsed.publicSuffix)) {
+      result.isPhishing = true;
+      result.signal = 'suspicious_tld';
+      result.reason = 'Uses suspicious top-level domain often associated with phishing';
+    }
+
+    // URL shorteners are judged by where they lead, see redirectChainThreats
+
+    return result;
+  }
+
+  // Returns one finding per suspicious trait of the URL, each naming its risk signal
+  analyzeURLStructure(urlObj) {
+    const findings = [];
+
+    const parsed = parseHostname(urlObj.hostname);
+
+    // Check for IP address instead of domain
+    if (parsed.isIp) {
+      findings.push({ signal: 'ip_address', reason: 'Uses IP address instead of domain name' });
+      return findings;
+    }
+
+    // Check URL length
+    if (urlObj.href.length > 100) {
+      findings.push({ signal: 'long_url', reason: 'Unusually long URL' });
+    }
+
+    // Check for too many subdomains (labels left of the registrable domain)
+    if (parsed.subdomainLabels.length > 2) {
+      findings.push({ signal: 'many_subdomains', reason: 'Too many subdomains' });
+    }
+
+    // Check for labels mixing scripts (Latin with Cyrillic look-alikes), which browsers show as punycode
+    const mixedScript = findMixedScriptLabel(parsed.hostname);
+    if (mixedScript) {
+      findings.push({
+        signal: 'mixed_script',
+        reason: `Domain name mixes ${mixedScript.scripts.join(' and ')} characters ("${mixedScript.label}")`
+      });
+    }
+
+    // Wording in the path is checked by the built-in "suspicious-path" detection rule
+
+    return findings;
+  }
+
+  analyzeRequest(details) {
+    if (details.tabId === -1) return;
+    if (details.frameId === 0 && details.type !== 'main_frame' && details.url.startsWith('http:') &&
+        details.initiator?.startsWith('https:')) {
+      this.recordMixedContent(details).catch((error) => console.error('Mixed content check failed:', error));
+    }
+    const kind = requestKind(details.type);
+    const resources = kind ? [{ url: details.url, kind, source: RESOURCE_SOURCES.NETWORK }] : [];
+    this.queueResources(details.tabId, details.timeStamp, resources, 0, new URL(details.url).hostname);
+    this.checkRequestRules(details).catch((error) => console.error('Request rule check failed:', error));
+    if (details.type === 'websocket' && isMiningPoolUrl(details.url)) {
+      this.flagMiningPool(details).catch((error) => console.error('Mining pool check failed:', error));
+    }
+
+    // Observation only - the listener is non-blocking, so actual blocking is left
+    // to the declarativeNetRequest rulesets. Trackers seen here were let through.
+    if (this.settings.blockTrackers) return;
+
+    // Trackers are expected on sites where the user allowed them
+    if (details.initiator && details.initiator !== 'null') {
+      const initiatorHost = new URL(details.initiator).hostname;
+      if (this.siteLists.isDisabled(initiatorHost, 'trackers')) return;
+    }
+
+    const url = new URL(details.url);
+    const domain = url.hostname.toLowerCase();
+
+    if (this.feeds.has(RULESET_TRACKERS, domain)) {
+      chrome.tabs.sendMessage(details.tabId, {
+        type: 'tracker_detected',
+        trackers: [{ domain: domain, url: details.url, blocked: false }]
+      }).catch(() => {}); // Ignore errors if tab is closed
+    }
+  }
+
+  // Checks a new download's file and where it comes from, then lets it through, pauses it
+  // for the user to decide (caution) or cancels it (danger)
+  async checkDownload(item) {
+    if (!this.settings.realTimeProtection) return;
+
+    const url = item.finalUrl || item.url;
+    const host = getDownloadHost(url);
+    const referrerHost = item.referrer ? getDownloadHost(item.referrer) : null;
+    const threats = [];
+
+    // A site's download checks can be switched off with a site exception
+    if (!host || !this.siteLists.isDisabled(host, 'downloads')) {
+      inspectDownloadFile(item).forEach(({ signal, reason }) => {
+        threats.push({
+          type: 'dangerous_download',
+          signal,
+          source: THREAT_SOURCES.DOWNLOAD,
+          severity: getSeverityForWeight(getSignalWeight(signal, this.settings.riskWeights)),
+          description: reason
+        });
+      });
+
+      if (host) {
+        threats.push(...this.siteThreats(host, THREAT_SOURCES.DOWNLOAD, 'Download source'));
+      }
+      if (referrerHost && (!host || !isSameSite(host, referrerHost))) {
+        threats.push(...this.siteThreats(referrerHost, THREAT_SOURCES.DOWNLOAD, 'Referring page'));
+      }
+
+      const tab = await this.findDownloadTab(item);
+      const tabAnalysis = tab ? (await this.tabState.get(tab.id)).analysis : null;
+      if (tabAnalysis && tabAnalysis.riskScore >= RISK_THRESHOLDS.danger) {
+        threats.push({
+          type: 'dangerous_download',
+          signal: 'risky_source_tab',
+          source: THREAT_SOURCES.DOWNLOAD,
+          severity: 'medium',
+          description: `Started from ${tabAnalysis.domain}, which scored ${tabAnalysis.riskScore}/100`
+        });
+      }
+    }
+
+    const risk = scoreSignals(
+      threats.map((threat) => threat.signal),
+      this.settings.riskWeights
+    );
+    let action = DOWNLOAD_ACTIONS.ALLOWED;
+    if (risk.score >= RISK_THRESHOLDS.danger) {
+      action = DOWNLOAD_ACTIONS.CANCELLED;
+      await chrome.downloads.cancel(item.id);
+      this.countStat('threatsBlocked');
+      if (threats.some((threat) => threat.type === 'malicious_domain')) {
+        this.countStat('malwareDetected');
+      }
+      this.saveStats();
+    } else if (risk.score >= RISK_THRESHOLDS.caution) {
+      action = DOWNLOAD_ACTIONS.PAUSED;
+      await chrome.downloads.pause(item.id);
+    }
+
+    // Incognito downloads are checked but not recorded, like incognito visits
+    let entryId = null;
+    if (this.settings.keepHistory && !item.incognito) {
+      entryId = await this.history.recordDownload({
+        downloadId: item.id,
+        url,
+        referrer: item.referrer || null,
+        filename: getFileName(item.filename),
+        mime: item.mime || null,
+        timestamp: Date.now(),
+        riskScore: risk.score,
+        riskBreakdown: risk.breakdown,
+        threats,
+        action
+      });
+    }
+
+    if (action !== DOWNLOAD_ACTIONS.ALLOWED) {
+      this.notifyDownload(item, threats, action, entryId);
+    }
+  }
+
+  // Feed, site list and phishing checks of a site other than the page, such as where a
+  // download or a link leads; role names it in the descriptions
+  siteThreats(hostname, source, role) {
+    const sitePolicy = this.siteLists.lookup(hostname);
+    if (sitePolicy.status === SITE_TRUSTED) return [];
+    const isEnabled = (detector) => !sitePolicy.disabled.includes(detector);
+    const threat = (type, signal, description, details = null) => ({
+      type,
+      signal,
+      source,
+      severity: 'high',
+      description,
+      ...(details && { details })
+    });
+
+    const threats = [];
+    if (sitePolicy.status === SITE_BLOCKED) {
+      threats.push(threat('blocked_site', 'blocked_site', `${role} ${hostname} is on your blocked sites list`));
+    }
+    const maliciousMatch = isEnabled('malicious') && this.feeds.match(RULESET_MALICIOUS, hostname);
+    if (maliciousMatch) {
+      threats.push(threat('malicious_domain', 'malicious_domain', `${role} is a known malicious domain: ${maliciousMatch}`));
+    }
+    const phishingMatch = isEnabled('phishing') && this.feeds.match(RULESET_PHISHING, hostname);
+    if (phishingMatch) {
+      threats.push(threat('phishing', 'phishing_feed', `${role} is a known phishing domain: ${phishingMatch}`));
+    }
+    const phishingCheck = isEnabled('phishing') ? this.detectPhishing(hostname) : { isPhishing: false };
+    if (phishingCheck.isPhishing) {
+      threats.push(threat('phishing', phishingCheck.signal, `${role}: ${phishingCheck.reason}`, phishingCheck.details));
+    }
+    return threats;
+  }
+
+  // How risky a link on a page is, for the content script's link indicators. Only the
+  // address is checked; where a shortened link leads is known once it is opened.
+  assessLink(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return null;
+    }
+    const hostname = urlObj.hostname.toLowerCase();
+    const sitePolicy = this.siteLists.lookup(hostname);
+    const isEnabled = (detector) => !sitePolicy.disabled.includes(detector);
+
+    const threats = this.siteThreats(hostname, THREAT_SOURCES.URL, 'Link target');
+    if (isEnabled('suspicious_url')) {
+      threats.push(...this.analyzeURLStructure(urlObj).map(({ signal, reason }) => ({ signal, description: reason })));
+    }
+    this.detectionRules.evaluate(RULE_CONTEXTS.URL, urlSubject(urlObj), isEnabled).forEach((match) => {
+      threats.push(this.detectionRules.toThreat(match, THREAT_SOURCES.URL));
+    });
+
+    const risk = scoreSignals(
+      threats.map((threat) => threat.signal),
+      this.settings.riskWeights,
+      this.detectionRules.signals
+    );
+    return {
+      url,
+      hostname,
+      riskScore: risk.score,
+      level: getRiskLevel(risk.score),
+      reasons: threats.map((threat) => threat.description),
+      shortened: URL_SHORTENERS.includes(parseHostname(hostname).registrableDomain)
+    };
+  }
+
+  // Downloads don't name their tab; the tab still showing the referring page started it
+  async findDownloadTab(item) {
+    if (!item.referrer) return null;
+    try {
+      const tabs = await chrome.tabs.query({});
+      return tabs.find((tab) => tab.url === item.referrer) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  notifyDownload(item, threats, action, entryId) {
+    const fileName = getFileName(item.filename) || 'A download';
+    const paused = action === DOWNLOAD_ACTIONS.PAUSED;
+    chrome.notifications.create(downloadNotificationId(item.id, entryId), {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/notification.png'),
+      title: paused ? `Download paused: ${fileName}` : `Download blocked: ${fileName}`,
+      message: threats.map((threat) => threat.description).join('\n'),
+      priority: 2,
+      requireInteraction: paused,
+      ...(paused && { buttons: [{ title: 'Keep download' }, { title: 'Delete download' }] })
+    }).catch((error) => console.log('Could not show download notification:', error.message));
+  }
+
+  // The user's answer to a paused download, from its notification or the options page
+  async resolveDownload(downloadId, entryId, keep) {
+    if (keep) {
+      await chrome.downloads.resume(downloadId);
+    } else {
+      await chrome.downloads.cancel(downloadId);
+      this.countStat('threatsBlocked');
+      this.saveStats();
+    }
+    chrome.notifications.clear(downloadNotificationId(downloadId, entryId)).catch(() => {});
+    if (entryId) {
+      await this.history.updateDownload(entryId, {
+        action: keep ? DOWNLOAD_ACTIONS.RESUMED : DOWNLOAD_ACTIONS.DISCARDED,
+        decidedAt: Date.now()
+      });
+    }
+  }
+
+  // Drops the previous page's analysis and blocked request counts; "Proceed once" is
+  // handled separately by expireProceedOnce
+  resetTabState(tabId, since = Date.now()) {
+    return this.tabState.update(tabId, (state) => {
+      // Kept in case the new page turns out to be a client redirect from this one
+      state.previousChain = state.analysis?.redirectChain || null;
+      state.analysis = null;
+      state.blockCounts = { trackers: 0, malicious: 0, since };
+      state.inventory = emptyInventory(since);
+      state.storageIdentifiers = [];
+      state.headerAudit = null;
+      state.mixedContent = [];
+    });
+  }
+
+  recordBlockedRequest(tabId, rule, url) {
+    const category = this.rulesets.categoryForRule(rule);
+    if (!category || tabId === -1) return;
+
+    this.tabState.update(tabId, ({ blockCounts }) => {
+      if (category === RULESET_TRACKERS) blockCounts.trackers++;
+      else blockCounts.malicious++;
+    });
+
+    if (category === RULESET_TRACKERS) {
+      this.countStat('trackersBlocked');
+
+      chrome.tabs.sendMessage(tabId, {
+        type: 'tracker_detected',
+        trackers: [{ domain: new URL(url).hostname, url: url, blocked: true }]
+      }).catch(() => {}); // Ignore errors if tab is closed
+    }
+    // Malicious navigations are already counted in threatsBlocked by analyzeURL
+
+    this.saveStats();
+  }
+
+  // Fallback for packed builds: ask Chrome which rules matched on the tab since
+  // its last navigation. This call is rate limited, so failures keep the old counts.
+  async refreshBlockCounts(tabId) {
+    if (chrome.declarativeNetRequest.onRuleMatchedDebug) return;
+
+    try {
+      const { blockCounts } = await this.tabState.get(tabId);
+      const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({
+        tabId: tabId,
+        minTimeStamp: blockCounts.since
+      });
+
+      let trackers = 0;
+      let malicious = 0;
+      rulesMatchedInfo.forEach((info) => {
+        const category = this.rulesets.categoryForRule(info.rule);
+        if (category === RULESET_TRACKERS) trackers++;
+        else if (category) malicious++;
+      });
+
+      await this.tabState.update(tabId, (state) => {
+        this.countStat('trackersBlocked', Math.max(0, trackers - state.blockCounts.trackers));
+        state.blockCounts = { ...state.blockCounts, trackers, malicious };
+      });
+      this.saveStats();
+    } catch (error) {
+      console.log('Could not read matched rules:', error.message);
+    }
+  }
+
+  shouldBlock(analysis) {
+    if (analysis.riskScore < RISK_THRESHOLDS.danger) return false;
+
+    return analysis.threats.some((threat) => {
+      switch (threat.type) {
+        case 'malicious_domain':
+          return this.settings.blockMaliciousSites;
+        case 'phishing':
+          // A cheap TLD alone isn't proof of phishing - such sites get the warning instead
+          return this.settings.blockPhishing && threat.signal !== 'suspicious_tld';
+        case 'blocked_site':
+        case 'not_allowlisted':
+          return true;
+        default:
+          return false;
+      }
+    });
+  }
+
+  async showBlockPage(tabId) {
+    try {
+      await chrome.tabs.update(tabId, { url: chrome.runtime.getURL('blocked.html') });
+    } catch (error) {
+      console.log('Could not show block page:', error.message);
+    }
+  }
+
+  // What the block page shows: the blocked URL and the analysis that blocked it
+  async getBlockDetails(tabId) {
+    await this.pendingAnalyses.get(tabId);
+    const analysis = await this.getStoredAnalysis(tabId);
+    return { url: analysis?.url || null, analysis };
+  }
+
+  async proceedToBlockedSite(tabId, url) {
+    const hostname = new URL(url).hostname;
+    await this.tabState.update(tabId, (state) => {
+      state.proceedOnce = hostname;
+    });
+    await this.rulesets.allowTabOnce(tabId, hostname);
+    await chrome.tabs.update(tabId, { url });
+  }
+
+  async alwaysAllowBlockedSite(tabId, url) {
+    const hostname = new URL(url).hostname;
+    // The user's own block entries would still outrank the new trusted entry
+    for (const entry of this.siteLists.lookup(hostname).entries) {
+      if (entry.type === SITE_BLOCKED) {
+        await this.siteLists.removeEntry(entry.id);
+      }
+    }
+    await this.siteLists.addEntry({ pattern: hostname, scope: 'site', type: SITE_TRUSTED });
+    await chrome.tabs.update(tabId, { url });
+  }
+
+  // A "Proceed once" allowance ends when the tab navigates to another site
+  expireProceedOnce(tabId, url) {
+    return this.tabState.update(tabId, (state) => {
+      const allowed = state.proceedOnce;
+      if (!allowed || !/^https?:/.test(url) || new URL(url).hostname === allowed) return;
+
+      state.proceedOnce = null;
+      this.rulesets.clearTabAllowance(tabId);
+    });
+  }
+
+  async showSecurityWarning(tabId, analysis) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'security_warning',
+        analysis: analysis
+      });
+    } catch (error) {
+      // Tab might be closed or not ready
+      console.log('Could not send warning to tab:', error.message);
+    }
+  }
+
+  updateBadge(tabId, analysis = null) {
+    if (analysis && analysis.threats.length > 0) {
+      chrome.action.setBadgeText({
+        tabId: tabId,
+        text: analysis.threats.length.toString()
+      });
+      
+      const color = analysis.riskScore >= RISK_THRESHOLDS.critical ? '#dc2626' :
+                   analysis.riskScore >= RISK_THRESHOLDS.danger ? '#ea580c' : '#f59e0b';
+      
+      chrome.action.setBadgeBackgroundColor({
+        tabId: tabId,
+        color: color
+      });
+    } else {
+      chrome.action.setBadgeText({
+        tabId: tabId,
+        text: ''
+      });
+    }
+  }
+
+  async storeAnalysis(tabId, analysis) {
+    await this.tabState.update(tabId, (state) => {
+      state.analysis = analysis;
+    });
+  }
+
+  // Sent by the popup, the options page and other extension pages rather than a content
+  // script, which a page can drive with synthetic clicks
+  isExtensionPage(sender) {
+    return sender.id === chrome.runtime.id && !!sender.url?.startsWith(chrome.runtime.getURL(''));
+  }
+
+  // The block page as the top frame of its tab. It has to stay web-accessible for the
+  // rulesets' redirects, so sites can frame it - and clickjack it if framed copies counted.
+  isBlockPage(sender) {
+    return this.isExtensionPage(sender) && sender.frameId === 0 &&
+      sender.url.startsWith(chrome.runtime.getURL('blocked.html'));
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    if (EXTENSION_PAGE_MESSAGES.has(message.type) && !this.isExtensionPage(sender)) {
+      sendResponse({ error: 'Only allowed from WebGuardian pages' });
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'get_analysis':
+          // The popup names its tab; content scripts ask about their own
+          const analysis = await this.getStoredAnalysis(message.tabId ?? sender.tab?.id);
+          sendResponse(analysis);
+          break;
+
+        case 'force_scan': {
+          const tabId = message.tabId ?? sender.tab?.id;
+          const url = message.url || sender.tab?.url;
+          if (tabId && url) {
+            await this.analyzeURL(url, tabId);
+            await this.applyPosture(tabId);
+            sendResponse(await this.getStoredAnalysis(tabId));
+          } else {
+            sendResponse(null);
+          }
+          break;
+        }
+
+        case 'settings_updated':
+          this.userSettings = this.keepLockedSettings({ ...this.userSettings, ...message.settings });
+          this.settings = { ...this.userSettings, ...this.policy.settings };
+          await this.rulesets.sync(this.settings);
+          sendResponse({ success: true });
+          break;
+
+        case 'get_feed_status':
+          sendResponse(this.feeds.getStatus());
+          break;
+
+        case 'refresh_feeds':
+          sendResponse(await this.feeds.refreshAll({ force: true }));
+          break;
+
+        case 'add_feed':
+          await this.feeds.addFeed(message.feed);
+          sendResponse(this.feeds.getStatus());
+          break;
+
+        case 'remove_feed':
+          await this.feeds.removeFeed(message.id);
+          sendResponse(this.feeds.getStatus());
+          break;
+
+        case 'get_block_rules':
+          sendResponse(this.rulesets.getRules());
+          break;
+
+        case 'add_block_rule':
+          await this.rulesets.addUserRule(message.domain, message.category, this.settings);
+          sendResponse({ success: true });
+          break;
+
+        case 'remove_block_rule':
+          await this.rulesets.removeUserRule(message.domain, message.category, this.settings);
+          sendResponse({ success: true });
+          break;
+
+        case 'get_site_lists':
+          sendResponse({ entries: this.siteLists.getEntries(), detectors: SITE_DETECTORS });
+          break;
+
+        case 'add_site_entry':
+          await this.siteLists.addEntry(message.entry);
+          sendResponse({ entries: this.siteLists.getEntries(), detectors: SITE_DETECTORS });
+          break;
+
+        case 'open_options':
+          // Content-script warnings send the user here to trust a site or password themselves
+          if (OPTIONS_SECTIONS_FROM_PAGES.includes(message.section)) {
+            await chrome.tabs.create({ url: chrome.runtime.getURL(`options.html#${message.section}`) });
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'remove_site_entry':
+          await this.siteLists.removeEntry(message.id);
+          sendResponse({ entries: this.siteLists.getEntries(), detectors: SITE_DETECTORS });
+          break;
+
+        case 'get_site_policy': {
+          // Content scripts ask about their own page; the popup names the site
+          const pageUrl = message.url || sender.url || sender.tab?.url;
+          sendResponse(this.siteLists.lookup(pageUrl ? new URL(pageUrl).hostname : ''));
+          break;
+        }
+
+        case 'get_miner_policy':
+          sendResponse({ block: this.settings.blockCryptominers });
+          break;
+
+        case 'get_block_details':
+          sendResponse(await this.getBlockDetails(sender.tab?.id));
+          break;
+
+        case 'proceed_blocked':
+          if (!this.isBlockPage(sender)) throw new Error('Only allowed from the block page');
+          await this.proceedToBlockedSite(sender.tab.id, message.url);
+          sendResponse({ success: true });
+          break;
+
+        case 'allow_blocked_site':
+          if (!this.isBlockPage(sender)) throw new Error('Only allowed from the block page');
+          await this.alwaysAllowBlockedSite(sender.tab.id, message.url);
+          sendResponse({ success: true });
+          break;
+
+        case 'get_detection_rules':
+          sendResponse({ builtin: BUILTIN_RULES, rules: this.detectionRules.getUserRules() });
+          break;
+
+        case 'save_detection_rules':
+          await this.detectionRules.replaceUserRules(message.rules);
+          sendResponse({ builtin: BUILTIN_RULES, rules: this.detectionRules.getUserRules() });
+          break;
+
+        case 'get_page_rules': {
+          // The content script's page rules, minus those its site's exceptions switch off
+          const hostname = sender.url ? new URL(sender.url).hostname : '';
+          sendResponse(
+            this.detectionRules.forContext(RULE_CONTEXTS.PAGE, (detector) => !this.siteLists.isDisabled(hostname, detector))
+          );
+          break;
+        }
+
+        case 'get_protected_passwords':
+          sendResponse(this.passwords.list());
+          break;
+
+        case 'add_protected_password':
+          await this.passwords.add(message.fingerprint);
+          sendResponse(this.passwords.list());
+          break;
+
+        case 'remove_protected_password':
+          await this.passwords.remove(message.id);
+          sendResponse(this.passwords.list());
+          break;
+
+        case 'add_password_domain':
+          await this.passwords.addDomain(message.id, message.domain);
+          sendResponse(this.passwords.list());
+          break;
+
+        case 'remove_password_domain':
+          await this.passwords.removeDomain(message.id, message.domain);
+          sendResponse(this.passwords.list());
+          break;
+
+        case 'get_password_fingerprints':
+          // Content scripts only check for passwords that don't belong to their page
+          sendResponse(sender.url ? this.passwords.foreignTo(new URL(sender.url).hostname) : []);
+          break;
+
+        case 'report_password_reuse':
+          await this.reportPasswordReuse(sender, message.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'get_managed_policy':
+          sendResponse(this.policy);
+          break;
+
+        case 'get_stats':
+          sendResponse(this.stats);
+          break;
+
+        case 'clear_stats':
+          Object.keys(this.stats).forEach((counter) => {
+            this.stats[counter] = 0;
+          });
+          this.dailyStats.clear();
+          await this.flushStats();
+          sendResponse({ success: true });
+          break;
+
+        case 'get_history':
+          sendResponse(await this.history.query(message.query));
+          break;
+
+        case 'get_history_entry': {
+          const entry = await this.history.getEntry(message.id);
+          const reputation = entry ? await this.history.getReputation(entry.domain) : null;
+          sendResponse({ entry, reputation });
+          break;
+        }
+
+        case 'clear_history':
+          await this.history.clear();
+          sendResponse({ success: true });
+          break;
+
+        case 'get_downloads':
+          sendResponse(await this.history.queryDownloads(message.query));
+          break;
+
+        case 'resolve_download': {
+          const entry = await this.history.getDownload(message.id);
+          if (entry?.action !== DOWNLOAD_ACTIONS.PAUSED) {
+            throw new Error('The download is no longer waiting for you');
+          }
+          await this.resolveDownload(entry.downloadId, entry.id, message.keep);
+          sendResponse(await this.history.getDownload(message.id));
+          break;
+        }
+
+        case 'clear_downloads':
+          await this.history.clearDownloads();
+          sendResponse({ success: true });
+          break;
+
+        case 'check_links': {
+          const urls = Array.isArray(message.urls) ? message.urls.slice(0, MAX_LINK_CHECKS) : [];
+          sendResponse(
+            urls
+              .filter((url) => typeof url === 'string' && /^https?:/.test(url))
+              .map((url) => this.assessLink(url))
+              .filter(Boolean)
+          );
+          break;
+        }
+
+        case 'report_suspicious':
+          await this.reportContentFindings(sender, message.data);
+          sendResponse({ success: true });
+          break;
+
+        case 'report_resources':
+          this.reportContentResources(sender, message.data);
+          sendResponse({ success: true });
+          break;
+
+        case 'get_inventory':
+          sendResponse(await this.getInventory(message.tabId ?? sender.tab?.id));
+          break;
+
+        case 'report_storage':
+          await this.reportStorageIdentifiers(sender, message.data);
+          sendResponse({ success: true });
+          break;
+
+        case 'get_cookie_report':
+          sendResponse(await this.getCookieReport(message.tabId));
+          break;
+
+        case 'clear_third_party_cookies':
+          sendResponse({ removed: await this.clearThirdPartyCookies(message.tabId) });
+          break;
+
+        case 'export_backup':
+          sendResponse(await this.exportBackup(message.includeHistory));
+          break;
+
+        case 'preview_import':
+          sendResponse(await this.previewImport(message.data, message.options));
+          break;
+
+        case 'apply_import':
+          sendResponse(await this.applyImport(message.data, message.options));
+          break;
+
+        case 'update_tracker_count':
+          if (sender.tab?.id) {
+            await this.tabState.update(sender.tab.id, ({ analysis }) => {
+              if (analysis) analysis.trackersBlocked = message.count;
+            });
+          }
+          sendResponse({ success: true });
+          break;
+
+        default:
+          sendResponse({ error: 'Unknown message type' });
+      }
+    } catch (error) {
+      console.error('Error handling message:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  async exportBackup(includeHistory) {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: Date.now(),
+      // The user's own values; the policy's stay with the policy
+      settings: this.userSettings,
+      // Ids are local; imported entries get new ones
+      siteLists: this.siteLists.getUserEntries().map(({ pattern, scope, type, detectors, expiresAt, note, addedAt }) => ({
+        pattern,
+        scope,
+        type,
+        detectors,
+        expiresAt,
+        note,
+        addedAt
+      })),
+      customRules: this.rulesets.userRules,
+      detectionRules: this.detectionRules.getUserRules(),
+      history: includeHistory ? await this.history.exportData() : null
+    };
+  }
+
+  currentBackupState() {
+    return {
+      settings: this.userSettings,
+      siteLists: this.siteLists.getUserEntries(),
+      customRules: this.rulesets.userRules,
+      detectionRules: this.detectionRules.getUserRules()
+    };
+  }
+
+  // What importing the file would change, without changing anything
+  async previewImport(data, { mode, includeHistory }) {
+    const { backup, errors, warnings } = parseBackup(data);
+    if (!backup) return { errors, warnings, diff: null };
+
+    const current = this.currentBackupState();
+    const combined = combineBackup(current, backup, mode);
+    const tooMany = tooManyDetectionRules(combined);
+    if (tooMany) return { errors: [...errors, tooMany], warnings, diff: null };
+    const diff = diffBackup(current, combined);
+    diff.settings = diff.settings.filter(({ key }) => {
+      const locked = key in this.policy.settings;
+      if (locked) warnings.push(`settings.${key}: managed by your organization, skipped`);
+      return !locked;
+    });
+    diff.history = null;
+    if (includeHistory && backup.history) {
+      const combined = await this.history.combineData(backup.history, { replace: mode === IMPORT_REPLACE });
+      diff.history = {
+        visitsBefore: combined.visitsBefore,
+        visitsAfter: combined.visits.length,
+        sitesBefore: combined.sitesBefore,
+        sitesAfter: combined.domains.length
+      };
+    }
+    return { errors, warnings, diff, hasHistory: !!backup.history };
+  }
+
+  async applyImport(data, { mode, includeHistory }) {
+    const { backup, errors } = parseBackup(data);
+    if (!backup) return { error: errors[0] };
+
+    const combined = combineBackup(this.currentBackupState(), backup, mode);
+    const tooMany = tooManyDetectionRules(combined);
+    if (tooMany) return { error: tooMany };
+    this.userSettings = this.keepLockedSettings(combined.settings);
+    this.settings = { ...this.userSettings, ...this.policy.settings };
+    await chrome.storage.sync.set({ webguardian_settings: this.userSettings });
+    await this.rulesets.sync(this.settings);
+    await this.siteLists.replaceEntries(combined.siteLists);
+    await this.rulesets.replaceUserRules(combined.customRules, this.settings);
+    await this.detectionRules.replaceUserRules(combined.detectionRules);
+    if (includeHistory && backup.history) {
+      await this.history.importData(backup.history, { replace: mode === IMPORT_REPLACE });
     }
+    return { success: true };
   }
 
   async getStoredAnalysis(tabId) {
     if (!tabId) return null;
     
-    const key = `analysis_${tabId}`;
     try {
-      const result = await chrome.storage.local.get(key);
-      return result[key] || {
+      await this.refreshBlockCounts(tabId);
+      const state = await this.tabState.get(tabId);
+      const analysis = state.analysis || {
         url: 'Unknown',
         domain: 'Unknown',
         threats: [],
         riskScore: 0,
-        trackersBlocked: this.stats.trackersBlocked,
         timestamp: Date.now(),
         isSecure: true
       };
+      return { ...analysis, trackersBlocked: state.blockCounts.trackers };
     } catch (error) {
       console.error('Failed to get stored analysis:', error);
       return null;
@@ -1,14 +1,83 @@
 // Content script for WebGuardian - monitors page content in real-time
+
+// Links are checked with the background in batches as the page adds them
+const LINK_CHECK_DELAY_MS = 300;
+const MAX_LINKS_PER_CHECK = 100;
+
+// Scripts and frames the page adds are reported for the resource inventory in batches
+const RESOURCE_REPORT_DELAY_MS = 1000;
+
+// Trackers write their visitor IDs once their scripts have run, so storage is read after this
+const STORAGE_CHECK_DELAY_MS = 5000;
+
+// Real top-level domains that are far more often file names in link text ("README.md")
+const FILE_NAME_SUFFIXES = new Set(['md', 'py', 'sh', 'zip', 'mov', 'rs', 'pl', 'pm']);
+
+// Payment providers whose scripts take card details straight from the merchant's page
+const PAYMENT_PROCESSOR_DOMAINS = [
+  'stripe.com', 'braintreegateway.com', 'braintree-api.com', 'authorize.net', 'adyen.com',
+  'paypal.com', 'squareup.com', 'checkout.com', 'worldpay.com', 'klarna.com', 'cybersource.com'
+];
+
+const FIELD_LABELS = { password: 'password', card: 'payment card' };
+
+// Clickjacking: a cross-origin frame fainter than this is treated as invisible
+const INVISIBLE_FRAME_OPACITY = 0.1;
+// A frame that slid under a cursor resting this long had to come to the cursor
+const RESTING_POINTER_MS = 150;
+// ...and counts as moved into place if the click follows within this
+const FRAME_MOVE_WINDOW_MS = 1000;
+// What a hidden frame is laid over, or a decoy drawn above it, pretends to be
+const CLICK_TARGETS = 'a[href], button, input, select, textarea, label, summary, [role="button"], [role="link"], [onclick]';
+
+// Events shared with main-world.js
+const MAIN_WORLD_REPORT_EVENT = 'webguardian:main-world-report';
+const MAIN_WORLD_COMMAND_EVENT = 'webguardian:main-world-command';
+
 class WebGuardianContentScript {
   constructor() {
     this.observers = [];
     this.warningShown = false;
     this.suspiciousElements = [];
     this.trackerCount = 0;
+    this.disabledDetectors = [];
+    this.pageRules = [];
+    this.passwordFingerprints = [];
+
+    // Link scanning: the href each link was checked for, what the background said about
+    // each target, links waiting for a check and the flags shown on risky ones
+    this.scannedLinks = new WeakMap();
+    this.linkResults = new Map();
+    this.pendingLinks = new Map();
+    this.linkCheckTimer = null;
+    this.linkFlags = new WeakMap();
+    this.linkTooltip = null;
+    this.resourceReportTimer = null;
+    this.storageCheckTimer = null;
+
+    // Miner checks: whether to stop miners, how many workers the page has running and
+    // whether it shares memory between them, as multi-threaded miners do
+    this.minerSignatures = null;
+    this.blockMiners = false;
+    this.workerCount = 0;
+    this.sharesMemory = false;
+
+    // Script behaviour seen by the main-world monitor, kept as evidence for later verdicts
+    this.keyListenerFields = new Set();
+    this.runsDecodedCode = false;
+
+    // Clickjacking guard: where the pointer last moved, when frames arrived under a resting
+    // cursor, frames the user let clicks through to, and the shield over a suspect frame
+    this.lastPointer = null;
+    this.frameArrivals = new WeakMap();
+    this.allowedFrames = new WeakSet();
+    this.clickShield = null;
     
     // Only run on actual web pages
     if (this.shouldRun()) {
-      this.init();
+      this.init().catch((error) => {
+        console.error('WebGuardian content script error:', error);
+      });
     }
   }
 
@@ -21,9 +90,24 @@ class WebGuardianContentScript {
            !url.startsWith('about:');
   }
 
-  init() {
+  async init() {
     // Set up message listener first
     this.setupMessageListener();
+
+    // Shared Public Suffix List-aware domain parsing (content scripts can't use static imports)
+    this.domain = await import(chrome.runtime.getURL('lib/domain.js'));
+    this.ruleEngine = await import(chrome.runtime.getURL('lib/rule-engine.js'));
+
+    // Checks the user switched off for this site (trusted sites switch off all of them)
+    await this.loadSitePolicy();
+    if (!this.isDetectorDisabled('phishing')) {
+      await this.setupPasswordProtection();
+    }
+    if (this.isDetectorDisabled('content')) {
+      return;
+    }
+    await this.loadPageRules();
+    await this.setupMainWorldMonitor();
     
     // Wait for DOM to be ready
     if (document.readyState === 'loading') {
@@ -35,14 +119,39 @@ class WebGuardianContentScript {
     }
   }
 
+  async loadSitePolicy() {
+    try {
+      const policy = await chrome.runtime.sendMessage({ type: 'get_site_policy' });
+      this.disabledDetectors = policy?.disabled || [];
+    } catch (error) {
+      console.log('Could not load site policy:', error.message);
+    }
+  }
+
+  // Built-in and user detection rules that look at the page itself
+  async loadPageRules() {
+    try {
+      this.pageRules = (await chrome.runtime.sendMessage({ type: 'get_page_rules' })) || [];
+    } catch (error) {
+      console.log('Could not load detection rules:', error.message);
+    }
+  }
+
+  isDetectorDisabled(detector) {
+    return this.disabledDetectors.includes(detector);
+  }
+
   startMonitoring() {
     try {
       // Start monitoring page content
       this.setupDOMObserver();
       this.analyzeCurrentPage();
       this.monitorForms();
-      this.detectClickjacking();
+      this.setupClickjackingGuard();
       this.checkForCryptomining();
+      this.storageCheckTimer = setTimeout(() => {
+        this.checkStorageIdentifiers().catch((error) => console.error('WebGuardian storage check error:', error));
+      }, STORAGE_CHECK_DELAY_MS);
       
       console.log('WebGuardian content script initialized on:', window.location.hostname);
     } catch (error) {
@@ -55,7 +164,7 @@ class WebGuardianContentScript {
       try {
         switch (message.type) {
           case 'security_warning':
-            this.showSecurityWarning(message.analysis);
+            this.showSecurityWarning(message.analysis).catch(console.error);
             break;
           case 'tracker_detected':
             this.handleTrackerDetection(message);
@@ -63,6 +172,10 @@ class WebGuardianContentScript {
           case 'suspicious_elements':
             this.highlightSuspiciousElements(message.elements);
             break;
+          case 'stop_miners':
+            // The background saw a worker connect to a mining pool
+            this.stopMiners({ allWorkers: true });
+            break;
         }
         sendResponse({ success: true });
       } catch (error) {
@@ -72,7 +185,7 @@ class WebGuardianContentScript {
   }
 
   setupDOMObserver() {
-    // Monitor for dynamically added content
+    // Monitor for dynamically added content, and links whose target is changed
     const observer = new MutationObserver((mutations) => {
       mutations.forEach((mutation) => {
         if (mutation.type === 'childList') {
@@ -81,13 +194,17 @@ class WebGuardianContentScript {
               this.analyzeNewElement(node);
             }
           });
+        } else if (mutation.type === 'attributes') {
+          this.scanLinks(mutation.target);
         }
       });
     });
 
     observer.observe(document.body || document.documentElement, {
       childList: true,
-      subtree: true
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['href']
     });
 
     this.observers.push(observer);
@@ -95,38 +212,87 @@ class WebGuardianContentScript {
 
   analyzeCurrentPage() {
     // Analyze the current page content
-    this.checkForPhishingIndicators();
+    if (!this.isDetectorDisabled('phishing')) {
+      this.checkForPhishingIndicators();
+    }
     this.analyzeForms();
     this.checkForSuspiciousScripts();
     this.detectHiddenElements();
+    this.runDetectionRules();
+    this.scanLinks(document);
+    this.queueResourceReport();
   }
 
-  checkForPhishingIndicators() {
-    const indicators = [];
-    
-    // Check page text for phishing keywords
-    const pageText = document.body ? document.body.textContent.toLowerCase() : '';
-    const phishingKeywords = [
-      'verify your account immediately',
-      'account suspended',
-      'click here now',
-      'limited time offer',
-      'confirm your identity',
-      'unusual activity detected',
-      'urgent action required',
-      'winner selected',
-      'claim your prize'
-    ];
+  queueResourceReport() {
+    if (this.resourceReportTimer) return;
+    this.resourceReportTimer = setTimeout(() => {
+      this.resourceReportTimer = null;
+      this.reportResources();
+    }, RESOURCE_REPORT_DELAY_MS);
+  }
 
-    phishingKeywords.forEach(keyword => {
-      if (pageText.includes(keyword)) {
-        indicators.push({
-          type: 'phishing_language',
-          element: 'page_content',
-          description: `Suspicious phishing language detected: "${keyword}"`
-        });
+  // The page's scripts and frames as the DOM has them. The background records requests
+  // too, but not the scripts served from memory cache or written inline.
+  reportResources() {
+    const resources = [];
+    let inlineScripts = 0;
+    document.querySelectorAll('script').forEach((script) => {
+      if (script.src) resources.push({ url: script.src, kind: 'script' });
+      else if (script.textContent.trim()) inlineScripts++;
+    });
+    document.querySelectorAll('iframe[src]').forEach((frame) => {
+      resources.push({ url: frame.src, kind: 'iframe' });
+    });
+
+    chrome.runtime.sendMessage({
+      type: 'report_resources',
+      data: { resources, inlineScripts, timestamp: Date.now() }
+    }).catch(() => {
+      console.log('Could not report page resources - extension context invalid');
+    });
+  }
+
+  // Visitor IDs in localStorage, for the popup's cookie view. Only keys and reasons are sent.
+  async checkStorageIdentifiers() {
+    const { MAX_STORAGE_IDENTIFIERS, describeStorageIdentifier } = await import(chrome.runtime.getURL('lib/cookie-audit.js'));
+    const identifiers = [];
+    try {
+      for (let index = 0; index < localStorage.length && identifiers.length < MAX_STORAGE_IDENTIFIERS; index++) {
+        const key = localStorage.key(index);
+        const reason = describeStorageIdentifier(key, localStorage.getItem(key));
+        if (reason) identifiers.push({ key, reason });
       }
+    } catch {
+      // Storage is blocked for this page
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'report_storage',
+      data: { identifiers, timestamp: Date.now() }
+    }).catch(() => {
+      console.log('Could not report storage identifiers - extension context invalid');
     });
+  }
+
+  runDetectionRules() {
+    const { RULE_CONTEXTS, describeMatch, evaluateRules, pageSubject } = this.ruleEngine;
+    const matches = evaluateRules(this.pageRules, RULE_CONTEXTS.PAGE, pageSubject(document, window.location.href));
+    if (matches.length > 0) {
+      this.reportSuspiciousContent(matches.map((match) => ({
+        type: match.rule.type,
+        rule: match.rule.id,
+        match: match.value,
+        element: match.element,
+        description: describeMatch(match)
+      })));
+    }
+  }
+
+  checkForPhishingIndicators() {
+    const indicators = [];
+
+    // Phishing wording in the page text is checked by the "phishing-language" detection rule
 
     // Check for fake login forms
     const loginForms = document.querySelectorAll('form input[type="password"]');
@@ -134,7 +300,7 @@ class WebGuardianContentScript {
       const form = passwordInput.closest('form');
       if (form) {
         const action = form.getAttribute('action');
-        if (action && !action.includes(window.location.hostname)) {
+        if (action && !this.isSameSiteUrl(action)) {
           indicators.push({
             type: 'external_login_form',
             element: form,
@@ -180,7 +346,18 @@ class WebGuardianContentScript {
     
     try {
       const url = new URL(src, window.location.href);
-      return legitimateDomains.some(domain => url.hostname.includes(domain));
+      return legitimateDomains.includes(this.domain.getRegistrableDomain(url.hostname));
+    } catch {
+      return false;
+    }
+  }
+
+  isSameSiteUrl(url) {
+    try {
+      const target = new URL(url, window.location.href);
+      // javascript:, data: and similar targets stay on the page
+      if (!target.hostname) return true;
+      return this.domain.isSameSite(target.hostname, window.location.hostname);
     } catch {
       return false;
     }
@@ -236,44 +413,221 @@ class WebGuardianContentScript {
             description: 'Script with invalid URL'
           }]);
         }
-      } else if (script.textContent) {
-        // Inline script analysis
-        if (this.isSuspiciousScriptContent(script.textContent)) {
-          this.reportSuspiciousContent([{
-            type: 'suspicious_inline_script',
-            element: script,
-            description: 'Inline script with suspicious content'
-          }]);
-        }
       }
+      // Inline scripts are checked by the "obfuscated-inline-script" detection rule
     });
   }
 
   isSuspiciousScriptSource(url) {
     // Check for suspicious patterns in script sources
-    const suspiciousPatterns = [
-      /\d+\.\d+\.\d+\.\d+/, // IP addresses
-      /[a-z0-9]{20,}\.com/, // Random long domains
-      /bit\.ly|tinyurl|short/, // URL shorteners
-      /\.tk$|\.ml$|\.ga$|\.cf$/ // Suspicious TLDs
-    ];
+    const parsed = this.domain.parseHostname(url.hostname);
+    const domainLabel = parsed.domainLabel || '';
 
-    return suspiciousPatterns.some(pattern => pattern.test(url.hostname));
+    return parsed.isIp || // IP addresses
+      /^[a-z0-9]{20,}$/.test(domainLabel) || // Random long domains
+      ['bit.ly', 'tinyurl.com'].includes(parsed.registrableDomain) || /short/.test(domainLabel) || // URL shorteners
+      ['tk', 'ml', 'ga', 'cf'].includes(parsed.publicSuffix); // Suspicious TLDs
   }
 
-  isSuspiciousScriptContent(content) {
-    const suspiciousPatterns = [
-      /eval\s*\(/i,
-      /document\.write\s*\(/i,
-      /innerHTML\s*=.*<script/i,
-      /crypto.*mine/i,
-      /bitcoin|ethereum|monero/i,
-      /keylogger|keypress.*password/i,
-      /atob\s*\(/i, // Base64 decoding often used in obfuscation
-      /String\.fromCharCode/i // Character code conversion for obfuscation
-    ];
+  // Checks the links in root, or root itself if it is one. A link is checked again when
+  // its href changes, as pages swap targets to get past link scanners.
+  scanLinks(root) {
+    const anchors = root.matches?.('a[href]') ? [root] : [...(root.querySelectorAll?.('a[href]') || [])];
+    const mismatches = [];
+
+    anchors.forEach((anchor) => {
+      const target = this.getLinkTarget(anchor);
+      if (!target || this.scannedLinks.get(anchor) === target.href) return;
+      this.scannedLinks.set(anchor, target.href);
+
+      const shown = this.getLinkTextHostname(anchor);
+      if (shown && !this.domain.isSameSite(shown, target.hostname)) {
+        this.flagLink(anchor, { shownHostname: shown });
+        mismatches.push({
+          type: 'link_text_mismatch',
+          element: anchor,
+          description: `Link text shows ${shown} but the link leads to ${target.hostname}`
+        });
+      }
+
+      if (this.isSameSiteUrl(target.href)) return;
+      if (this.linkResults.has(target.href)) {
+        this.applyLinkResult(anchor, this.linkResults.get(target.href));
+      } else {
+        this.queueLinkCheck(anchor, target.href);
+      }
+    });
+
+    if (mismatches.length > 0) {
+      this.reportSuspiciousContent(mismatches);
+    }
+  }
+
+  getLinkTarget(anchor) {
+    try {
+      // getAttribute, as SVG links have no string href property
+      const url = new URL(anchor.getAttribute('href'), document.baseURI);
+      return /^https?:$/.test(url.protocol) ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // The site a link's text names, if the text is an address: "paypal.com", "https://www.paypal.com/signin"
+  getLinkTextHostname(anchor) {
+    const match = (anchor.textContent || '')
+      .trim()
+      .match(/^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})\.?(?:[:/?#]\S*)?$/i);
+    if (!match) return null;
+
+    const parsed = this.domain.parseHostname(match[1].toLowerCase());
+    if (!parsed.registrableDomain || !this.domain.isPublicSuffix(parsed.publicSuffix)) return null;
+    if (FILE_NAME_SUFFIXES.has(parsed.publicSuffix) && !/^(https?:\/\/|www\.)/i.test(match[0])) return null;
+    return parsed.hostname;
+  }
+
+  queueLinkCheck(anchor, href) {
+    const waiting = this.pendingLinks.get(href) || [];
+    waiting.push(anchor);
+    this.pendingLinks.set(href, waiting);
+    if (!this.linkCheckTimer) {
+      this.linkCheckTimer = setTimeout(() => this.checkQueuedLinks(), LINK_CHECK_DELAY_MS);
+    }
+  }
+
+  async checkQueuedLinks() {
+    this.linkCheckTimer = null;
+    const batch = [...this.pendingLinks.entries()].slice(0, MAX_LINKS_PER_CHECK);
+    batch.forEach(([href]) => this.pendingLinks.delete(href));
+    if (this.pendingLinks.size > 0) {
+      this.linkCheckTimer = setTimeout(() => this.checkQueuedLinks(), LINK_CHECK_DELAY_MS);
+    }
+
+    let results;
+    try {
+      results = await chrome.runtime.sendMessage({ type: 'check_links', urls: batch.map(([href]) => href) });
+    } catch (error) {
+      console.log('Could not check links:', error.message);
+      return;
+    }
+    if (!Array.isArray(results)) return;
+
+    const anchorsByUrl = new Map(batch);
+    const risky = [];
+    results.forEach((result) => {
+      this.linkResults.set(result.url, result);
+      (anchorsByUrl.get(result.url) || []).forEach((anchor) => {
+        if (this.applyLinkResult(anchor, result)) {
+          risky.push({
+            type: 'risky_link',
+            element: anchor,
+            description: `Links to ${result.hostname}, which scores ${result.riskScore}/100`
+          });
+        }
+      });
+    });
+    if (risky.length > 0) {
+      this.reportSuspiciousContent(risky);
+    }
+  }
+
+  // Returns whether the link was flagged as risky
+  applyLinkResult(anchor, result) {
+    // The page may have pointed the link elsewhere while it was being checked
+    if (this.scannedLinks.get(anchor) !== result.url || result.level === 'safe') return false;
+    this.flagLink(anchor, { result });
+    return true;
+  }
+
+  // Marks a link with a warning sign; hovering either shows where it really goes
+  flagLink(anchor, flag) {
+    const existing = this.linkFlags.get(anchor);
+    this.linkFlags.set(anchor, { ...existing, ...flag });
+    if (existing) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'webguardian-link-flag';
+    badge.textContent = '⚠️';
+    badge.style.cssText = `
+      display: inline-block !important;
+      margin-left: 2px !important;
+      font-size: 0.85em !important;
+      text-decoration: none !important;
+      cursor: help !important;
+    `;
+    anchor.insertAdjacentElement('afterend', badge);
+
+    [anchor, badge].forEach((element) => {
+      element.addEventListener('mouseenter', () => this.showLinkTooltip(anchor));
+      element.addEventListener('mouseleave', () => this.hideLinkTooltip());
+    });
+
+    // Dangerous targets ask once more before the click goes through
+    anchor.addEventListener('click', (event) => {
+      const { result } = this.linkFlags.get(anchor) || {};
+      if (!result || (result.level !== 'danger' && result.level !== 'critical')) return;
+      const proceed = confirm(
+        `WebGuardian: this link leads to ${result.hostname}, which scores ${result.riskScore}/100. Open it anyway?`
+      );
+      if (!proceed) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+      }
+    }, true);
+  }
+
+  showLinkTooltip(anchor) {
+    const flag = this.linkFlags.get(anchor);
+    const target = this.getLinkTarget(anchor);
+    if (!flag || !target) return;
 
-    return suspiciousPatterns.some(pattern => pattern.test(content));
+    if (!this.linkTooltip) {
+      this.linkTooltip = document.createElement('div');
+      this.linkTooltip.id = 'webguardian-link-tooltip';
+      this.linkTooltip.style.cssText = `
+        position: fixed !important;
+        z-index: 999999997 !important;
+        max-width: 360px !important;
+        background: #1f2937 !important;
+        color: #f9fafb !important;
+        padding: 10px 12px !important;
+        border-radius: 6px !important;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.3) !important;
+        font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+        pointer-events: none !important;
+        word-break: break-all !important;
+      `;
+    }
+
+    // Addresses and reasons come from the page, so everything is set as text
+    const lines = [['WebGuardian', 'font-weight: 600 !important;'], [`Goes to: ${target.href.slice(0, 300)}`, '']];
+    if (flag.shownHostname) {
+      lines.push([`The link text shows ${flag.shownHostname}, but it leads to ${target.hostname}.`, 'color: #fca5a5 !important;']);
+    }
+    if (flag.result) {
+      lines.push([`Risk score: ${flag.result.riskScore}/100`, 'color: #fcd34d !important;']);
+      flag.result.reasons.slice(0, 3).forEach((reason) => lines.push([`• ${reason}`, '']));
+    }
+    if (flag.result?.shortened) {
+      lines.push(['Shortened link: where it ends up is only known once it is opened.', '']);
+    }
+    this.linkTooltip.replaceChildren(
+      ...lines.map(([text, style]) => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        line.style.cssText = style;
+        return line;
+      })
+    );
+
+    const rect = anchor.getBoundingClientRect();
+    this.linkTooltip.style.setProperty('top', `${Math.round(rect.bottom + 6)}px`, 'important');
+    this.linkTooltip.style.setProperty('left', `${Math.round(Math.max(8, Math.min(rect.left, window.innerWidth - 368)))}px`, 'important');
+    (document.body || document.documentElement).appendChild(this.linkTooltip);
+  }
+
+  hideLinkTooltip() {
+    this.linkTooltip?.remove();
   }
 
   detectHiddenElements() {
@@ -300,89 +654,336 @@ class WebGuardianContentScript {
     });
   }
 
-  detectClickjacking() {
-    // Check if page is being framed
-    if (window.self !== window.top) {
-      try {
-        // Try to access parent location
-        const parentHost = window.parent.location.hostname;
-        if (parentHost !== window.location.hostname) {
-          this.reportSuspiciousContent([{
-            type: 'potential_clickjacking',
-            description: 'Page loaded in iframe from different domain'
-          }]);
-        }
-      } catch (e) {
-        // Cross-origin error - potentially malicious framing
-        this.reportSuspiciousContent([{
-          type: 'cross_origin_framing',
-          description: 'Page framed by unknown origin - potential clickjacking'
-        }]);
+  // A frame only gets clicks when the cursor is over it, and the page never sees them, so a
+  // cross-origin frame that is invisible or sits under a decoy gets a transparent shield
+  // while the cursor is on it. The shield takes the click and asks before the frame can have it.
+  setupClickjackingGuard() {
+    document.addEventListener('mousemove', (event) => {
+      const { clientX: x, clientY: y, timeStamp } = event;
+      const last = this.lastPointer;
+      if (!last || Math.abs(last.x - x) > 2 || Math.abs(last.y - y) > 2) {
+        this.lastPointer = { x, y, since: timeStamp };
       }
+    }, { capture: true, passive: true });
+
+    document.addEventListener('mouseover', (event) => {
+      const frame = event.target;
+      if (!(frame instanceof HTMLIFrameElement) || this.allowedFrames.has(frame)) return;
+
+      // The frame moved, or was put, under a cursor that wasn't moving
+      const last = this.lastPointer;
+      if (last && Math.abs(last.x - event.clientX) <= 2 && Math.abs(last.y - event.clientY) <= 2 &&
+          event.timeStamp - last.since >= RESTING_POINTER_MS) {
+        this.frameArrivals.set(frame, Date.now());
+      }
+      this.guardFrame(frame, event.clientX, event.clientY);
+    }, true);
+
+    // A shield left behind by scrolling would cover whatever moved under it
+    window.addEventListener('scroll', () => this.removeClickShield(), { capture: true, passive: true });
+  }
+
+  // Frames from another site; same-site ones are the page's own
+  getFrameHost(frame) {
+    // Cross-origin frames don't expose their document
+    if (frame.contentDocument) return null;
+    try {
+      const { hostname } = new URL(frame.src, window.location.href);
+      if (hostname && this.domain.isSameSite(hostname, window.location.hostname)) return null;
+      return hostname || 'an unknown site';
+    } catch {
+      return 'an unknown site';
     }
   }
 
-  checkForCryptomining() {
-    // Look for common cryptomining scripts and indicators
-    const miningIndicators = [
-      'coinhive',
-      'jsecoin',
-      'crypto-loot',
-      'webminepool',
-      'authedmine',
-      'coin-have',
-      'minero'
-    ];
+  // Opacity as drawn: the frame's own times its ancestors', including opacity() filters
+  getEffectiveOpacity(element) {
+    let opacity = 1;
+    for (let node = element; node instanceof Element; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      opacity *= Number(style.opacity) || 0;
+      const filter = style.filter.match(/opacity\(([\d.]+)(%?)\)/);
+      if (filter) opacity *= Number(filter[1]) / (filter[2] ? 100 : 1);
+    }
+    return opacity;
+  }
+
+  // Everything drawn at a point, top first, including what pointer-events: none hides from clicks
+  getElementStack(x, y) {
+    const style = document.createElement('style');
+    style.textContent = '* { pointer-events: auto !important; }';
+    document.documentElement.appendChild(style);
+    try {
+      return document.elementsFromPoint(x, y);
+    } finally {
+      style.remove();
+    }
+  }
+
+  // Why a click at (x, y) on the frame would be one the user didn't mean to give it, or null
+  assessFrame(frame, x, y) {
+    const host = this.getFrameHost(frame);
+    if (!host) return null;
+    const stack = this.getElementStack(x, y);
+    const index = stack.indexOf(frame);
+    if (index === -1) return null;
+
+    const opacity = this.getEffectiveOpacity(frame);
+    // A control drawn above the frame that lets clicks fall through to it
+    const decoy = stack.slice(0, index).find((element) =>
+      !(element instanceof HTMLIFrameElement) &&
+      element.matches(CLICK_TARGETS) &&
+      window.getComputedStyle(element).pointerEvents === 'none' &&
+      this.getEffectiveOpacity(element) >= 0.5
+    );
+    if (opacity >= INVISIBLE_FRAME_OPACITY && !decoy) return null;
+
+    const arrivedAt = this.frameArrivals.get(frame);
+    return {
+      host,
+      opacity,
+      decoy: decoy || null,
+      bait: stack.slice(index + 1).find((element) => element.matches(CLICK_TARGETS)) || null,
+      moved: !!arrivedAt && Date.now() - arrivedAt <= FRAME_MOVE_WINDOW_MS
+    };
+  }
+
+  guardFrame(frame, x, y) {
+    if (this.clickShield?.frame === frame || !this.assessFrame(frame, x, y)) return;
+    this.removeClickShield();
+
+    const rect = frame.getBoundingClientRect();
+    const shield = document.createElement('div');
+    shield.className = 'webguardian-click-shield';
+    shield.style.cssText = `
+      position: fixed !important;
+      top: ${rect.top}px !important;
+      left: ${rect.left}px !important;
+      width: ${rect.width}px !important;
+      height: ${rect.height}px !important;
+      z-index: 2147483647 !important;
+      background: transparent !important;
+      pointer-events: auto !important;
+    `;
+    shield.addEventListener('mousemove', (event) => {
+      // The page can move the frame away from under the shield
+      const current = frame.getBoundingClientRect();
+      if (event.clientX < current.left || event.clientX > current.right ||
+          event.clientY < current.top || event.clientY > current.bottom) {
+        this.removeClickShield();
+      }
+    });
+    shield.addEventListener('mouseleave', () => this.removeClickShield());
+    shield.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.holdFrameClick(frame, event.clientX, event.clientY);
+    });
+
+    (document.body || document.documentElement).appendChild(shield);
+    this.clickShield = { frame, element: shield };
+  }
+
+  removeClickShield() {
+    this.clickShield?.element.remove();
+    this.clickShield = null;
+  }
+
+  // The click is checked again where it landed, as the page may have changed since the hover
+  holdFrameClick(frame, x, y) {
+    this.removeClickShield();
+    const verdict = this.assessFrame(frame, x, y);
+    if (!verdict) return;
+
+    const evidence = this.describeClickjacking(verdict);
+    this.reportSuspiciousContent([{
+      type: 'clickjacking',
+      element: frame,
+      description: verdict.decoy
+        ? `A control drawn over a frame from ${verdict.host} passes clicks through to it`
+        : `An invisible frame from ${verdict.host} was placed where you clicked`,
+      evidence
+    }]);
 
-    const pageContent = document.documentElement.outerHTML.toLowerCase();
-    miningIndicators.forEach(indicator => {
-      if (pageContent.includes(indicator)) {
+    const allow = confirm(
+      `WebGuardian stopped a click: it would have gone to ${verdict.decoy ? 'a hidden' : 'an invisible'} frame ` +
+      `from ${verdict.host}, not what you see on the page.\n\n${evidence.join('\n')}\n\n` +
+      'Let this frame receive your clicks? Choose Cancel to keep it blocked.'
+    );
+    if (allow) {
+      this.allowedFrames.add(frame);
+    } else {
+      // Clicks go to what is actually shown instead
+      frame.style.setProperty('pointer-events', 'none', 'important');
+    }
+  }
+
+  describeClickjacking({ host, opacity, decoy, bait, moved }) {
+    const label = (element) => {
+      const text = (element.textContent || element.value || element.getAttribute('aria-label') || '').trim();
+      return `${element.tagName.toLowerCase()}${text ? ` "${text.slice(0, 40)}"` : ''}`;
+    };
+    const evidence = [`Frame from ${host}, drawn at ${Math.round(opacity * 100)}% opacity`];
+    if (decoy) evidence.push(`Covered by ${label(decoy)}, which ignores clicks so they reach the frame`);
+    if (bait) evidence.push(`Laid over ${label(bait)}`);
+    if (moved) evidence.push('Moved under the resting cursor just before the click');
+    return evidence;
+  }
+
+  // Scripts named after miner libraries; renamed ones are left to the main-world monitor
+  checkForCryptomining(scripts = document.querySelectorAll('script[src]')) {
+    scripts.forEach(script => {
+      const library = this.minerSignatures.findMinerScript(script.src);
+      if (library) {
         this.reportSuspiciousContent([{
           type: 'cryptomining_script',
-          description: `Potential cryptomining script detected: ${indicator}`
+          element: script,
+          description: `Loads the ${library} cryptominer`
         }]);
       }
     });
+  }
 
-    // Monitor for unusual CPU usage patterns
-    this.monitorCPUUsage();
+  // main-world.js watches WebAssembly, workers and sockets from the page's own world and
+  // reports them here. The page can fire the same events, so a report can only add
+  // suspicion: the worst a forged one does is flag or stop the page's own code.
+  async setupMainWorldMonitor() {
+    this.minerSignatures = await import(chrome.runtime.getURL('lib/miner-signatures.js'));
+    try {
+      const policy = await chrome.runtime.sendMessage({ type: 'get_miner_policy' });
+      this.blockMiners = !!policy?.block;
+    } catch (error) {
+      console.log('Could not load miner policy:', error.message);
+    }
+
+    document.addEventListener(MAIN_WORLD_REPORT_EVENT, (event) => {
+      try {
+        this.handleMainWorldReport(JSON.parse(event.detail));
+      } catch (error) {
+        console.error('WebGuardian main-world report error:', error);
+      }
+    });
+    // Reports made before this point were queued and arrive now
+    this.sendMainWorldCommand({ command: 'ready' });
   }
 
-  monitorCPUUsage() {
-    let startTime = performance.now();
-    let iterations = 0;
-    let checkCount = 0;
-    const maxChecks = 10;
+  sendMainWorldCommand(command) {
+    document.dispatchEvent(new CustomEvent(MAIN_WORLD_COMMAND_EVENT, { detail: JSON.stringify(command) }));
+  }
 
-    const checkCPU = () => {
-      iterations++;
-      const currentTime = performance.now();
-      
-      if (currentTime - startTime > 1000) { // Check every second
-        checkCount++;
-        
-        // If we can't complete many iterations, CPU might be busy
-        if (iterations < 50) {
-          this.reportSuspiciousContent([{
-            type: 'high_cpu_usage',
-            description: 'Unusually high CPU usage - possible cryptomining'
-          }]);
-          return; // Stop monitoring after detection
-        }
-        
-        startTime = currentTime;
-        iterations = 0;
-        
-        // Stop after checking for a reasonable time
-        if (checkCount >= maxChecks) {
-          return;
-        }
+  handleMainWorldReport(report) {
+    const { findMinerScript, isMiningPoolUrl, matchMinerModule } = this.minerSignatures;
+
+    switch (report?.type) {
+      case 'wasm_module': {
+        const reason = matchMinerModule(report);
+        if (!reason) break;
+        const size = Math.max(1, Math.round(report.size / 1024));
+        const shared = this.sharesMemory ? ' sharing memory' : '';
+        const threads = this.workerCount ? ` and runs ${this.workerCount} worker threads${shared}` : '';
+        this.reportSuspiciousContent([{
+          type: 'cryptomining_wasm',
+          description: `A ${size} KB WebAssembly module ${reason}${threads}`
+        }]);
+        this.stopMiners({ moduleIds: [report.id] });
+        break;
       }
-      
-      requestAnimationFrame(checkCPU);
-    };
+      case 'worker': {
+        this.workerCount = report.total;
+        const library = findMinerScript(report.url);
+        if (!library) break;
+        this.reportSuspiciousContent([{
+          type: 'cryptomining_script',
+          description: `Starts a ${library} cryptominer worker`
+        }]);
+        this.stopMiners({ workerIds: [report.id] });
+        break;
+      }
+      case 'shared_memory':
+        this.sharesMemory = true;
+        break;
+      case 'websocket': {
+        if (!isMiningPoolUrl(report.url)) break;
+        this.reportSuspiciousContent([{
+          type: 'mining_pool_connection',
+          description: `Connects to the mining pool ${new URL(report.url).hostname}`
+        }]);
+        // The hashing itself runs in the page's workers
+        this.stopMiners({ socketIds: [report.id], allWorkers: true });
+        break;
+      }
+      case 'decoded_code':
+        this.runsDecodedCode = true;
+        this.reportSuspiciousContent([{
+          type: 'obfuscated_code',
+          description: `Runs code it decoded at runtime through ${report.via}`
+        }]);
+        break;
+      case 'document_write':
+        this.runsDecodedCode ||= report.decoded;
+        this.reportSuspiciousContent([{
+          type: 'document_write_script',
+          description: report.hosts.length > 0
+            ? `Writes in a script from ${report.hosts.join(', ')} with document.write`
+            : 'Writes in an inline script with document.write'
+        }]);
+        break;
+      case 'key_listener':
+        this.keyListenerFields.add(report.field);
+        break;
+      case 'exfiltration':
+        this.handleExfiltration(report);
+        break;
+      case 'miners_stopped':
+        if (report.workers || report.sockets) {
+          console.log(`WebGuardian stopped ${report.workers} mining workers and ${report.sockets} pool connections`);
+        }
+        break;
+    }
+  }
+
+  // Typed passwords or card numbers a page script sent to another site, turned into a
+  // verdict with the other behaviour that backs it up
+  handleExfiltration({ api, url, fields, whileTyping }) {
+    const host = new URL(url).hostname;
+    if (this.domain.isSameSite(host, window.location.hostname)) return;
+    const registrable = this.domain.getRegistrableDomain(host);
+    if (fields.includes('card') && PAYMENT_PROCESSOR_DOMAINS.includes(registrable)) return;
+
+    const label = fields.map((field) => FIELD_LABELS[field]).join(' and ');
+    const via = api === 'image' ? 'an image request' : api;
+    const evidence = [`What you typed in ${label} fields was sent to ${host} with ${via}`];
+    const listened = fields.filter((field) => this.keyListenerFields.has(field));
+    if (listened.length > 0) {
+      evidence.push(`A page script listens to keystrokes in ${listened.map((field) => FIELD_LABELS[field]).join(' and ')} fields`);
+    } else if (this.keyListenerFields.has('page')) {
+      evidence.push('A page script listens to every keystroke on the page');
+    }
+    if (whileTyping) {
+      evidence.push('It was sent while you were still typing, before any form was submitted');
+    }
+    if (this.runsDecodedCode) {
+      evidence.push('The page runs code it hides by encoding it');
+    }
 
-    requestAnimationFrame(checkCPU);
+    // Card data going elsewhere is the Magecart pattern whatever else is seen; passwords
+    // are a keylogger when they leave keystroke by keystroke or from a key listener
+    let type = 'data_exfiltration';
+    let description = `Sends typed ${label} data to ${host}`;
+    if (fields.includes('card')) {
+      type = 'card_skimmer';
+      description = `Card details typed on this page are sent to ${host}`;
+    } else if (whileTyping || listened.length > 0) {
+      type = 'keylogger';
+      description = `Keystrokes in ${label} fields are sent to ${host}`;
+    }
+    this.reportSuspiciousContent([{ type, description, evidence }]);
+  }
+
+  stopMiners(target) {
+    if (this.blockMiners) {
+      this.sendMainWorldCommand({ command: 'stop_miners', ...target });
+    }
   }
 
   monitorForms() {
@@ -417,7 +1018,7 @@ class WebGuardianContentScript {
           this.showRealTimeWarning('🚨 Sensitive data being sent over insecure connection!');
         }
         
-        if (actionUrl.hostname !== window.location.hostname) {
+        if (!this.domain.isSameSite(actionUrl.hostname, window.location.hostname)) {
           this.showRealTimeWarning('🚨 Sensitive data being sent to external domain!');
         }
       } catch (e) {
@@ -426,9 +1027,173 @@ class WebGuardianContentScript {
     }
   }
 
+  // Protected passwords: typed values are compared with the fingerprints of the passwords that
+  // don't belong to this site, and a form holding one is stopped before it is submitted
+  async setupPasswordProtection() {
+    try {
+      this.passwordFingerprints = (await chrome.runtime.sendMessage({ type: 'get_password_fingerprints' })) || [];
+    } catch (error) {
+      console.log('Could not load protected passwords:', error.message);
+    }
+    if (this.passwordFingerprints.length === 0) return;
+
+    this.passwordCheck = await import(chrome.runtime.getURL('lib/password-fingerprint.js'));
+    // Last check per field, so a value is only hashed once
+    this.passwordChecks = new WeakMap();
+    // Passwords the user chose to use here anyway
+    this.allowedPasswords = new Set();
+    this.passwordWarningShown = false;
+
+    document.addEventListener('input', (event) => this.handlePasswordInput(event), true);
+    document.addEventListener('submit', (event) => this.handlePasswordSubmit(event), true);
+  }
+
+  isPasswordField(element) {
+    return element instanceof HTMLInputElement && element.type === 'password';
+  }
+
+  // Only values as long as a protected password are worth hashing
+  mayHoldProtectedPassword(input) {
+    return this.passwordFingerprints.some(
+      (fingerprint) => fingerprint.length === input.value.length && !this.allowedPasswords.has(fingerprint.id)
+    );
+  }
+
+  // Resolves to the fingerprint of the protected password the field holds, or null
+  checkPasswordField(input) {
+    const value = input.value;
+    const last = this.passwordChecks.get(input);
+    if (last?.value === value) return last.result;
+
+    const candidates = this.passwordFingerprints.filter(
+      (fingerprint) => fingerprint.length === value.length && !this.allowedPasswords.has(fingerprint.id)
+    );
+    const result = (async () => {
+      for (const fingerprint of candidates) {
+        if (await this.passwordCheck.matchesFingerprint(value, fingerprint)) return fingerprint;
+      }
+      return null;
+    })();
+    this.passwordChecks.set(input, { value, result });
+    return result;
+  }
+
+  async handlePasswordInput(event) {
+    const input = event.target;
+    if (!this.isPasswordField(input) || !this.mayHoldProtectedPassword(input)) return;
+
+    const value = input.value;
+    const fingerprint = await this.checkPasswordField(input);
+    // Ignore the result if the user kept typing while it was hashed
+    if (fingerprint && input.value === value) {
+      this.blockPasswordReuse(input, fingerprint);
+    }
+  }
+
+  handlePasswordSubmit(event) {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement)) return;
+    if (this.passwordSubmitAllowed === form) {
+      this.passwordSubmitAllowed = null;
+      return;
+    }
+
+    const fields = [...form.querySelectorAll('input[type="password"]')].filter(
+      (input) => this.mayHoldProtectedPassword(input)
+    );
+    if (fields.length === 0) return;
+
+    // Hashing takes a moment, so the submission is held back - page handlers included -
+    // and sent on again once no field turned out to hold a protected password
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    Promise.all(fields.map((input) => this.checkPasswordField(input))).then((results) => {
+      const index = results.findIndex(Boolean);
+      if (index !== -1) {
+        this.blockPasswordReuse(fields[index], results[index]);
+      } else if (form.isConnected) {
+        this.passwordSubmitAllowed = form;
+        form.requestSubmit(event.submitter?.form === form ? event.submitter : null);
+      }
+    });
+  }
+
+  blockPasswordReuse(input, fingerprint) {
+    // Empty the field so the page can't submit what was typed; "Continue anyway" restores it
+    const value = input.value;
+    input.value = '';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.blur();
+
+    chrome.runtime.sendMessage({ type: 'report_password_reuse', id: fingerprint.id }).catch(() => {
+      console.log('Could not report password reuse - extension context invalid');
+    });
+
+    const allow = () => {
+      this.allowedPasswords.add(fingerprint.id);
+      input.value = value;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    this.showPasswordWarning(fingerprint, allow);
+  }
+
+  showPasswordWarning(fingerprint, allow) {
+    if (this.passwordWarningShown) return;
+    this.passwordWarningShown = true;
+
+    const { host, content } = this.createModalHost('webguardian-password-warning');
+    content.innerHTML = `
+      <div style="color: #dc3545; font-size: 48px; margin-bottom: 16px;">🔑</div>
+      <h2 style="color: #dc3545; margin: 0 0 16px 0; font-size: 24px;">Password not sent</h2>
+      <p data-field="message" style="margin: 0 0 12px 0; font-size: 16px;"></p>
+      <p data-field="sites" style="margin: 0 0 12px 0; font-size: 14px; color: #555;"></p>
+      <div style="margin-top: 24px; display: flex; gap: 10px; justify-content: center;">
+        <button data-action="back" style="background: #dc3545; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Go Back</button>
+        <button data-action="continue" style="background: #6c757d; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Continue Anyway</button>
+      </div>
+      <button data-action="trust" style="margin-top: 16px; background: none; border: none; color: #007bff; cursor: pointer; font-size: 12px; text-decoration: underline;"></button>
+      <div style="margin-top: 20px; font-size: 12px; color: #666;">
+        Protected by WebGuardian Security Extension
+      </div>
+    `;
+
+    // Names come from the user and the page, so they are set as text
+    const hostname = window.location.hostname;
+    content.querySelector('[data-field="message"]').textContent =
+      `You typed your "${fingerprint.label}" password on ${hostname}. WebGuardian emptied the field before the page could submit it.`;
+    content.querySelector('[data-field="sites"]').textContent =
+      `This password belongs to ${fingerprint.domains.join(', ')}. If you were sent here by a link, this is probably a phishing page.`;
+    content.querySelector('[data-action="trust"]').textContent =
+      `${hostname} is a real site for this password...`;
+
+    const close = () => {
+      host.remove();
+      this.passwordWarningShown = false;
+    };
+    this.onUserClick(content.querySelector('[data-action="back"]'), () => {
+      history.back();
+    });
+    this.onUserClick(content.querySelector('[data-action="continue"]'), () => {
+      allow();
+      close();
+    });
+    // The site is added to the password on the options page
+    this.onUserClick(content.querySelector('[data-action="trust"]'), () => {
+      this.openOptionsSection('passwords');
+      allow();
+      close();
+    });
+
+    (document.body || document.documentElement).appendChild(host);
+  }
+
   analyzeNewElement(element) {
     // Analyze dynamically added elements
     if (!element.tagName) return;
+    this.scanLinks(element);
+    if (element.matches('script, iframe') || element.querySelector('script, iframe')) {
+      this.queueResourceReport();
+    }
     
     switch (element.tagName.toLowerCase()) {
       case 'script':
@@ -439,6 +1204,7 @@ class WebGuardianContentScript {
             description: 'Suspicious script loaded dynamically'
           }]);
         }
+        this.checkForCryptomining([element]);
         break;
         
       case 'iframe':
@@ -457,79 +1223,123 @@ class WebGuardianContentScript {
     }
   }
 
-  showSecurityWarning(analysis) {
+  async showSecurityWarning(analysis) {
     if (this.warningShown) return; // Don't show multiple warnings
     
     this.warningShown = true;
-    const modal = this.createWarningModal(analysis);
-    document.body.appendChild(modal);
+    // Same thresholds as the popup and toolbar badge
+    const { RISK_THRESHOLDS } = await import(chrome.runtime.getURL('lib/scoring.js'));
+    const modal = this.createWarningModal(analysis, RISK_THRESHOLDS);
+    (document.body || document.documentElement).appendChild(modal);
   }
 
-  createWarningModal(analysis) {
-    const modal = document.createElement('div');
-    modal.id = 'webguardian-warning-modal';
-    modal.style.cssText = `
+  // Warnings are drawn in a closed shadow root, out of the page's reach, and their buttons
+  // only answer real clicks: a page could otherwise script its way past them
+  createModalHost(id) {
+    const host = document.createElement('div');
+    host.id = id;
+    host.style.cssText = `
+      all: initial !important;
       position: fixed !important;
       top: 0 !important;
       left: 0 !important;
       width: 100% !important;
       height: 100% !important;
-      background: rgba(0,0,0,0.9) !important;
       z-index: 999999999 !important;
-      display: flex !important;
-      justify-content: center !important;
-      align-items: center !important;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+    `;
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.9);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
     `;
 
     const content = document.createElement('div');
     content.style.cssText = `
-      background: white !important;
-      padding: 30px !important;
-      border-radius: 10px !important;
-      max-width: 500px !important;
-      text-align: center !important;
-      box-shadow: 0 4px 20px rgba(0,0,0,0.5) !important;
-      margin: 20px !important;
+      background: white;
+      padding: 30px;
+      border-radius: 10px;
+      max-width: 500px;
+      text-align: center;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+      margin: 20px;
+      color: #333;
     `;
 
-    const riskColor = analysis.riskScore >= 80 ? '#dc3545' : 
-                     analysis.riskScore >= 60 ? '#fd7e14' : '#ffc107';
+    modal.appendChild(content);
+    root.appendChild(modal);
+    return { host, content };
+  }
+
+  onUserClick(button, handler) {
+    button.addEventListener('click', (event) => {
+      if (event.isTrusted) handler(event);
+    });
+  }
+
+  // Trusting a site is only done from the extension's own pages; the warning links there
+  openOptionsSection(section) {
+    chrome.runtime.sendMessage({ type: 'open_options', section }).catch((error) => {
+      console.error('Failed to open WebGuardian options:', error);
+    });
+  }
+
+  createWarningModal(analysis, thresholds) {
+    const { host, content } = this.createModalHost('webguardian-warning-modal');
+
+    const riskColor = analysis.riskScore >= thresholds.critical ? '#dc3545' :
+                     analysis.riskScore >= thresholds.danger ? '#fd7e14' : '#ffc107';
 
     content.innerHTML = `
       <div style="color: ${riskColor}; font-size: 48px; margin-bottom: 16px;">⚠️</div>
       <h2 style="color: ${riskColor}; margin: 0 0 16px 0; font-size: 24px;">Security Warning</h2>
-      <p style="margin: 0 0 20px 0; font-size: 16px; color: #333;"><strong>Risk Score:</strong> ${analysis.riskScore}/100</p>
-      <div style="text-align: left; margin: 20px 0; max-height: 200px; overflow-y: auto;">
-        ${analysis.threats.map(threat => 
-          `<div style="margin: 10px 0; padding: 15px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid ${riskColor};">
-            <strong style="color: ${riskColor}; text-transform: uppercase; font-size: 12px;">${threat.type.replace(/_/g, ' ')}</strong><br>
-            <span style="color: #555; font-size: 14px;">${threat.description}</span>
-          </div>`
-        ).join('')}
-      </div>
+      <p style="margin: 0 0 20px 0; font-size: 16px; color: #333;"><strong>Risk Score:</strong> ${Number(analysis.riskScore)}/100</p>
+      <div data-field="threats" style="text-align: left; margin: 20px 0; max-height: 200px; overflow-y: auto;"></div>
       <div style="margin-top: 30px; display: flex; gap: 10px; justify-content: center;">
-        <button id="webguardian-continue" style="background: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Continue Anyway</button>
-        <button id="webguardian-goback" style="background: #dc3545; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Go Back</button>
+        <button data-action="continue" style="background: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Continue Anyway</button>
+        <button data-action="trust" style="background: #6c757d; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Trust This Site...</button>
+        <button data-action="back" style="background: #dc3545; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">Go Back</button>
       </div>
       <div style="margin-top: 20px; font-size: 12px; color: #666;">
         Protected by WebGuardian Security Extension
       </div>
     `;
 
-    modal.appendChild(content);
+    // Descriptions can quote the page (rule matches, addresses), so they are set as text
+    const list = content.querySelector('[data-field="threats"]');
+    analysis.threats.forEach((threat) => {
+      const item = document.createElement('div');
+      item.style.cssText = `margin: 10px 0; padding: 15px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid ${riskColor};`;
+      const type = document.createElement('strong');
+      type.style.cssText = `color: ${riskColor}; text-transform: uppercase; font-size: 12px; display: block;`;
+      type.textContent = threat.type.replace(/_/g, ' ');
+      const description = document.createElement('span');
+      description.style.cssText = 'color: #555; font-size: 14px;';
+      description.textContent = threat.description;
+      item.append(type, description);
+      list.appendChild(item);
+    });
 
-    // Event listeners
-    content.querySelector('#webguardian-continue').addEventListener('click', () => {
-      modal.remove();
+    const close = () => {
+      host.remove();
       this.warningShown = false;
+    };
+    this.onUserClick(content.querySelector('[data-action="continue"]'), close);
+    this.onUserClick(content.querySelector('[data-action="trust"]'), () => {
+      this.openOptionsSection('sites');
+      close();
     });
-
-    content.querySelector('#webguardian-goback').addEventListener('click', () => {
+    this.onUserClick(content.querySelector('[data-action="back"]'), () => {
       history.back();
     });
 
-    return modal;
+    return host;
   }
 
   showRealTimeWarning(message) {
@@ -590,25 +1400,64 @@ class WebGuardianContentScript {
 
   highlightSuspiciousElements(elements) {
     elements.forEach(elementInfo => {
-      if (elementInfo.element && elementInfo.element.parentNode) {
+      let element = null;
+      try {
+        element = elementInfo.selector ? document.querySelector(elementInfo.selector) : null;
+      } catch {
+        // Invalid selector
+      }
+      if (element) {
         // Add red border to suspicious elements
-        elementInfo.element.style.border = '2px solid red !important';
-        elementInfo.element.style.boxShadow = '0 0 10px rgba(255,0,0,0.5) !important';
+        element.style.border = '2px solid red !important';
+        element.style.boxShadow = '0 0 10px rgba(255,0,0,0.5) !important';
         
         // Add warning tooltip
-        elementInfo.element.title = `WebGuardian Warning: ${elementInfo.description}`;
+        element.title = `WebGuardian Warning: ${elementInfo.description}`;
       }
     });
   }
 
+  // DOM elements can't be sent in messages, so findings identify them by a CSS selector
+  getElementSelector(element) {
+    if (!(element instanceof Element)) return null;
+
+    const parts = [];
+    let node = element;
+    while (node && node !== document.documentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = [...parent.children].filter(child => child.tagName === node.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.join(' > ');
+  }
+
   reportSuspiciousContent(indicators) {
-    // Send suspicious content to background script
+    const findings = indicators.map(indicator => ({
+      type: indicator.type,
+      description: indicator.description,
+      selector: this.getElementSelector(indicator.element),
+      ...(indicator.evidence && { evidence: indicator.evidence }),
+      ...(indicator.rule && { rule: indicator.rule, match: indicator.match })
+    }));
+
+    // Send suspicious content to background script, which adds it to the tab's analysis
     chrome.runtime.sendMessage({
       type: 'report_suspicious',
       data: {
         url: window.location.href,
         domain: window.location.hostname,
-        indicators: indicators,
+        indicators: findings,
         timestamp: Date.now()
       }
     }).catch(() => {
@@ -626,6 +1475,10 @@ class WebGuardianContentScript {
       observer.disconnect();
     });
     this.observers = [];
+    clearTimeout(this.linkCheckTimer);
+    clearTimeout(this.resourceReportTimer);
+    clearTimeout(this.storageCheckTimer);
+    this.removeClickShield();
   }
 }
 
@@ -0,0 +1,355 @@
+// Versioned JSON backups of settings, site lists, custom block rules, detection rules and
+// (optionally) scan history, for moving a configuration between browsers or sharing it with a team. Imports
+// are validated and migrated here, then combined with the current data in merge or replace
+// mode; the background previews the result as a diff before anything is written.
+import { normalizeBrandDomain } from './brands.js';
+import { MAX_RULES, validateRules } from './rule-engine.js';
+import { RISK_SIGNALS } from './scoring.js';
+import { RULESET_SETTINGS } from './rulesets.js';
+import {
+  SITE_DETECTORS,
+  SITE_EXCEPTION,
+  SITE_LIST_TYPES,
+  SITE_SCOPES,
+  newEntryId,
+  normalizePattern
+} from './site-lists.js';
+
+export const BACKUP_FORMAT = 'webguardian-backup';
+export const BACKUP_VERSION = 2;
+
+export const IMPORT_MERGE = 'merge';
+export const IMPORT_REPLACE = 'replace';
+
+// Each entry upgrades a backup from that version to the next one. Bump BACKUP_VERSION and
+// add a step here whenever the format changes, so files from older releases still import.
+const MIGRATIONS = {
+  // Detection rules weren't backed up before version 2
+  1: (data) => ({ ...data, detectionRules: [] })
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isTimestamp = (value) => Number.isFinite(value) && value >= 0;
+
+function oneOf(values) {
+  return (value) => (values.includes(value) ? { value } : { error: `expected one of ${values.join(', ')}` });
+}
+
+function boolean(value) {
+  return typeof value === 'boolean' ? { value } : { error: 'expected true or false' };
+}
+
+// What each setting accepts; anything else is reported and left out
+const SETTING_VALIDATORS = {
+  realTimeProtection: boolean,
+  blockMaliciousSites: boolean,
+  blockPhishing: boolean,
+  blockTrackers: boolean,
+  blockCryptominers: boolean,
+  showWarnings: boolean,
+  autoScan: boolean,
+  whitelistMode: boolean,
+  keepHistory: boolean,
+  clearCookiesOnClose: boolean,
+  notificationLevel: oneOf(['low', 'medium', 'high']),
+  scanFrequency: oneOf(['realtime', 'periodic', 'manual']),
+  protectedBrands: (value) => {
+    if (!Array.isArray(value)) return { error: 'expected a list of domains' };
+    const domains = value.map((item) => (typeof item === 'string' ? normalizeBrandDomain(item) : null));
+    const invalid = value.filter((item, index) => !domains[index]);
+    if (invalid.length > 0) return { error: `invalid domains: ${invalid.map(String).join(', ')}` };
+    return { value: [...new Set(domains)] };
+  },
+  riskWeights: (value) => {
+    if (!isObject(value)) return { error: 'expected signal weights' };
+    const unknown = Object.keys(value).filter((signal) => !RISK_SIGNALS[signal]);
+    if (unknown.length > 0) return { error: `unknown signals: ${unknown.join(', ')}` };
+    const invalid = Object.keys(value).filter(
+      (signal) => !Number.isFinite(value[signal]) || value[signal] < 0 || value[signal] > 100
+    );
+    if (invalid.length > 0) return { error: `weights must be 0-100: ${invalid.join(', ')}` };
+    return { value: { ...value } };
+  }
+};
+
+export function validateSettings(settings, errors, warnings) {
+  if (!isObject(settings)) {
+    errors.push('settings: expected an object');
+    return {};
+  }
+  const valid = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    const validator = SETTING_VALIDATORS[key];
+    if (!validator) {
+      warnings.push(`settings.${key}: unknown setting, skipped`);
+      return;
+    }
+    const result = validator(value);
+    if (result.error) {
+      errors.push(`settings.${key}: ${result.error}`);
+    } else {
+      valid[key] = result.value;
+    }
+  });
+  return valid;
+}
+
+function validateSiteLists(entries, errors, warnings) {
+  if (!Array.isArray(entries)) {
+    errors.push('siteLists: expected a list');
+    return [];
+  }
+  const now = Date.now();
+  const valid = [];
+  entries.forEach((entry, index) => {
+    const path = `siteLists[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (!SITE_SCOPES.includes(entry.scope)) {
+      errors.push(`${path}.scope: expected one of ${SITE_SCOPES.join(', ')}`);
+      return;
+    }
+    if (!SITE_LIST_TYPES.includes(entry.type)) {
+      errors.push(`${path}.type: expected one of ${SITE_LIST_TYPES.join(', ')}`);
+      return;
+    }
+    let pattern;
+    try {
+      pattern = normalizePattern(String(entry.pattern ?? ''), entry.scope);
+    } catch (error) {
+      errors.push(`${path}.pattern: ${error.message}`);
+      return;
+    }
+    const detectors = Array.isArray(entry.detectors) ? entry.detectors : [];
+    const unknown = detectors.filter((detector) => !SITE_DETECTORS[detector]);
+    if (unknown.length > 0) {
+      errors.push(`${path}.detectors: unknown checks ${unknown.join(', ')}`);
+      return;
+    }
+    if (entry.type === SITE_EXCEPTION && detectors.length === 0) {
+      errors.push(`${path}.detectors: an exception needs at least one check`);
+      return;
+    }
+    const expiresAt = entry.expiresAt ?? null;
+    if (expiresAt !== null && !isTimestamp(expiresAt)) {
+      errors.push(`${path}.expiresAt: expected a timestamp or null`);
+      return;
+    }
+    if (expiresAt !== null && expiresAt <= now) {
+      warnings.push(`${path}: ${pattern} has expired, skipped`);
+      return;
+    }
+    valid.push({
+      pattern,
+      scope: entry.scope,
+      type: entry.type,
+      detectors: entry.type === SITE_EXCEPTION ? [...new Set(detectors)] : [],
+      expiresAt,
+      note: typeof entry.note === 'string' ? entry.note : '',
+      addedAt: isTimestamp(entry.addedAt) ? entry.addedAt : now
+    });
+  });
+  return valid;
+}
+
+export function validateCustomRules(rules, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push('customRules: expected a list');
+    return [];
+  }
+  const valid = [];
+  rules.forEach((rule, index) => {
+    const path = `customRules[${index}]`;
+    if (!isObject(rule) || !RULESET_SETTINGS[rule.category]) {
+      errors.push(`${path}.category: expected one of ${Object.keys(RULESET_SETTINGS).join(', ')}`);
+      return;
+    }
+    const domain = typeof rule.domain === 'string' ? rule.domain.trim().toLowerCase() : '';
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+      errors.push(`${path}.domain: expected a domain name`);
+      return;
+    }
+    valid.push({ domain, category: rule.category, addedAt: isTimestamp(rule.addedAt) ? rule.addedAt : Date.now() });
+  });
+  return valid;
+}
+
+function validateHistory(history, errors) {
+  if (!isObject(history) || !Array.isArray(history.visits) || !Array.isArray(history.domains)) {
+    errors.push('history: expected visits and domains lists');
+    return null;
+  }
+  const visits = [];
+  history.visits.forEach((visit, index) => {
+    if (
+      !isObject(visit) ||
+      typeof visit.url !== 'string' ||
+      typeof visit.domain !== 'string' ||
+      !isTimestamp(visit.timestamp) ||
+      !Number.isFinite(visit.riskScore) ||
+      !Array.isArray(visit.threats)
+    ) {
+      errors.push(`history.visits[${index}]: expected url, domain, timestamp, riskScore and threats`);
+      return;
+    }
+    const { url, domain, timestamp, riskScore, riskBreakdown, threats, siteStatus } = visit;
+    visits.push({
+      url,
+      domain,
+      timestamp,
+      riskScore,
+      riskBreakdown: Array.isArray(riskBreakdown) ? riskBreakdown : [],
+      threats,
+      siteStatus: siteStatus ?? null
+    });
+  });
+  const domains = [];
+  history.domains.forEach((record, index) => {
+    if (
+      !isObject(record) ||
+      typeof record.domain !== 'string' ||
+      !isTimestamp(record.firstSeen) ||
+      !isTimestamp(record.lastSeen) ||
+      !Number.isFinite(record.visits) ||
+      !Number.isFinite(record.worstScore)
+    ) {
+      errors.push(`history.domains[${index}]: expected domain, firstSeen, lastSeen, visits and worstScore`);
+      return;
+    }
+    const { domain, firstSeen, lastSeen, visits: count, worstScore, worstSeen } = record;
+    domains.push({ domain, firstSeen, lastSeen, visits: count, worstScore, worstSeen: worstSeen ?? null });
+  });
+  return { visits, domains };
+}
+
+// Checks a parsed backup file and brings it up to the current version. Returns the
+// cleaned-up backup, errors that prevent importing it and warnings about skipped parts.
+export function parseBackup(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isObject(data) || data.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ['This is not a WebGuardian backup file'], warnings };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { backup: null, errors: ['The backup has no valid version'], warnings };
+  }
+  if (data.version > BACKUP_VERSION) {
+    return {
+      backup: null,
+      errors: [`The backup is from a newer WebGuardian (format ${data.version}); update the extension to import it`],
+      warnings
+    };
+  }
+
+  let migrated = data;
+  for (let version = data.version; version < BACKUP_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: isTimestamp(migrated.exportedAt) ? migrated.exportedAt : null,
+    settings: migrated.settings === undefined ? {} : validateSettings(migrated.settings, errors, warnings),
+    siteLists: migrated.siteLists === undefined ? [] : validateSiteLists(migrated.siteLists, errors, warnings),
+    customRules: migrated.customRules === undefined ? [] : validateCustomRules(migrated.customRules, errors),
+    detectionRules:
+      migrated.detectionRules === undefined ? [] : validateRules(migrated.detectionRules, errors, 'detectionRules'),
+    history: migrated.history == null ? null : validateHistory(migrated.history, errors)
+  };
+  return { backup: errors.length > 0 ? null : backup, errors, warnings };
+}
+
+const siteKey = (entry) => `${entry.type}|${entry.scope}|${entry.pattern}`;
+const ruleKey = (rule) => `${rule.category}|${rule.domain}`;
+const sameDetectionRule = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function sameSiteEntry(a, b) {
+  return (
+    a.expiresAt === b.expiresAt &&
+    a.note === b.note &&
+    a.detectors.length === b.detectors.length &&
+    a.detectors.every((detector) => b.detectors.includes(detector))
+  );
+}
+
+// Settings from the backup always override the current ones key by key. In merge mode its
+// site list entries and rules are added to the current ones (an entry for the same pattern,
+// scope and list, or a detection rule with the same id, replaces the current one); in
+// replace mode they replace them.
+export function combineBackup(current, backup, mode) {
+  const settings = { ...current.settings, ...backup.settings };
+
+  const currentSites = new Map(current.siteLists.map((entry) => [siteKey(entry), entry]));
+  const importedSites = backup.siteLists.map((entry) => {
+    const existing = currentSites.get(siteKey(entry));
+    return existing && sameSiteEntry(existing, entry) ? existing : { ...entry, id: newEntryId() };
+  });
+  const importedSiteKeys = new Set(importedSites.map(siteKey));
+  const siteLists =
+    mode === IMPORT_REPLACE
+      ? importedSites
+      : [...current.siteLists.filter((entry) => !importedSiteKeys.has(siteKey(entry))), ...importedSites];
+
+  const currentRuleKeys = new Set(current.customRules.map(ruleKey));
+  const customRules =
+    mode === IMPORT_REPLACE
+      ? backup.customRules
+      : [...current.customRules, ...backup.customRules.filter((rule) => !currentRuleKeys.has(ruleKey(rule)))];
+
+  const importedRuleIds = new Set(backup.detectionRules.map((rule) => rule.id));
+  const detectionRules =
+    mode === IMPORT_REPLACE
+      ? backup.detectionRules
+      : [...current.detectionRules.filter((rule) => !importedRuleIds.has(rule.id)), ...backup.detectionRules];
+
+  return { settings, siteLists, customRules, detectionRules };
+}
+
+// More detection rules than the engine takes, which makes the import fail
+export function tooManyDetectionRules(combined) {
+  return combined.detectionRules.length > MAX_RULES
+    ? `detectionRules: together with yours that's over ${MAX_RULES} rules`
+    : null;
+}
+
+// What applying combined (from combineBackup) would change, for the preview
+export function diffBackup(current, combined) {
+  const settings = Object.keys(combined.settings)
+    .filter((key) => JSON.stringify(current.settings[key]) !== JSON.stringify(combined.settings[key]))
+    .map((key) => ({ key, from: current.settings[key] ?? null, to: combined.settings[key] }));
+
+  const currentSites = new Map(current.siteLists.map((entry) => [siteKey(entry), entry]));
+  const combinedSites = new Map(combined.siteLists.map((entry) => [siteKey(entry), entry]));
+  const siteLists = {
+    added: combined.siteLists.filter((entry) => !currentSites.has(siteKey(entry))),
+    changed: combined.siteLists.filter((entry) => {
+      const existing = currentSites.get(siteKey(entry));
+      return existing && !sameSiteEntry(existing, entry);
+    }),
+    removed: current.siteLists.filter((entry) => !combinedSites.has(siteKey(entry)))
+  };
+
+  const currentRules = new Set(current.customRules.map(ruleKey));
+  const combinedRules = new Set(combined.customRules.map(ruleKey));
+  const customRules = {
+    added: combined.customRules.filter((rule) => !currentRules.has(ruleKey(rule))),
+    removed: current.customRules.filter((rule) => !combinedRules.has(ruleKey(rule)))
+  };
+
+  const currentDetection = new Map(current.detectionRules.map((rule) => [rule.id, rule]));
+  const combinedDetection = new Set(combined.detectionRules.map((rule) => rule.id));
+  const detectionRules = {
+    added: combined.detectionRules.filter((rule) => !currentDetection.has(rule.id)),
+    changed: combined.detectionRules.filter((rule) => {
+      const existing = currentDetection.get(rule.id);
+      return existing && !sameDetectionRule(existing, rule);
+    }),
+    removed: current.detectionRules.filter((rule) => !combinedDetection.has(rule.id))
+  };
+
+  return { settings, siteLists, customRules, detectionRules };
+}
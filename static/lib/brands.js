@@ -0,0 +1,33 @@
+// Protected brands for lookalike-domain detection. Shared with the popup, which lets the
+// user edit the list (settings.protectedBrands).
+
+/** @type {string[]} */
+export const DEFAULT_PROTECTED_BRANDS = [
+  'paypal.com',
+  'microsoft.com',
+  'google.com',
+  'facebook.com',
+  'amazon.com',
+  'apple.com',
+  'netflix.com',
+  'instagram.com',
+  'linkedin.com',
+  'dropbox.com'
+];
+
+/**
+ * Normalizes user input ("https://www.PayPal.com/") to a bare domain, or null if invalid.
+ * @param {string} value
+ * @returns {string | null}
+ */
+export function normalizeBrandDomain(value) {
+  const trimmed = value.trim().toLowerCase();
+  if (!trimmed) return null;
+  try {
+    const hostname = new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`).hostname;
+    const domain = hostname.replace(/^www\./, '');
+    return domain.includes('.') ? domain : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,8 @@
+// Unicode TR39 confusables (https://www.unicode.org/reports/tr39/), reduced to characters
+// that look like ASCII letters, digits or hyphens. Version 10.0.0.
+// Generated by scripts/update-confusables.js - do not edit by hand.
+// Unicode License: https://www.unicode.org/license.txt
+
+export const CONFUSABLES_VERSION = '10.0.0';
+
+export const CONFUSABLES = {"0":"o","1":"l","‐":"-","‑":"-","‒":"-","–":"-","﹘":"-","۔":"-","⁃":"-","˗":"-","−":"-","➖":"-","Ⲻ":"-","𝟐":"2","𝟚":"2","𝟤":"2","𝟮":"2","𝟸":"2","Ꝛ":"2","Ƨ":"2","Ϩ":"2","Ꙅ":"2","ᒿ":"2","ꛯ":"2","𝈆":"3","𝟑":"3","𝟛":"3","𝟥":"3","𝟯":"3","𝟹":"3","Ɜ":"3","Ȝ":"3","Ʒ":"3","Ꝫ":"3","Ⳍ":"3","З":"3","Ӡ":"3","𖼻":"3","𑣊":"3","𝟒":"4","𝟜":"4","𝟦":"4","𝟰":"4","𝟺":"4","Ꮞ":"4","𑢯":"4","𝟓":"5","𝟝":"5","𝟧":"5","𝟱":"5","𝟻":"5","Ƽ":"5","𑢻":"5","𝟔":"6","𝟞":"6","𝟨":"6","𝟲":"6","𝟼":"6","Ⳓ":"6","б":"6","Ꮾ":"6","𑣕":"6","𝈒":"7","𝟕":"7","𝟟":"7","𝟩":"7","𝟳":"7","𝟽":"7","𐓒":"7","𑣆":"7","ଃ":"8","৪":"8","੪":"8","𞣋":"8","𝟖":"8","𝟠":"8","𝟪":"8","𝟴":"8","𝟾":"8","ȣ":"8","Ȣ":"8","𐌚":"8","੧":"9","୨":"9","৭":"9","൭":"9","𝟗":"9","𝟡":"9","𝟫":"9","𝟵":"9","𝟿":"9","Ꝯ":"9","Ⳋ":"9","𑣌":"9","𑢬":"9","𑣖":"9","⍺":"a","ａ":"a","𝐚":"a","𝑎":"a","𝒂":"a","𝒶":"a","𝓪":"a","𝔞":"a","𝕒":"a","𝖆":"a","𝖺":"a","𝗮":"a","𝘢":"a","𝙖":"a","𝚊":"a","ɑ":"a","α":"a","𝛂":"a","𝛼":"a","𝜶":"a","𝝰":"a","𝞪":"a","а":"a","Ａ":"a","𝐀":"a","𝐴":"a","𝑨":"a","𝒜":"a","𝓐":"a","𝔄":"a","𝔸":"a","𝕬":"a","𝖠":"a","𝗔":"a","𝘈":"a","𝘼":"a","𝙰":"a","Α":"a","𝚨":"a","𝛢":"a","𝜜":"a","𝝖":"a","𝞐":"a","А":"a","Ꭺ":"a","ᗅ":"a","ꓮ":"a","𖽀":"a","𐊠":"a","ꜳ":"aa","Ꜳ":"aa","æ":"ae","ӕ":"ae","Æ":"ae","Ӕ":"ae","ꜵ":"ao","Ꜵ":"ao","🜇":"ar","ꜷ":"au","Ꜷ":"au","ꜹ":"av","ꜻ":"av","Ꜹ":"av","Ꜻ":"av","ꜽ":"ay","Ꜽ":"ay","𝐛":"b","𝑏":"b","𝒃":"b","𝒷":"b","𝓫":"b","𝔟":"b","𝕓":"b","𝖇":"b","𝖻":"b","𝗯":"b","𝘣":"b","𝙗":"b","𝚋":"b","Ƅ":"b","Ь":"b","Ꮟ":"b","ᖯ":"b","Ｂ":"b","ℬ":"b","𝐁":"b","𝐵":"b","𝑩":"b","𝓑":"b","𝔅":"b","𝔹":"b","𝕭":"b","𝖡":"b","𝗕":"b","𝘉":"b","𝘽":"b","𝙱":"b","Ꞵ":"b","Β":"b","𝚩":"b","𝛣":"b","𝜝":"b","𝝗":"b","𝞑":"b","В":"b","Ᏼ":"b","ᗷ":"b","ꓐ":"b","𐊂":"b","𐊡":"b","𐌁":"b","Ы":"bl","ｃ":"c","ⅽ":"c","𝐜":"c","𝑐":"c","𝒄":"c","𝒸":"c","𝓬":"c","𝔠":"c","𝕔":"c","𝖈":"c","𝖼":"c","𝗰":"c","𝘤":"c","𝙘":"c","𝚌":"c","ᴄ":"c","ϲ":"c","ⲥ":"c","с":"c","ꮯ":"c","𐐽":"c","🝌":"c","𑣲":"c","𑣩":"c","Ｃ":"c","Ⅽ":"c","ℂ":"c","ℭ":"c","𝐂":"c","𝐶":"c","𝑪":"c","𝒞":"c","𝓒":"c","𝕮":"c","𝖢":"c","𝗖":"c","𝘊":"c","𝘾":"c","𝙲":"c","Ϲ":"c","Ⲥ":"c","С":"c","Ꮯ":"c","ꓚ":"c","𐊢":"c","𐌂":"c","𐐕":"c","𐔜":"c","ⅾ":"d","ⅆ":"d","𝐝":"d","𝑑":"d","𝒅":"d","𝒹":"d","𝓭":"d","𝔡":"d","𝕕":"d","𝖉":"d","𝖽":"d","𝗱":"d","𝘥":"d","𝙙":"d","𝚍":"d","ԁ":"d","Ꮷ":"d","ᑯ":"d","ꓒ":"d","Ⅾ":"d","ⅅ":"d","𝐃":"d","𝐷":"d","𝑫":"d","𝒟":"d","𝓓":"d","𝔇":"d","𝔻":"d","𝕯":"d","𝖣":"d","𝗗":"d","𝘋":"d","𝘿":"d","𝙳":"d","Ꭰ":"d","ᗞ":"d","ᗪ":"d","ꓓ":"d","ǳ":"dz","ʣ":"dz","ǲ":"dz","Ǳ":"dz","℮":"e","ｅ":"e","ℯ":"e","ⅇ":"e","𝐞":"e","𝑒":"e","𝒆":"e","𝓮":"e","𝔢":"e","𝕖":"e","𝖊":"e","𝖾":"e","𝗲":"e","𝘦":"e","𝙚":"e","𝚎":"e","ꬲ":"e","е":"e","ҽ":"e","⋿":"e","Ｅ":"e","ℰ":"e","𝐄":"e","𝐸":"e","𝑬":"e","𝓔":"e","𝔈":"e","𝔼":"e","𝕰":"e","𝖤":"e","𝗘":"e","𝘌":"e","𝙀":"e","𝙴":"e","Ε":"e","𝚬":"e","𝛦":"e","𝜠":"e","𝝚":"e","𝞔":"e","Е":"e","ⴹ":"e","Ꭼ":"e","ꓰ":"e","𑢦":"e","𑢮":"e","𐊆":"e","𝐟":"f","𝑓":"f","𝒇":"f","𝒻":"f","𝓯":"f","𝔣":"f","𝕗":"f","𝖋":"f","𝖿":"f","𝗳":"f","𝘧":"f","𝙛":"f","𝚏":"f","ꬵ":"f","ꞙ":"f","ſ":"f","ẝ":"f","ք":"f","𝈓":"f","ℱ":"f","𝐅":"f","𝐹":"f","𝑭":"f","𝓕":"f","𝔉":"f","𝔽":"f","𝕱":"f","𝖥":"f","𝗙":"f","𝘍":"f","𝙁":"f","𝙵":"f","Ꞙ":"f","Ϝ":"f","𝟊":"f","ᖴ":"f","ꓝ":"f","𑣂":"f","𑢢":"f","𐊇":"f","𐊥":"f","𐔥":"f","℻":"fax","ﬀ":"ff","ﬃ":"ffi","ﬄ":"ffl","ﬁ":"fi","ﬂ":"fl","ｇ":"g","ℊ":"g","𝐠":"g","𝑔":"g","𝒈":"g","𝓰":"g","𝔤":"g","𝕘":"g","𝖌":"g","𝗀":"g","𝗴":"g","𝘨":"g","𝙜":"g","𝚐":"g","ɡ":"g","ᶃ":"g","ƍ":"g","ց":"g","𝐆":"g","𝐺":"g","𝑮":"g","𝒢":"g","𝓖":"g","𝔊":"g","𝔾":"g","𝕲":"g","𝖦":"g","𝗚":"g","𝘎":"g","𝙂":"g","𝙶":"g","Ԍ":"g","Ꮐ":"g","Ᏻ":"g","ꓖ":"g","ｈ":"h","ℎ":"h","𝐡":"h","𝒉":"h","𝒽":"h","𝓱":"h","𝔥":"h","𝕙":"h","𝖍":"h","𝗁":"h","𝗵":"h","𝘩":"h","𝙝":"h","𝚑":"h","һ":"h","հ":"h","Ꮒ":"h","Ｈ":"h","ℋ":"h","ℌ":"h","ℍ":"h","𝐇":"h","𝐻":"h","𝑯":"h","𝓗":"h","𝕳":"h","𝖧":"h","𝗛":"h","𝘏":"h","𝙃":"h","𝙷":"h","Η":"h","𝚮":"h","𝛨":"h","𝜢":"h","𝝜":"h","𝞖":"h","Ⲏ":"h","Н":"h","Ꮋ":"h","ᕼ":"h","ꓧ":"h","𐋏":"h","˛":"i","⍳":"i","ｉ":"i","ⅰ":"i","ℹ":"i","ⅈ":"i","𝐢":"i","𝑖":"i","𝒊":"i","𝒾":"i","𝓲":"i","𝔦":"i","𝕚":"i","𝖎":"i","𝗂":"i","𝗶":"i","𝘪":"i","𝙞":"i","𝚒":"i","ı":"i","𝚤":"i","ɪ":"i","ɩ":"i","ι":"i","ι":"i","ͺ":"i","𝛊":"i","𝜄":"i","𝜾":"i","𝝸":"i","𝞲":"i","і":"i","ꙇ":"i","ӏ":"i","ꭵ":"i","Ꭵ":"i","𑣃":"i","ⅱ":"ii","ⅲ":"iii","ĳ":"ij","ⅳ":"iv","ⅸ":"ix","ｊ":"j","ⅉ":"j","𝐣":"j","𝑗":"j","𝒋":"j","𝒿":"j","𝓳":"j","𝔧":"j","𝕛":"j","𝖏":"j","𝗃":"j","𝗷":"j","𝘫":"j","𝙟":"j","𝚓":"j","ϳ":"j","ј":"j","Ｊ":"j","𝐉":"j","𝐽":"j","𝑱":"j","𝒥":"j","𝓙":"j","𝔍":"j","𝕁":"j","𝕵":"j","𝖩":"j","𝗝":"j","𝘑":"j","𝙅":"j","𝙹":"j","Ʝ":"j","Ϳ":"j","Ј":"j","Ꭻ":"j","ᒍ":"j","ꓙ":"j","𝐤":"k","𝑘":"k","𝒌":"k","𝓀":"k","𝓴":"k","𝔨":"k","𝕜":"k","𝖐":"k","𝗄":"k","𝗸":"k","𝘬":"k","𝙠":"k","𝚔":"k","Ｋ":"k","𝐊":"k","𝐾":"k","𝑲":"k","𝒦":"k","𝓚":"k","𝔎":"k","𝕂":"k","𝕶":"k","𝖪":"k","𝗞":"k","𝘒":"k","𝙆":"k","𝙺":"k","Κ":"k","𝚱":"k","𝛫":"k","𝜥":"k","𝝟":"k","𝞙":"k","Ⲕ":"k","К":"k","Ꮶ":"k","ᛕ":"k","ꓗ":"k","𐔘":"k","׀":"l","|":"l","∣":"l","⏽":"l","￨":"l","١":"l","۱":"l","𐌠":"l","𞣇":"l","𝟏":"l","𝟙":"l","𝟣":"l","𝟭":"l","𝟷":"l","I":"l","Ｉ":"l","Ⅰ":"l","ℐ":"l","ℑ":"l","𝐈":"l","𝐼":"l","𝑰":"l","𝓘":"l","𝕀":"l","𝕴":"l","𝖨":"l","𝗜":"l","𝘐":"l","𝙄":"l","𝙸":"l","Ɩ":"l","ｌ":"l","ⅼ":"l","ℓ":"l","𝐥":"l","𝑙":"l","𝒍":"l","𝓁":"l","𝓵":"l","𝔩":"l","𝕝":"l","𝖑":"l","𝗅":"l","𝗹":"l","𝘭":"l","𝙡":"l","𝚕":"l","ǀ":"l","Ι":"l","𝚰":"l","𝛪":"l","𝜤":"l","𝝞":"l","𝞘":"l","Ⲓ":"l","І":"l","Ӏ":"l","ו":"l","ן":"l","ا":"l","𞸀":"l","𞺀":"l","ﺎ":"l","ﺍ":"l","ߊ":"l","ⵏ":"l","ᛁ":"l","ꓲ":"l","𖼨":"l","𐊊":"l","𐌉":"l","𝈪":"l","Ⅼ":"l","ℒ":"l","𝐋":"l","𝐿":"l","𝑳":"l","𝓛":"l","𝔏":"l","𝕃":"l","𝕷":"l","𝖫":"l","𝗟":"l","𝘓":"l","𝙇":"l","𝙻":"l","Ⳑ":"l","Ꮮ":"l","ᒪ":"l","ꓡ":"l","𖼖":"l","𑢣":"l","𑢲":"l","𐐛":"l","𐔦":"l","ǉ":"lj","Ĳ":"lj","ǈ":"lj","Ǉ":"lj","‖":"ll","∥":"ll","Ⅱ":"ll","ǁ":"ll","װ":"ll","Ⅲ":"lll","Ю":"lo","ʪ":"ls","₶":"lt","Ⅳ":"lv","Ⅸ":"lx","ʫ":"lz","Ｍ":"m","Ⅿ":"m","ℳ":"m","𝐌":"m","𝑀":"m","𝑴":"m","𝓜":"m","𝔐":"m","𝕄":"m","𝕸":"m","𝖬":"m","𝗠":"m","𝘔":"m","𝙈":"m","𝙼":"m","Μ":"m","𝚳":"m","𝛭":"m","𝜧":"m","𝝡":"m","𝞛":"m","Ϻ":"m","Ⲙ":"m","М":"m","Ꮇ":"m","ᗰ":"m","ᛖ":"m","ꓟ":"m","𐊰":"m","𐌑":"m","🝫":"mb","𝐧":"n","𝑛":"n","𝒏":"n","𝓃":"n","𝓷":"n","𝔫":"n","𝕟":"n","𝖓":"n","𝗇":"n","𝗻":"n","𝘯":"n","𝙣":"n","𝚗":"n","ո":"n","ռ":"n","Ｎ":"n","ℕ":"n","𝐍":"n","𝑁":"n","𝑵":"n","𝒩":"n","𝓝":"n","𝔑":"n","𝕹":"n","𝖭":"n","𝗡":"n","𝘕":"n","𝙉":"n","𝙽":"n","Ν":"n","𝚴":"n","𝛮":"n","𝜨":"n","𝝢":"n","𝞜":"n","Ⲛ":"n","ꓠ":"n","𐔓":"n","ǌ":"nj","ǋ":"nj","Ǌ":"nj","№":"no","ం":"o","ಂ":"o","ം":"o","ං":"o","०":"o","੦":"o","૦":"o","௦":"o","౦":"o","೦":"o","൦":"o","๐":"o","໐":"o","၀":"o","٥":"o","۵":"o","ｏ":"o","ℴ":"o","𝐨":"o","𝑜":"o","𝒐":"o","𝓸":"o","𝔬":"o","𝕠":"o","𝖔":"o","𝗈":"o","𝗼":"o","𝘰":"o","𝙤":"o","𝚘":"o","ᴏ":"o","ᴑ":"o","ꬽ":"o","ο":"o","𝛐":"o","𝜊":"o","𝝄":"o","𝝾":"o","𝞸":"o","σ":"o","𝛔":"o","𝜎":"o","𝝈":"o","𝞂":"o","𝞼":"o","ⲟ":"o","о":"o","ჿ":"o","օ":"o","ס":"o","ه":"o","𞸤":"o","𞹤":"o","𞺄":"o","ﻫ":"o","ﻬ":"o","ﻪ":"o","ﻩ":"o","ھ":"o","ﮬ":"o","ﮭ":"o","ﮫ":"o","ﮪ":"o","ہ":"o","ﮨ":"o","ﮩ":"o","ﮧ":"o","ﮦ":"o","ە":"o","ഠ":"o","ဝ":"o","𐓪":"o","𑣈":"o","𑣗":"o","𐐬":"o","߀":"o","০":"o","୦":"o","〇":"o","𑓐":"o","𑣠":"o","𝟎":"o","𝟘":"o","𝟢":"o","𝟬":"o","𝟶":"o","Ｏ":"o","𝐎":"o","𝑂":"o","𝑶":"o","𝒪":"o","𝓞":"o","𝔒":"o","𝕆":"o","𝕺":"o","𝖮":"o","𝗢":"o","𝘖":"o","𝙊":"o","𝙾":"o","Ο":"o","𝚶":"o","𝛰":"o","𝜪":"o","𝝤":"o","𝞞":"o","Ⲟ":"o","О":"o","Օ":"o","ⵔ":"o","ዐ":"o","ଠ":"o","𐓂":"o","ꓳ":"o","𑢵":"o","𐊒":"o","𐊫":"o","𐐄":"o","𐔖":"o","œ":"oe","Œ":"oe","∞":"oo","ꝏ":"oo","ꚙ":"oo","Ꝏ":"oo","Ꚙ":"oo","⍴":"p","ｐ":"p","𝐩":"p","𝑝":"p","𝒑":"p","𝓅":"p","𝓹":"p","𝔭":"p","𝕡":"p","𝖕":"p","𝗉":"p","𝗽":"p","𝘱":"p","𝙥":"p","𝚙":"p","ρ":"p","ϱ":"p","𝛒":"p","𝛠":"p","𝜌":"p","𝜚":"p","𝝆":"p","𝝔":"p","𝞀":"p","𝞎":"p","𝞺":"p","𝟈":"p","ⲣ":"p","р":"p","Ｐ":"p","ℙ":"p","𝐏":"p","𝑃":"p","𝑷":"p","𝒫":"p","𝓟":"p","𝔓":"p","𝕻":"p","𝖯":"p","𝗣":"p","𝘗":"p","𝙋":"p","𝙿":"p","Ρ":"p","𝚸":"p","𝛲":"p","𝜬":"p","𝝦":"p","𝞠":"p","Ⲣ":"p","Р":"p","Ꮲ":"p","ᑭ":"p","ꓑ":"p","𐊕":"p","𝐪":"q","𝑞":"q","𝒒":"q","𝓆":"q","𝓺":"q","𝔮":"q","𝕢":"q","𝖖":"q","𝗊":"q","𝗾":"q","𝘲":"q","𝙦":"q","𝚚":"q","ԛ":"q","գ":"q","զ":"q","ℚ":"q","𝐐":"q","𝑄":"q","𝑸":"q","𝒬":"q","𝓠":"q","𝔔":"q","𝕼":"q","𝖰":"q","𝗤":"q","𝘘":"q","𝙌":"q","𝚀":"q","ⵕ":"q","🜀":"qe","𝐫":"r","𝑟":"r","𝒓":"r","𝓇":"r","𝓻":"r","𝔯":"r","𝕣":"r","𝖗":"r","𝗋":"r","𝗿":"r","𝘳":"r","𝙧":"r","𝚛":"r","ꭇ":"r","ꭈ":"r","ᴦ":"r","ⲅ":"r","г":"r","ꮁ":"r","𝈖":"r","ℛ":"r","ℜ":"r","ℝ":"r","𝐑":"r","𝑅":"r","𝑹":"r","𝓡":"r","𝕽":"r","𝖱":"r","𝗥":"r","𝘙":"r","𝙍":"r","𝚁":"r","Ʀ":"r","Ꭱ":"r","Ꮢ":"r","𐒴":"r","ᖇ":"r","ꓣ":"r","𖼵":"r","𑣣":"rn","m":"rn","ⅿ":"rn","𝐦":"rn","𝑚":"rn","𝒎":"rn","𝓂":"rn","𝓶":"rn","𝔪":"rn","𝕞":"rn","𝖒":"rn","𝗆":"rn","𝗺":"rn","𝘮":"rn","𝙢":"rn","𝚖":"rn","𑜀":"rn","₨":"rs","ｓ":"s","𝐬":"s","𝑠":"s","𝒔":"s","𝓈":"s","𝓼":"s","𝔰":"s","𝕤":"s","𝖘":"s","𝗌":"s","𝘀":"s","𝘴":"s","𝙨":"s","𝚜":"s","ꜱ":"s","ƽ":"s","ѕ":"s","ꮪ":"s","𑣁":"s","𐑈":"s","Ｓ":"s","𝐒":"s","𝑆":"s","𝑺":"s","𝒮":"s","𝓢":"s","𝔖":"s","𝕊":"s","𝕾":"s","𝖲":"s","𝗦":"s","𝘚":"s","𝙎":"s","𝚂":"s","Ѕ":"s","Տ":"s","Ꮥ":"s","Ꮪ":"s","ꓢ":"s","𖼺":"s","𐊖":"s","𐐠":"s","🝜":"sss","ﬆ":"st","𝐭":"t","𝑡":"t","𝒕":"t","𝓉":"t","𝓽":"t","𝔱":"t","𝕥":"t","𝖙":"t","𝗍":"t","𝘁":"t","𝘵":"t","𝙩":"t","𝚝":"t","⊤":"t","⟙":"t","🝨":"t","Ｔ":"t","𝐓":"t","𝑇":"t","𝑻":"t","𝒯":"t","𝓣":"t","𝔗":"t","𝕋":"t","𝕿":"t","𝖳":"t","𝗧":"t","𝘛":"t","𝙏":"t","𝚃":"t","Τ":"t","𝚻":"t","𝛵":"t","𝜯":"t","𝝩":"t","𝞣":"t","Ⲧ":"t","Т":"t","Ꭲ":"t","ꓔ":"t","𖼊":"t","𑢼":"t","𐊗":"t","𐊱":"t","𐌕":"t","Ꜩ":"t3","℡":"tel","ꝷ":"tf","ʦ":"ts","𝐮":"u","𝑢":"u","𝒖":"u","𝓊":"u","𝓾":"u","𝔲":"u","𝕦":"u","𝖚":"u","𝗎":"u","𝘂":"u","𝘶":"u","𝙪":"u","𝚞":"u","ꞟ":"u","ᴜ":"u","ꭎ":"u","ꭒ":"u","ʋ":"u","υ":"u","𝛖":"u","𝜐":"u","𝝊":"u","𝞄":"u","𝞾":"u","ս":"u","𐓶":"u","𑣘":"u","∪":"u","⋃":"u","𝐔":"u","𝑈":"u","𝑼":"u","𝒰":"u","𝓤":"u","𝔘":"u","𝕌":"u","𝖀":"u","𝖴":"u","𝗨":"u","𝘜":"u","𝙐":"u","𝚄":"u","Ս":"u","ሀ":"u","𐓎":"u","ᑌ":"u","ꓴ":"u","𖽂":"u","𑢸":"u","ᵫ":"ue","ꭣ":"uo","∨":"v","⋁":"v","ｖ":"v","ⅴ":"v","𝐯":"v","𝑣":"v","𝒗":"v","𝓋":"v","𝓿":"v","𝔳":"v","𝕧":"v","𝖛":"v","𝗏":"v","𝘃":"v","𝘷":"v","𝙫":"v","𝚟":"v","ᴠ":"v","ν":"v","𝛎":"v","𝜈":"v","𝝂":"v","𝝼":"v","𝞶":"v","ѵ":"v","ט":"v","𑜆":"v","ꮩ":"v","𑣀":"v","𝈍":"v","٧":"v","۷":"v","Ⅴ":"v","𝐕":"v","𝑉":"v","𝑽":"v","𝒱":"v","𝓥":"v","𝔙":"v","𝕍":"v","𝖁":"v","𝖵":"v","𝗩":"v","𝘝":"v","𝙑":"v","𝚅":"v","Ѵ":"v","ⴸ":"v","Ꮩ":"v","ᐯ":"v","ꛟ":"v","ꓦ":"v","𖼈":"v","𑢠":"v","𐔝":"v","🝬":"vb","ⅵ":"vi","ⅶ":"vii","ⅷ":"viii","Ⅵ":"vl","Ⅶ":"vll","Ⅷ":"vlll","ɯ":"w","𝐰":"w","𝑤":"w","𝒘":"w","𝓌":"w","𝔀":"w","𝔴":"w","𝕨":"w","𝖜":"w","𝗐":"w","𝘄":"w","𝘸":"w","𝙬":"w","𝚠":"w","ᴡ":"w","ѡ":"w","ԝ":"w","ա":"w","𑜊":"w","𑜎":"w","𑜏":"w","ꮃ":"w","𑣯":"w","𑣦":"w","𝐖":"w","𝑊":"w","𝑾":"w","𝒲":"w","𝓦":"w","𝔚":"w","𝕎":"w","𝖂":"w","𝖶":"w","𝗪":"w","𝘞":"w","𝙒":"w","𝚆":"w","Ԝ":"w","Ꮃ":"w","Ꮤ":"w","ꓪ":"w","᙮":"x","×":"x","⤫":"x","⤬":"x","⨯":"x","ｘ":"x","ⅹ":"x","𝐱":"x","𝑥":"x","𝒙":"x","𝓍":"x","𝔁":"x","𝔵":"x","𝕩":"x","𝖝":"x","𝗑":"x","𝘅":"x","𝘹":"x","𝙭":"x","𝚡":"x","х":"x","ᕁ":"x","ᕽ":"x","᙭":"x","╳":"x","𐌢":"x","𑣬":"x","Ｘ":"x","Ⅹ":"x","𝐗":"x","𝑋":"x","𝑿":"x","𝒳":"x","𝓧":"x","𝔛":"x","𝕏":"x","𝖃":"x","𝖷":"x","𝗫":"x","𝘟":"x","𝙓":"x","𝚇":"x","Ꭓ":"x","Χ":"x","𝚾":"x","𝛸":"x","𝜲":"x","𝝬":"x","𝞦":"x","Ⲭ":"x","Х":"x","ⵝ":"x","ᚷ":"x","ꓫ":"x","𐊐":"x","𐊴":"x","𐌗":"x","𐔧":"x","ⅺ":"xi","ⅻ":"xii","Ⅺ":"xl","Ⅻ":"xll","ɣ":"y","ᶌ":"y","ｙ":"y","𝐲":"y","𝑦":"y","𝒚":"y","𝓎":"y","𝔂":"y","𝔶":"y","𝕪":"y","𝖞":"y","𝗒":"y","𝘆":"y","𝘺":"y","𝙮":"y","𝚢":"y","ʏ":"y","ỿ":"y","ꭚ":"y","γ":"y","ℽ":"y","𝛄":"y","𝛾":"y","𝜸":"y","𝝲":"y","𝞬":"y","у":"y","ү":"y","ყ":"y","𑣜":"y","Ｙ":"y","𝐘":"y","𝑌":"y","𝒀":"y","𝒴":"y","𝓨":"y","𝔜":"y","𝕐":"y","𝖄":"y","𝖸":"y","𝗬":"y","𝘠":"y","𝙔":"y","𝚈":"y","Υ":"y","ϒ":"y","𝚼":"y","𝛶":"y","𝜰":"y","𝝪":"y","𝞤":"y","Ⲩ":"y","У":"y","Ү":"y","Ꭹ":"y","Ꮍ":"y","ꓬ":"y","𖽃":"y","𑢤":"y","𐊲":"y","𝐳":"z","𝑧":"z","𝒛":"z","𝓏":"z","𝔃":"z","𝔷":"z","𝕫":"z","𝖟":"z","𝗓":"z","𝘇":"z","𝘻":"z","𝙯":"z","𝚣":"z","ᴢ":"z","ꮓ":"z","𑣄":"z","𐋵":"z","𑣥":"z","Ｚ":"z","ℤ":"z","ℨ":"z","𝐙":"z","𝑍":"z","𝒁":"z","𝒵":"z","𝓩":"z","𝖅":"z","𝖹":"z","𝗭":"z","𝘡":"z","𝙕":"z","𝚉":"z","Ζ":"z","𝚭":"z","𝛧":"z","𝜡":"z","𝝛":"z","𝞕":"z","Ꮓ":"z","ꓜ":"z","𑢩":"z"};
@@ -0,0 +1,134 @@
+// Which of the cookies a site's page can send are tracking ones: third-party cookies of the
+// other sites the page contacted, cookies named after analytics and ad vendors (most of which
+// sit on the site's own domain), cookies kept for over a year, and the visitor IDs trackers
+// write to localStorage where cookie cleanup doesn't reach them.
+import { getRegistrableDomain, isSameSite } from './domain.js';
+
+// Browsers' own cap on cookie lifetime is 400 days; regulators read 13 months as the most a
+// consent or visitor ID should last
+export const LONG_EXPIRY_DAYS = 395;
+
+export const MAX_STORAGE_IDENTIFIERS = 20;
+
+// Cookie names of analytics and ad vendors. Short generic names only count on the vendor's
+// own domain.
+const TRACKING_COOKIES = [
+  { name: /^_ga(_|$)/, vendor: 'Google Analytics' },
+  { name: /^(_gid|_gat(_.*)?|__utm[abcz])$/, vendor: 'Google Analytics' },
+  { name: /^(_gcl_\w+|__gads|__gpi|__eoi)$/, vendor: 'Google Ads' },
+  { name: /^(IDE|DSID|test_cookie)$/, vendor: 'Google Ads', domain: 'doubleclick.net' },
+  { name: /^(NID|AEC|1P_JAR)$/, vendor: 'Google', domain: 'google.com' },
+  { name: /^(_fbp|_fbc)$/, vendor: 'Meta Pixel' },
+  { name: /^(fr|datr)$/, vendor: 'Meta', domain: 'facebook.com' },
+  { name: /^(_uetsid|_uetvid)$/, vendor: 'Microsoft Ads' },
+  { name: /^(MUID|ANONCHK)$/, vendor: 'Microsoft', domain: 'bing.com' },
+  { name: /^(_clck|_clsk|CLID)$/, vendor: 'Microsoft Clarity' },
+  { name: /^_hj/, vendor: 'Hotjar' },
+  { name: /^_pk_(id|ses|ref)/, vendor: 'Matomo' },
+  { name: /^(ajs_anonymous_id|ajs_user_id)$/, vendor: 'Segment' },
+  { name: /^(hubspotutk|__hstc|__hssc|__hssrc)$/, vendor: 'HubSpot' },
+  { name: /^mp_\w+_mixpanel$/, vendor: 'Mixpanel' },
+  { name: /^amp_\w+|^amplitude_id/, vendor: 'Amplitude' },
+  { name: /^_ttp$/, vendor: 'TikTok' },
+  { name: /^_scid/, vendor: 'Snapchat' },
+  { name: /^_pin_unauth$/, vendor: 'Pinterest' },
+  { name: /^_rdt_uuid$/, vendor: 'Reddit' },
+  { name: /^_mkto_trk$/, vendor: 'Marketo' },
+  { name: /^(bcookie|lidc|li_sugr|UserMatchHistory)$/, vendor: 'LinkedIn', domain: 'linkedin.com' },
+  { name: /^uuid2$/, vendor: 'Xandr', domain: 'adnxs.com' },
+  { name: /^(personalization_id|guest_id)$/, vendor: 'X', domain: 'x.com' },
+  { name: /^(personalization_id|guest_id)$/, vendor: 'X', domain: 'twitter.com' }
+];
+
+// localStorage keys trackers keep visitor and device IDs under
+const IDENTIFIER_KEY_PATTERN = /(^|[^a-z])(u?uid|visitor|device|fingerprint|fp|client_?id|anon(ymous)?_?id|user_?id|tracking|distinct_?id|session_?id)([^a-z]|$)/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// A long token of mixed letters and digits, the shape of a generated ID
+const TOKEN_PATTERN = /^[A-Za-z0-9._~+/=-]{16,128}$/;
+
+function trackingVendor(name, domain, isTracker) {
+  const match = TRACKING_COOKIES.find(
+    (entry) => entry.name.test(name) && (!entry.domain || isSameSite(domain, entry.domain))
+  );
+  if (match) return match.vendor;
+  return isTracker(domain) ? 'Tracker domain' : null;
+}
+
+// chrome.cookies cookie -> what the cookie view shows of it
+export function classifyCookie(cookie, { site, isTracker, now = Date.now() }) {
+  const domain = cookie.domain.replace(/^\./, '');
+  const expires = cookie.session || !cookie.expirationDate ? null : Math.round(cookie.expirationDate * 1000);
+  return {
+    name: cookie.name,
+    domain,
+    path: cookie.path,
+    thirdParty: !isSameSite(domain, site),
+    partitioned: !!cookie.partitionKey,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite,
+    expires,
+    longLived: expires !== null && expires - now > LONG_EXPIRY_DAYS * 24 * 60 * 60 * 1000,
+    tracker: trackingVendor(cookie.name, domain, isTracker)
+  };
+}
+
+// The cookies a page can send, grouped by site: its own first, then third parties by how
+// many tracking cookies they hold. isTracker(hostname) checks the tracker feeds.
+export function summarizeCookies(cookies, { pageUrl, isTracker, storageIdentifiers = [] }) {
+  const site = getRegistrableDomain(new URL(pageUrl).hostname);
+  const groups = new Map();
+  cookies.forEach((cookie) => {
+    const item = classifyCookie(cookie, { site, isTracker });
+    const domain = getRegistrableDomain(item.domain);
+    if (!groups.has(domain)) {
+      groups.set(domain, { domain, thirdParty: item.thirdParty, cookies: [] });
+    }
+    groups.get(domain).cookies.push(item);
+  });
+
+  const summary = [...groups.values()];
+  const trackingCount = (group) => group.cookies.filter((cookie) => cookie.tracker).length;
+  summary.forEach((group) => group.cookies.sort((a, b) => !!b.tracker - !!a.tracker || a.name.localeCompare(b.name)));
+  summary.sort(
+    (a, b) => a.thirdParty - b.thirdParty || trackingCount(b) - trackingCount(a) || a.domain.localeCompare(b.domain)
+  );
+
+  const all = summary.flatMap((group) => group.cookies);
+  return {
+    site,
+    counts: {
+      total: all.length,
+      thirdParty: all.filter((cookie) => cookie.thirdParty).length,
+      tracking: all.filter((cookie) => cookie.tracker).length,
+      longLived: all.filter((cookie) => cookie.longLived).length,
+      storageIdentifiers: storageIdentifiers.length
+    },
+    groups: summary,
+    storageIdentifiers
+  };
+}
+
+// Why a localStorage entry looks like a visitor ID, or null. Values are inspected and
+// dropped; only the key and the reason leave the page.
+export function describeStorageIdentifier(key, value) {
+  let text = String(value || '').trim();
+  // Many libraries store {"id": "..."} or a quoted string
+  try {
+    const parsed = JSON.parse(text);
+    if (typeof parsed === 'string') text = parsed;
+    else if (parsed && typeof parsed === 'object') {
+      const id = Object.entries(parsed).find(([name, item]) => /id$/i.test(name) && typeof item === 'string');
+      if (id) text = id[1];
+    }
+  } catch {
+    // Not JSON
+  }
+
+  if (UUID_PATTERN.test(text)) return 'holds a UUID';
+  if (!IDENTIFIER_KEY_PATTERN.test(key) || !TOKEN_PATTERN.test(text)) return null;
+  // IDs mix digits and letters; flags, dates and words don't
+  const variety = new Set(text).size;
+  if (variety < 10 || !/\d/.test(text) || !/[a-z]/i.test(text)) return null;
+  return `holds a ${text.length}-character ID`;
+}
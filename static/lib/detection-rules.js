@@ -0,0 +1,86 @@
+// The user's detection rules (see rule-engine.js), kept in local storage next to the
+// built-in rules. The background runs URL and request rules itself and hands page rules
+// to the content script.
+import {
+  BUILTIN_RULES,
+  describeMatch,
+  evaluateRules,
+  ruleSignal,
+  ruleSignals,
+  validateRules
+} from './rule-engine.js';
+
+const STORAGE_KEY = 'webguardian_detection_rules';
+
+export class DetectionRuleManager {
+  constructor() {
+    this.userRules = [];
+    this.signals = {};
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const errors = [];
+      this.setUserRules(validateRules(result[STORAGE_KEY] || [], errors));
+      errors.forEach((error) => console.warn('Ignoring stored detection rule:', error));
+    } catch (error) {
+      console.error('Failed to load detection rules:', error);
+    }
+  }
+
+  setUserRules(rules) {
+    this.userRules = rules;
+    this.signals = ruleSignals(rules);
+  }
+
+  // Replaces the user's rules with the editor's; nothing is saved unless every rule is valid
+  async replaceUserRules(rules) {
+    const errors = [];
+    const valid = validateRules(rules, errors);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    this.setUserRules(valid);
+    await chrome.storage.local.set({ [STORAGE_KEY]: valid });
+  }
+
+  getUserRules() {
+    return this.userRules;
+  }
+
+  getRules() {
+    return [...BUILTIN_RULES, ...this.userRules];
+  }
+
+  getRule(id) {
+    return this.getRules().find((rule) => rule.id === id) || null;
+  }
+
+  // Enabled rules of one context, minus those the site's exceptions switch off
+  forContext(context, isEnabled = () => true) {
+    return this.getRules().filter(
+      (rule) => rule.enabled && rule.context === context && isEnabled(rule.detector)
+    );
+  }
+
+  evaluate(context, subject, isEnabled) {
+    return evaluateRules(this.forContext(context, isEnabled), context, subject);
+  }
+
+  // A rule's finds become threats like any other detector's
+  toThreat(match, source) {
+    const { rule, value } = match;
+    return {
+      type: rule.type,
+      signal: ruleSignal(rule),
+      source,
+      severity: rule.severity,
+      description: describeMatch(match),
+      rule: rule.id,
+      ...(!rule.builtin && { title: rule.name }),
+      ...(rule.recommendation && { recommendation: rule.recommendation }),
+      ...(!rule.builtin && value && { details: { match: value } })
+    };
+  }
+}
@@ -0,0 +1,148 @@
+// Compact domain matcher for large blocklists.
+// A bloom filter answers most lookups (the misses) without touching the list; hits are
+// confirmed by binary search over the sorted domains, which are packed into one string
+// plus an offset table instead of hundreds of thousands of separate Set entries.
+// A hostname matches when it or any of its parent domains is on the list.
+
+const SERIAL_VERSION = 1;
+
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function djb2(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash, 33) ^ value.charCodeAt(i);
+  }
+  return hash >>> 0;
+}
+
+export class DomainMatcher {
+  constructor({ hashCount, bitCount, bits, text, offsets }) {
+    this.hashCount = hashCount;
+    this.bitCount = bitCount;
+    this.bits = bits;
+    this.text = text;
+    this.offsets = offsets;
+  }
+
+  static fromDomains(domains, { falsePositiveRate = 0.01 } = {}) {
+    const sorted = [...new Set(domains)].sort();
+    const expected = Math.max(sorted.length, 1);
+    const bitCount = Math.max(
+      64,
+      Math.ceil((-expected * Math.log(falsePositiveRate)) / (Math.LN2 * Math.LN2))
+    );
+    const hashCount = Math.max(1, Math.round((bitCount / expected) * Math.LN2));
+
+    const offsets = new Uint32Array(sorted.length + 1);
+    let position = 0;
+    sorted.forEach((domain, index) => {
+      offsets[index] = position;
+      position += domain.length + 1;
+    });
+    offsets[sorted.length] = position;
+
+    const matcher = new DomainMatcher({
+      hashCount,
+      bitCount,
+      bits: new Uint8Array(Math.ceil(bitCount / 8)),
+      text: sorted.join('\n'),
+      offsets
+    });
+    sorted.forEach((domain) => matcher.addToFilter(domain));
+    return matcher;
+  }
+
+  static empty() {
+    return DomainMatcher.fromDomains([]);
+  }
+
+  // Plain data with typed arrays: can be stored in IndexedDB as-is
+  serialize() {
+    return {
+      version: SERIAL_VERSION,
+      hashCount: this.hashCount,
+      bitCount: this.bitCount,
+      bits: this.bits,
+      text: this.text,
+      offsets: this.offsets
+    };
+  }
+
+  static deserialize(data) {
+    if (!data || data.version !== SERIAL_VERSION) {
+      throw new Error('Unsupported domain matcher format');
+    }
+    return new DomainMatcher(data);
+  }
+
+  get size() {
+    return this.offsets.length - 1;
+  }
+
+  // Double hashing: the i-th filter position is h1 + i * h2
+  addToFilter(domain) {
+    const h1 = fnv1a(domain);
+    const h2 = djb2(domain) | 1;
+    for (let i = 0; i < this.hashCount; i++) {
+      const position = ((h1 + Math.imul(i, h2)) >>> 0) % this.bitCount;
+      this.bits[position >> 3] |= 1 << (position & 7);
+    }
+  }
+
+  mightContain(domain) {
+    const h1 = fnv1a(domain);
+    const h2 = djb2(domain) | 1;
+    for (let i = 0; i < this.hashCount; i++) {
+      const position = ((h1 + Math.imul(i, h2)) >>> 0) % this.bitCount;
+      if ((this.bits[position >> 3] & (1 << (position & 7))) === 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  entry(index) {
+    return this.text.slice(this.offsets[index], this.offsets[index + 1] - 1);
+  }
+
+  // Exact membership, no parent domains
+  has(domain) {
+    if (this.size === 0 || !this.mightContain(domain)) {
+      return false;
+    }
+
+    let low = 0;
+    let high = this.size - 1;
+    while (low <= high) {
+      const middle = (low + high) >>> 1;
+      const candidate = this.entry(middle);
+      if (candidate === domain) return true;
+      if (candidate < domain) {
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return false;
+  }
+
+  // Returns the listed domain covering the hostname (itself or a parent), or null
+  match(hostname) {
+    let domain = hostname.toLowerCase().replace(/\.$/, '');
+    while (domain.includes('.')) {
+      if (this.has(domain)) {
+        return domain;
+      }
+      domain = domain.slice(domain.indexOf('.') + 1);
+    }
+    return null;
+  }
+}
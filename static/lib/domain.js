@@ -0,0 +1,115 @@
+// Domain parsing shared by the background service worker and the content script.
+// Uses the embedded Public Suffix List snapshot to split a hostname into its public
+// suffix (co.uk), registrable domain (eTLD+1, bbc.co.uk) and subdomain labels, so
+// detectors don't have to guess from dots and substrings.
+import { PSL_RULES } from './public-suffix-list.js';
+
+const IPV4_PATTERN = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+const CACHE_LIMIT = 1000;
+
+let rules = null;
+const cache = new Map();
+
+function getRules() {
+  if (!rules) {
+    rules = new Set(PSL_RULES.split('\n'));
+  }
+  return rules;
+}
+
+function normalize(hostname) {
+  return (hostname || '').trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+export function isIpAddress(hostname) {
+  const normalized = normalize(hostname);
+  return IPV4_PATTERN.test(normalized) || normalized.includes(':');
+}
+
+// Number of trailing labels that form the public suffix
+function publicSuffixLength(labels) {
+  const ruleSet = getRules();
+  let length = 1; // Implicit "*" rule: unknown TLDs are public suffixes
+
+  for (let start = labels.length - 1; start >= 0; start--) {
+    const candidate = labels.slice(start).join('.');
+    const count = labels.length - start;
+
+    // Exception rules (!www.ck) always win and end one label short
+    if (ruleSet.has(`!${candidate}`)) {
+      return count - 1;
+    }
+    if (ruleSet.has(candidate)) {
+      length = Math.max(length, count);
+    }
+    // Wildcard rules (*.ck) cover one more label
+    if (start > 0 && ruleSet.has(`*.${candidate}`)) {
+      length = Math.max(length, count + 1);
+    }
+  }
+
+  return Math.min(length, labels.length);
+}
+
+export function parseHostname(input) {
+  const hostname = normalize(input);
+  if (cache.has(hostname)) {
+    return cache.get(hostname);
+  }
+
+  const result = {
+    hostname,
+    isIp: false,
+    publicSuffix: null,
+    registrableDomain: null,
+    domainLabel: null,
+    subdomain: '',
+    subdomainLabels: []
+  };
+
+  if (!hostname) {
+    return result;
+  }
+
+  if (isIpAddress(hostname)) {
+    result.isIp = true;
+  } else {
+    const labels = hostname.split('.');
+    const suffixLength = publicSuffixLength(labels);
+    result.publicSuffix = labels.slice(-suffixLength).join('.');
+
+    // A bare public suffix (e.g. "co.uk") has no registrable domain
+    if (labels.length > suffixLength) {
+      const domainIndex = labels.length - suffixLength - 1;
+      result.registrableDomain = labels.slice(domainIndex).join('.');
+      result.domainLabel = labels[domainIndex];
+      result.subdomainLabels = labels.slice(0, domainIndex);
+      result.subdomain = result.subdomainLabels.join('.');
+    }
+  }
+
+  if (cache.size >= CACHE_LIMIT) {
+    cache.clear();
+  }
+  cache.set(hostname, result);
+  return result;
+}
+
+// Registrable domain, falling back to the hostname itself for IPs and bare suffixes
+export function getRegistrableDomain(hostname) {
+  const parsed = parseHostname(hostname);
+  return parsed.registrableDomain || parsed.hostname;
+}
+
+export function getPublicSuffix(hostname) {
+  return parseHostname(hostname).publicSuffix;
+}
+
+// True only for suffixes listed in the PSL, not the implicit "*" rule
+export function isPublicSuffix(value) {
+  return getRules().has(normalize(value));
+}
+
+export function isSameSite(hostnameA, hostnameB) {
+  return getRegistrableDomain(hostnameA) === getRegistrableDomain(hostnameB);
+}
@@ -0,0 +1,138 @@
+// What a download's file name and MIME type say about it. The background combines these
+// findings with checks of where the file comes from (feeds, site lists, the tab it was
+// started from) and scores them like a page to decide whether to let it through.
+
+// What the background does with a download
+export const DOWNLOAD_ACTIONS = Object.freeze({
+  ALLOWED: 'allowed',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  // The user's answer to a paused download
+  RESUMED: 'resumed',
+  DISCARDED: 'discarded'
+});
+
+// Files that run code when opened
+const EXECUTABLE_EXTENSIONS = new Set([
+  'exe', 'msi', 'msix', 'msp', 'com', 'scr', 'pif', 'cpl', 'bat', 'cmd', 'ps1', 'psm1',
+  'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh', 'hta', 'lnk', 'reg', 'jar', 'apk', 'xapk',
+  'dmg', 'pkg', 'app', 'command', 'sh', 'run', 'deb', 'rpm', 'appimage', 'iso', 'img', 'vhd'
+]);
+
+// Documents that macros turn into programs
+const MACRO_EXTENSIONS = new Set(['docm', 'xlsm', 'pptm', 'dotm', 'xltm', 'xlam']);
+
+// The broad kind of file an extension or MIME type stands for. Only kinds that can't be
+// confused with one another are listed, so a mismatch means one of the two is lying.
+const EXTENSION_KINDS = {
+  executable: [...EXECUTABLE_EXTENSIONS],
+  pdf: ['pdf'],
+  image: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'heic'],
+  audio: ['mp3', 'wav', 'flac', 'ogg', 'm4a'],
+  video: ['mp4', 'mkv', 'avi', 'mov', 'webm'],
+  office: ['doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'rtf'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz']
+};
+
+const MIME_KINDS = [
+  {
+    kind: 'executable',
+    pattern:
+      /^application\/(x-msdownload|x-msdos-program|x-ms-installer|x-msi|vnd\.microsoft\.portable-executable|x-executable|x-dosexec|x-sh|x-bat|java-archive|vnd\.android\.package-archive|x-apple-diskimage)$/
+  },
+  { kind: 'pdf', pattern: /^application\/pdf$/ },
+  { kind: 'image', pattern: /^image\// },
+  { kind: 'audio', pattern: /^audio\// },
+  { kind: 'video', pattern: /^video\// },
+  { kind: 'office', pattern: /^application\/(msword|vnd\.ms-|vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.|rtf)/ },
+  { kind: 'archive', pattern: /^application\/(zip|x-zip-compressed|x-rar-compressed|vnd\.rar|x-7z-compressed|x-tar|gzip|x-gzip)$/ }
+];
+
+// Extensions a file pretends to have in front of its real one: "invoice.pdf.exe"
+const DECOY_EXTENSIONS = new Set([
+  ...EXTENSION_KINDS.pdf,
+  ...EXTENSION_KINDS.image,
+  ...EXTENSION_KINDS.audio,
+  ...EXTENSION_KINDS.video,
+  ...EXTENSION_KINDS.office,
+  'txt', 'csv', 'html', 'htm', 'zip', 'rar'
+]);
+
+// Right-to-left override and friends flip how the end of a name is shown: "invoice‮fdp.exe"
+const BIDI_CONTROL_CHARS = /[\u202a-\u202e\u2066-\u2069]/;
+
+// "C:\Users\me\Downloads\invoice.pdf.exe" -> "invoice.pdf.exe"
+export function getFileName(path) {
+  return String(path || '').split(/[\\/]/).pop();
+}
+
+function extensionsOf(fileName) {
+  // Padding the name with spaces or dots before the real extension hides it in narrow columns
+  const parts = fileName.toLowerCase().split('.').map((part) => part.trim());
+  return parts.length > 1 ? parts.slice(1) : [];
+}
+
+function kindOfExtension(extension) {
+  return Object.keys(EXTENSION_KINDS).find((kind) => EXTENSION_KINDS[kind].includes(extension)) || null;
+}
+
+function kindOfMime(mime) {
+  const type = String(mime || '').split(';')[0].trim().toLowerCase();
+  return MIME_KINDS.find(({ pattern }) => pattern.test(type))?.kind || null;
+}
+
+export function isDangerousExtension(extension) {
+  return EXECUTABLE_EXTENSIONS.has(extension) || MACRO_EXTENSIONS.has(extension);
+}
+
+// One finding per suspicious trait of the file, each naming its risk signal
+export function inspectDownloadFile({ filename, mime }) {
+  const findings = [];
+  const name = getFileName(filename);
+  const extensions = extensionsOf(name);
+  const extension = extensions[extensions.length - 1] || '';
+
+  if (isDangerousExtension(extension)) {
+    findings.push({
+      signal: 'dangerous_file_type',
+      reason: MACRO_EXTENSIONS.has(extension)
+        ? `${name} is a document that can run macros`
+        : `${name} is a program (.${extension}) that runs when opened`
+    });
+  }
+
+  const decoy = extensions[extensions.length - 2];
+  if (BIDI_CONTROL_CHARS.test(name)) {
+    findings.push({
+      signal: 'double_extension',
+      reason: `${name} contains characters that reverse how its extension is shown`
+    });
+  } else if (decoy && DECOY_EXTENSIONS.has(decoy) && EXECUTABLE_EXTENSIONS.has(extension)) {
+    findings.push({
+      signal: 'double_extension',
+      reason: `${name} looks like a .${decoy} file but is a .${extension} program`
+    });
+  }
+
+  const fileKind = kindOfExtension(extension);
+  const mimeKind = kindOfMime(mime);
+  if (fileKind && mimeKind && fileKind !== mimeKind) {
+    findings.push({
+      signal: 'mime_mismatch',
+      reason: `${name} was served as ${String(mime).split(';')[0]}, which doesn't match its .${extension} extension`
+    });
+  }
+
+  return findings;
+}
+
+// The site a download comes from. Blob URLs carry the origin that created them; data URLs
+// have none.
+export function getDownloadHost(url) {
+  try {
+    const parsed = new URL(url.startsWith('blob:') ? url.slice(5) : url);
+    return /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
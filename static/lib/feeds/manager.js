@@ -0,0 +1,399 @@
+// Threat-intelligence feed manager.
+// Feeds are either bundled with the extension or fetched from a configurable URL,
+// parsed into domain lists, kept in IndexedDB and refreshed on a chrome.alarms schedule.
+// Lookups go through one DomainMatcher per category, which is stored serialized so a
+// restarted service worker doesn't have to rebuild it from the domain lists.
+import { getAllRecords, getRecord, putRecord, deleteRecord } from '../idb.js';
+import { DomainMatcher } from '../domain-matcher.js';
+import { parseFeed, extractVersion, FEED_FORMATS } from './parsers.js';
+import { RULESET_MALICIOUS, RULESET_PHISHING, RULESET_TRACKERS } from '../rulesets.js';
+
+export const FEED_REFRESH_ALARM = 'webguardian-feed-refresh';
+export const FEED_CATEGORIES = [RULESET_MALICIOUS, RULESET_PHISHING, RULESET_TRACKERS];
+
+const CONFIG_KEY = 'webguardian_feed_config';
+const DEFAULT_REFRESH_MINUTES = 360;
+
+// Bundled feeds also back the static declarativeNetRequest rulesets (see scripts/build-rulesets.js)
+export const BUNDLED_FEEDS = [
+  {
+    id: 'webguardian-malicious',
+    name: 'WebGuardian Malicious Domains',
+    category: RULESET_MALICIOUS,
+    format: 'domains',
+    url: 'feeds/malicious.txt',
+    bundled: true
+  },
+  {
+    id: 'webguardian-phishing',
+    name: 'WebGuardian Phishing URLs',
+    category: RULESET_PHISHING,
+    format: 'csv',
+    url: 'feeds/phishing.csv',
+    bundled: true
+  },
+  {
+    id: 'webguardian-trackers',
+    name: 'WebGuardian Trackers',
+    category: RULESET_TRACKERS,
+    format: 'adblock',
+    url: 'feeds/trackers.txt',
+    bundled: true
+  }
+];
+
+// FNV-1a, used as a version when the feed doesn't declare one
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// SHA-256 of the sorted domain list, so a feed that swaps entries without changing its
+// size or version line still counts as changed
+async function hashDomains(domains) {
+  const data = new TextEncoder().encode([...domains].sort().join('\n'));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class FeedManager {
+  constructor({ fetchImpl, resolveUrl, onUpdate } = {}) {
+    // fetch and URL resolution are injectable so feeds can be exercised against a local server
+    this.fetchImpl = fetchImpl || ((url, options) => fetch(url, options));
+    this.resolveUrl = resolveUrl || ((path) => chrome.runtime.getURL(path));
+    this.onUpdate = onUpdate || (() => {});
+
+    this.config = { refreshMinutes: DEFAULT_REFRESH_MINUTES, customFeeds: [] };
+    // Pinned by the admin policy; not part of the saved config
+    this.managedFeeds = [];
+    this.records = new Map();
+    this.matchers = new Map();
+  }
+
+  get feeds() {
+    return [...BUNDLED_FEEDS, ...this.managedFeeds, ...this.config.customFeeds];
+  }
+
+  setManagedFeeds(feeds) {
+    this.managedFeeds = feeds;
+  }
+
+  // After the policy changed at runtime: fetches newly pinned feeds and forgets unpinned ones
+  async syncManagedFeeds(feeds) {
+    const previous = this.managedFeeds;
+    this.managedFeeds = feeds;
+
+    const ids = new Set(feeds.map((feed) => feed.id));
+    const removed = previous.filter((feed) => !ids.has(feed.id));
+    const added = feeds.filter((feed) => !this.records.has(feed.id));
+    for (const feed of removed) {
+      await this.forgetFeed(feed.id);
+    }
+    for (const feed of added) {
+      await this.refreshFeed(feed, { force: true });
+    }
+
+    if (removed.length > 0 || added.length > 0) {
+      await this.rebuildMatchers();
+      await this.onUpdate();
+    }
+  }
+
+  async init() {
+    await this.loadConfig();
+
+    try {
+      const records = await getAllRecords('feeds');
+      records.forEach((record) => this.records.set(record.id, record));
+    } catch (error) {
+      console.error('Failed to load feeds:', error);
+    }
+
+    // Bundled feeds are reloaded whenever the extension version changes
+    const extensionVersion = chrome.runtime.getManifest().version;
+    const stale = this.feeds.filter((feed) => {
+      const record = this.records.get(feed.id);
+      return !record || (feed.bundled && record.extensionVersion !== extensionVersion);
+    });
+    let changed = false;
+    for (const feed of stale) {
+      if (await this.refreshFeed(feed, { force: true })) {
+        changed = true;
+      }
+    }
+
+    // Feeds the policy unpinned while the worker wasn't running
+    const known = new Set(this.feeds.map((feed) => feed.id));
+    for (const id of [...this.records.keys()].filter((id) => !known.has(id))) {
+      await this.forgetFeed(id);
+      changed = true;
+    }
+
+    if (changed || !(await this.loadMatchers())) {
+      await this.rebuildMatchers();
+      await this.onUpdate();
+    }
+    await this.scheduleRefresh();
+  }
+
+  // Returns false when a stored matcher is missing or unreadable
+  async loadMatchers() {
+    try {
+      for (const category of FEED_CATEGORIES) {
+        const stored = await getRecord('matchers', category);
+        if (!stored) return false;
+        this.matchers.set(category, DomainMatcher.deserialize(stored.matcher));
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to load domain matchers:', error);
+      return false;
+    }
+  }
+
+  async rebuildMatchers() {
+    for (const category of FEED_CATEGORIES) {
+      let domains = [];
+      for (const feed of this.feeds.filter((item) => item.category === category)) {
+        domains = domains.concat(await this.getFeedDomains(feed.id));
+      }
+
+      const matcher = DomainMatcher.fromDomains(domains);
+      this.matchers.set(category, matcher);
+      try {
+        await putRecord('matchers', { category, matcher: matcher.serialize() });
+      } catch (error) {
+        console.error('Failed to store domain matcher:', error);
+      }
+    }
+  }
+
+  async getFeedDomains(id) {
+    try {
+      const stored = await getRecord('feed_domains', id);
+      return stored?.domains || [];
+    } catch (error) {
+      console.error('Failed to load feed domains:', error);
+      return [];
+    }
+  }
+
+  async loadConfig() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG_KEY);
+      if (result[CONFIG_KEY]) {
+        this.config = { ...this.config, ...result[CONFIG_KEY] };
+      }
+    } catch (error) {
+      console.error('Failed to load feed config:', error);
+    }
+  }
+
+  async saveConfig() {
+    try {
+      await chrome.storage.local.set({ [CONFIG_KEY]: this.config });
+    } catch (error) {
+      console.error('Failed to save feed config:', error);
+    }
+  }
+
+  async scheduleRefresh() {
+    const periodInMinutes = this.config.refreshMinutes;
+    const existing = await chrome.alarms.get(FEED_REFRESH_ALARM);
+    if (!existing || existing.periodInMinutes !== periodInMinutes) {
+      await chrome.alarms.create(FEED_REFRESH_ALARM, {
+        delayInMinutes: periodInMinutes,
+        periodInMinutes
+      });
+    }
+  }
+
+  feedUrl(feed) {
+    return feed.bundled ? this.resolveUrl(feed.url) : feed.url;
+  }
+
+  // Returns true when the feed's contents changed
+  async refreshFeed(feed, { force = false } = {}) {
+    const previous = this.records.get(feed.id);
+    const record = { ...previous, id: feed.id, lastChecked: Date.now() };
+
+    const headers = {};
+    if (previous && !force) {
+      if (previous.etag) headers['If-None-Match'] = previous.etag;
+      if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    }
+
+    let changed = false;
+    let domains = null;
+    try {
+      const response = await this.fetchImpl(this.feedUrl(feed), { headers, cache: 'no-cache' });
+
+      if (response.status !== 304) {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        domains = parseFeed(text, feed.format);
+        const version =
+          extractVersion(text) || response.headers.get('last-modified') || hashText(text);
+
+        const contentHash = await hashDomains(domains);
+        changed = version !== previous?.version || contentHash !== previous?.contentHash;
+        Object.assign(record, {
+          entryCount: domains.length,
+          contentHash,
+          version,
+          lastUpdated: changed ? Date.now() : previous?.lastUpdated,
+          etag: response.headers.get('etag'),
+          lastModified: response.headers.get('last-modified')
+        });
+      }
+
+      record.error = null;
+      if (feed.bundled) {
+        record.extensionVersion = chrome.runtime.getManifest().version;
+      }
+    } catch (error) {
+      console.error(`Failed to refresh feed ${feed.id}:`, error);
+      record.error = error.message;
+    }
+
+    this.records.set(feed.id, record);
+    try {
+      await putRecord('feeds', record);
+      if (domains) {
+        await putRecord('feed_domains', { id: feed.id, domains });
+      }
+    } catch (error) {
+      console.error('Failed to store feed:', error);
+    }
+    return changed;
+  }
+
+  async refreshAll({ force = false } = {}) {
+    let changed = false;
+    // Sequential on purpose: large lists are parsed one at a time to keep memory down
+    for (const feed of this.feeds) {
+      if (await this.refreshFeed(feed, { force })) {
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.rebuildMatchers();
+      await this.onUpdate();
+    }
+    return this.getStatus();
+  }
+
+  async forgetFeed(id) {
+    this.records.delete(id);
+    try {
+      await deleteRecord('feeds', id);
+      await deleteRecord('feed_domains', id);
+    } catch (error) {
+      console.error('Failed to delete feed:', error);
+    }
+  }
+
+  // Listed domain covering the hostname or one of its parent domains, or null
+  match(category, hostname) {
+    return this.matchers.get(category)?.match(hostname) || null;
+  }
+
+  has(category, hostname) {
+    return this.match(category, hostname) !== null;
+  }
+
+  // Domains of every feed of a category, bundled ones included
+  async getDomains(category) {
+    const domains = new Set();
+    for (const feed of this.feeds.filter((item) => item.category === category)) {
+      (await this.getFeedDomains(feed.id)).forEach((domain) => domains.add(domain));
+    }
+    return [...domains];
+  }
+
+  // Domains from URL feeds - bundled feeds are already covered by the static rulesets
+  async getRemoteDomains(category) {
+    const domains = new Set();
+    for (const feed of this.feeds.filter((item) => !item.bundled && item.category === category)) {
+      (await this.getFeedDomains(feed.id)).forEach((domain) => domains.add(domain));
+    }
+    return [...domains];
+  }
+
+  getStatus() {
+    return {
+      refreshMinutes: this.config.refreshMinutes,
+      feeds: this.feeds.map((feed) => {
+        const record = this.records.get(feed.id) || {};
+        return {
+          id: feed.id,
+          name: feed.name,
+          category: feed.category,
+          format: feed.format,
+          url: feed.url,
+          bundled: !!feed.bundled,
+          managed: !!feed.managed,
+          entryCount: record.entryCount || 0,
+          version: record.version || null,
+          lastUpdated: record.lastUpdated || null,
+          lastChecked: record.lastChecked || null,
+          error: record.error || null
+        };
+      })
+    };
+  }
+
+  async addFeed({ name, url, category, format = 'auto' }) {
+    const parsedUrl = new URL(url);
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error('Feed URL must use http or https');
+    }
+    if (!FEED_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown feed category: ${category}`);
+    }
+    if (format !== 'auto' && !FEED_FORMATS.includes(format)) {
+      throw new Error(`Unsupported feed format: ${format}`);
+    }
+
+    const feed = {
+      id: `custom-${Date.now()}`,
+      name: name || parsedUrl.hostname,
+      category,
+      format,
+      url: parsedUrl.href
+    };
+    this.config.customFeeds = [...this.config.customFeeds, feed];
+    await this.saveConfig();
+
+    await this.refreshFeed(feed, { force: true });
+    await this.rebuildMatchers();
+    await this.onUpdate();
+    return feed;
+  }
+
+  async removeFeed(id) {
+    if (this.managedFeeds.some((feed) => feed.id === id)) {
+      throw new Error('This feed is managed by your organization');
+    }
+    this.config.customFeeds = this.config.customFeeds.filter((feed) => feed.id !== id);
+    await this.saveConfig();
+
+    await this.forgetFeed(id);
+    await this.rebuildMatchers();
+    await this.onUpdate();
+  }
+
+  async setRefreshInterval(minutes) {
+    this.config.refreshMinutes = Math.max(15, Math.round(minutes));
+    await this.saveConfig();
+    await this.scheduleRefresh();
+  }
+}
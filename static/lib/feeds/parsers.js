@@ -0,0 +1,155 @@
+// Blocklist parsers for threat-intelligence feeds.
+// Every parser takes the raw feed text and returns a list of lower-case hostnames.
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?(?:\.[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?)+$/;
+
+// Entries hosts files map to themselves, not blocklist entries
+const HOSTS_IGNORED = new Set([
+  'localhost',
+  'localhost.localdomain',
+  'local',
+  'broadcasthost',
+  'ip6-localhost',
+  'ip6-loopback',
+  '0.0.0.0'
+]);
+
+export const FEED_FORMATS = ['hosts', 'domains', 'adblock', 'csv'];
+
+export function normalizeDomain(value) {
+  const domain = value.trim().toLowerCase().replace(/\.$/, '');
+  if (!DOMAIN_PATTERN.test(domain) || HOSTS_IGNORED.has(domain)) {
+    return null;
+  }
+  // Bare IPv4 addresses are not domains
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(domain)) {
+    return null;
+  }
+  return domain;
+}
+
+function contentLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('!'));
+}
+
+function unique(domains) {
+  return [...new Set(domains.filter(Boolean))];
+}
+
+// 0.0.0.0 tracker.example.com  # optional comment
+export function parseHosts(text) {
+  const domains = [];
+  contentLines(text).forEach((line) => {
+    const [address, ...hosts] = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (!address || !/^[\d.:a-f]+$/i.test(address)) return;
+    hosts.forEach((host) => domains.push(normalizeDomain(host)));
+  });
+  return unique(domains);
+}
+
+// One domain per line
+export function parseDomainList(text) {
+  return unique(contentLines(text).map((line) => normalizeDomain(line.replace(/#.*$/, ''))));
+}
+
+// ||tracker.example.com^ and ||tracker.example.com^$third-party
+// Exception (@@), cosmetic (##) and path rules are skipped: they can't be expressed as domains.
+export function parseAdblock(text) {
+  const domains = [];
+  contentLines(text).forEach((line) => {
+    const match = line.match(/^\|\|([^/^$*|]+)\^(?:\$(.*))?$/);
+    if (!match) return;
+    // Rules restricted to specific pages don't block the domain everywhere
+    if (match[2] && /(^|,)domain=/.test(match[2])) return;
+    domains.push(normalizeDomain(match[1]));
+  });
+  return unique(domains);
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+}
+
+function hostnameFromUrl(value) {
+  try {
+    return normalizeDomain(new URL(value).hostname);
+  } catch {
+    return null;
+  }
+}
+
+// URLhaus and PhishTank style CSV exports. The URL column is found by its header
+// (url / phish_url); headerless files use the first field that parses as a URL.
+export function parseCsv(text) {
+  const rows = contentLines(text).map(parseCsvLine);
+  if (rows.length === 0) return [];
+
+  let urlColumn = rows[0].findIndex((name) => /^(url|phish_url)$/i.test(name));
+  const dataRows = urlColumn === -1 ? rows : rows.slice(1);
+
+  const domains = dataRows.map((fields) => {
+    if (urlColumn === -1) {
+      urlColumn = fields.findIndex((value) => /^https?:\/\//i.test(value));
+      if (urlColumn === -1) return null;
+    }
+    return hostnameFromUrl(fields[urlColumn] || '');
+  });
+  return unique(domains);
+}
+
+export function detectFormat(text) {
+  const lines = contentLines(text).slice(0, 50);
+  if (lines.some((line) => line.startsWith('||'))) return 'adblock';
+  if (lines.some((line) => /^(0\.0\.0\.0|127\.0\.0\.1|::1?)\s+/.test(line))) return 'hosts';
+  if (lines.some((line) => line.includes(',') && /https?:\/\//i.test(line))) return 'csv';
+  return 'domains';
+}
+
+export function parseFeed(text, format = 'auto') {
+  switch (format === 'auto' ? detectFormat(text) : format) {
+    case 'hosts':
+      return parseHosts(text);
+    case 'adblock':
+      return parseAdblock(text);
+    case 'csv':
+      return parseCsv(text);
+    case 'domains':
+      return parseDomainList(text);
+    default:
+      throw new Error(`Unsupported feed format: ${format}`);
+  }
+}
+
+// Feed version from a "! Version:" / "# Version:" header, if the list has one
+export function extractVersion(text) {
+  const match = text.slice(0, 4096).match(/^\s*[#!]\s*(?:Version|Last modified|Updated)\s*:\s*(.+)$/im);
+  return match ? match[1].trim() : null;
+}
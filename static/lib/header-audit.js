@@ -0,0 +1,254 @@
+// How well a site protects its visitors, read from the response headers of its pages: HTTPS
+// and HSTS, a Content-Security-Policy, framing protection, referrer and permissions policies,
+// cookie flags, and subresources loaded over plain HTTP. Each check passes, warns or fails;
+// together they make a grade, and the worst failures become risk signals.
+
+export const AUDIT_STATUS = Object.freeze({ PASS: 'pass', WARN: 'warn', FAIL: 'fail' });
+
+// A year is the usual recommendation; half a year is what preload lists accept as "long"
+const MIN_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+// Mixed-content URLs kept as examples
+export const MAX_MIXED_CONTENT_URLS = 10;
+
+// How much each check counts towards the grade
+const CHECK_WEIGHTS = {
+  https: 3,
+  hsts: 1,
+  csp: 2,
+  framing: 1,
+  referrer_policy: 0.5,
+  permissions_policy: 0.5,
+  cookies: 1,
+  mixed_content: 1
+};
+
+const STATUS_POINTS = { pass: 1, warn: 0.5, fail: 0 };
+
+// Grades by the share of points scored, best first
+const GRADES = [
+  [90, 'A'],
+  [75, 'B'],
+  [60, 'C'],
+  [40, 'D'],
+  [0, 'F']
+];
+
+function check(id, label, status, detail) {
+  return { id, label, status, detail };
+}
+
+// Response headers as name -> values, names lowercased
+function headerMap(responseHeaders = []) {
+  const map = new Map();
+  responseHeaders.forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value || '');
+  });
+  return map;
+}
+
+// "default-src 'self'; script-src 'self' cdn.example" -> Map of directive -> sources
+function parseCsp(policy) {
+  const directives = new Map();
+  policy.split(';').forEach((part) => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && !directives.has(name.toLowerCase())) {
+      directives.set(name.toLowerCase(), sources.map((source) => source.toLowerCase()));
+    }
+  });
+  return directives;
+}
+
+function checkHsts(https, headers) {
+  if (!https) {
+    return check('hsts', 'HSTS', AUDIT_STATUS.FAIL, 'Needs HTTPS, which this page is not served over');
+  }
+  const value = headers.get('strict-transport-security')?.[0];
+  if (!value) {
+    return check('hsts', 'HSTS', AUDIT_STATUS.FAIL, 'No Strict-Transport-Security header: the first visit can be downgraded to HTTP');
+  }
+  const maxAge = Number(value.match(/max-age\s*=\s*"?(\d+)/i)?.[1] || 0);
+  if (maxAge < MIN_HSTS_MAX_AGE) {
+    return check('hsts', 'HSTS', maxAge > 0 ? AUDIT_STATUS.WARN : AUDIT_STATUS.FAIL, `max-age of ${maxAge} seconds is too short to protect returning visitors`);
+  }
+  const subdomains = /includesubdomains/i.test(value) ? ', including subdomains' : '';
+  return check('hsts', 'HSTS', AUDIT_STATUS.PASS, `Enforced for ${Math.round(maxAge / 86400)} days${subdomains}`);
+}
+
+function checkCsp(headers) {
+  const enforced = headers.get('content-security-policy');
+  if (!enforced) {
+    const reportOnly = headers.has('content-security-policy-report-only');
+    return check(
+      'csp',
+      'Content-Security-Policy',
+      reportOnly ? AUDIT_STATUS.WARN : AUDIT_STATUS.FAIL,
+      reportOnly ? 'Only in report-only mode, so nothing is blocked' : 'No policy: any injected script can run'
+    );
+  }
+
+  // Several policies all apply; the page is as safe as its strictest script policy
+  const weaknesses = enforced.map((policy) => {
+    const directives = parseCsp(policy);
+    const scripts = directives.get('script-src') || directives.get('default-src');
+    if (!scripts) return ['scripts are not restricted'];
+
+    const found = [];
+    const allowsAny = scripts.some((source) => ['*', 'http:', 'https:', 'data:'].includes(source));
+    const hashedOrNonced = scripts.some((source) => /^'(nonce-|sha\d+-)/.test(source));
+    if (allowsAny && !scripts.includes("'strict-dynamic'")) found.push('scripts may come from any host');
+    if (scripts.includes("'unsafe-inline'") && !hashedOrNonced) found.push("'unsafe-inline' allows injected inline scripts");
+    if (scripts.includes("'unsafe-eval'")) found.push("'unsafe-eval' allows eval");
+    return found;
+  });
+  const strictest = weaknesses.reduce((best, current) => (current.length < best.length ? current : best));
+  if (strictest.length > 0) {
+    return check('csp', 'Content-Security-Policy', AUDIT_STATUS.WARN, `Set, but ${strictest.join('; ')}`);
+  }
+  return check('csp', 'Content-Security-Policy', AUDIT_STATUS.PASS, 'Restricts where scripts can come from');
+}
+
+function checkFraming(headers) {
+  const ancestors = (headers.get('content-security-policy') || [])
+    .map((policy) => parseCsp(policy).get('frame-ancestors'))
+    .find(Boolean);
+  if (ancestors && !ancestors.includes('*')) {
+    return check('framing', 'Framing protection', AUDIT_STATUS.PASS, `frame-ancestors ${ancestors.join(' ')}`);
+  }
+  const frameOptions = headers.get('x-frame-options')?.[0]?.trim().toUpperCase();
+  if (frameOptions === 'DENY' || frameOptions === 'SAMEORIGIN') {
+    return check('framing', 'Framing protection', AUDIT_STATUS.PASS, `X-Frame-Options ${frameOptions}`);
+  }
+  return check(
+    'framing',
+    'Framing protection',
+    AUDIT_STATUS.FAIL,
+    frameOptions ? `X-Frame-Options ${frameOptions} isn't supported by browsers` : 'Any site can frame this page for clickjacking'
+  );
+}
+
+function checkReferrerPolicy(headers) {
+  // The last policy a browser supports wins
+  const values = (headers.get('referrer-policy') || []).flatMap((value) => value.split(','));
+  const policy = values.map((value) => value.trim().toLowerCase()).filter(Boolean).pop();
+  if (!policy) {
+    return check('referrer_policy', 'Referrer-Policy', AUDIT_STATUS.WARN, "Not set, so the browser's default applies");
+  }
+  if (policy === 'unsafe-url') {
+    return check('referrer_policy', 'Referrer-Policy', AUDIT_STATUS.FAIL, 'unsafe-url sends full addresses to every site');
+  }
+  if (policy === 'no-referrer-when-downgrade') {
+    return check('referrer_policy', 'Referrer-Policy', AUDIT_STATUS.WARN, 'Sends full addresses to other HTTPS sites');
+  }
+  return check('referrer_policy', 'Referrer-Policy', AUDIT_STATUS.PASS, policy);
+}
+
+function checkPermissionsPolicy(headers) {
+  if (headers.has('permissions-policy') || headers.has('feature-policy')) {
+    return check('permissions_policy', 'Permissions-Policy', AUDIT_STATUS.PASS, 'Limits the browser features scripts can use');
+  }
+  return check('permissions_policy', 'Permissions-Policy', AUDIT_STATUS.WARN, 'Not set: scripts on the page may ask for any feature');
+}
+
+function checkCookies(https, headers) {
+  const cookies = headers.get('set-cookie') || [];
+  if (cookies.length === 0) {
+    return check('cookies', 'Cookie flags', AUDIT_STATUS.PASS, 'No cookies set by the page');
+  }
+
+  // Several cookies can arrive folded into one header
+  const problems = { fail: [], warn: [] };
+  cookies.flatMap((header) => header.split('\n')).forEach((cookie) => {
+    const [pair, ...attributes] = cookie.split(';').map((part) => part.trim().toLowerCase());
+    const name = cookie.split('=')[0].trim();
+    const has = (attribute) => attributes.some((item) => item === attribute || item.startsWith(`${attribute}=`));
+    if (!pair) return;
+
+    const sameSite = attributes.find((item) => item.startsWith('samesite='))?.split('=')[1];
+    if (https && !has('secure')) problems.fail.push(`${name} can be sent over HTTP`);
+    else if (sameSite === 'none' && !has('secure')) problems.fail.push(`${name} is SameSite=None without Secure`);
+    if (!has('httponly')) problems.warn.push(`${name} is readable by scripts`);
+    if (!sameSite) problems.warn.push(`${name} has no SameSite`);
+  });
+
+  if (problems.fail.length > 0) {
+    return check('cookies', 'Cookie flags', AUDIT_STATUS.FAIL, problems.fail.slice(0, 3).join('; '));
+  }
+  if (problems.warn.length > 0) {
+    return check('cookies', 'Cookie flags', AUDIT_STATUS.WARN, problems.warn.slice(0, 3).join('; '));
+  }
+  return check('cookies', 'Cookie flags', AUDIT_STATUS.PASS, `${cookies.length} cookies set Secure, HttpOnly and SameSite`);
+}
+
+export function mixedContentCheck(https, urls = []) {
+  if (!https) {
+    return check('mixed_content', 'Mixed content', AUDIT_STATUS.FAIL, 'The whole page is loaded over plain HTTP');
+  }
+  if (urls.length === 0) {
+    return check('mixed_content', 'Mixed content', AUDIT_STATUS.PASS, 'Everything is loaded over HTTPS');
+  }
+  const more = urls.length >= MAX_MIXED_CONTENT_URLS ? ' or more' : '';
+  return check('mixed_content', 'Mixed content', AUDIT_STATUS.FAIL, `${urls.length}${more} resources loaded over plain HTTP, e.g. ${urls[0]}`);
+}
+
+// The header checks for a main-frame response
+export function auditResponse({ url, responseHeaders }) {
+  const https = new URL(url).protocol === 'https:';
+  const headers = headerMap(responseHeaders);
+  return {
+    url,
+    https,
+    checks: [
+      check(
+        'https',
+        'HTTPS',
+        https ? AUDIT_STATUS.PASS : AUDIT_STATUS.FAIL,
+        https ? 'The connection is encrypted' : 'Anyone on the network can read and change this page'
+      ),
+      checkHsts(https, headers),
+      checkCsp(headers),
+      checkFraming(headers),
+      checkReferrerPolicy(headers),
+      checkPermissionsPolicy(headers),
+      checkCookies(https, headers)
+    ]
+  };
+}
+
+// Header checks plus the mixed content seen since, graded
+export function gradePosture(audit, mixedContent = []) {
+  const checks = [...audit.checks, mixedContentCheck(audit.https, mixedContent)];
+  let earned = 0;
+  let total = 0;
+  checks.forEach(({ id, status }) => {
+    earned += CHECK_WEIGHTS[id] * STATUS_POINTS[status];
+    total += CHECK_WEIGHTS[id];
+  });
+  const score = Math.round((earned / total) * 100);
+  const grade = GRADES.find(([minimum]) => score >= minimum)[1];
+  return { url: audit.url, https: audit.https, score, grade, checks };
+}
+
+// Risk signals for the failures that put visitors at risk, with their descriptions
+export function postureSignals(posture) {
+  const signals = [];
+  const failed = (id) => posture.checks.find((item) => item.id === id)?.status === AUDIT_STATUS.FAIL;
+  if (failed('https')) {
+    signals.push({ signal: 'no_https', description: 'Page is loaded over unencrypted HTTP' });
+  } else if (failed('mixed_content')) {
+    const mixed = posture.checks.find((item) => item.id === 'mixed_content');
+    signals.push({ signal: 'mixed_content', description: mixed.detail });
+  }
+  if (posture.grade === 'D' || posture.grade === 'F') {
+    const missing = posture.checks
+      .filter((item) => item.status === AUDIT_STATUS.FAIL && item.id !== 'https' && item.id !== 'mixed_content')
+      .map((item) => item.label);
+    signals.push({
+      signal: 'weak_security_headers',
+      description: `Security headers grade ${posture.grade}${missing.length > 0 ? `: fails ${missing.join(', ')}` : ''}`
+    });
+  }
+  return signals;
+}
@@ -0,0 +1,285 @@
+// Scan history and per-domain reputation, kept in IndexedDB. History has one entry per
+// visit - the analyzeURL result, updated as the content script reports findings - and is
+// capped at MAX_HISTORY_ENTRIES. Reputation follows each site (registrable domain) across
+// visits: when it was first seen, how often it was visited and its worst score. Downloads
+// are kept separately, one entry per download with what the download monitor did about it.
+import { parseHostname } from './domain.js';
+import {
+  addRecord,
+  clearRecords,
+  countRecords,
+  getAllRecords,
+  getRecord,
+  iterateRecords,
+  putRecord,
+  replaceRecords
+} from './idb.js';
+
+const HISTORY_STORE = 'history';
+const DOMAIN_STORE = 'domains';
+const DOWNLOAD_STORE = 'downloads';
+
+export const MAX_HISTORY_ENTRIES = 2000;
+export const MAX_DOMAINS = 5000;
+export const MAX_DOWNLOAD_ENTRIES = 500;
+
+// Store sizes are checked every this many new visits rather than on each one
+const PRUNE_INTERVAL = 50;
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+export function reputationKey(hostname) {
+  const parsed = parseHostname(hostname);
+  return parsed.registrableDomain || parsed.hostname;
+}
+
+function toEntry(analysis) {
+  return {
+    url: analysis.url,
+    domain: analysis.domain,
+    timestamp: analysis.timestamp,
+    riskScore: analysis.riskScore,
+    riskBreakdown: analysis.riskBreakdown || [],
+    threats: analysis.threats,
+    siteStatus: analysis.siteStatus || null
+  };
+}
+
+function mergeReputation(a, b) {
+  const worse = b.worstScore > a.worstScore ? b : a;
+  return {
+    domain: a.domain,
+    firstSeen: Math.min(a.firstSeen, b.firstSeen),
+    lastSeen: Math.max(a.lastSeen, b.lastSeen),
+    visits: Math.max(a.visits, b.visits),
+    worstScore: worse.worstScore,
+    worstSeen: worse.worstSeen
+  };
+}
+
+function matchesQuery(entry, { search, severity, type }) {
+  if (severity && !entry.threats.some((threat) => SEVERITY_RANK[threat.severity] >= SEVERITY_RANK[severity])) {
+    return false;
+  }
+  if (type && !entry.threats.some((threat) => threat.type === type || threat.signal === type)) {
+    return false;
+  }
+  if (search) {
+    const text = [entry.url, ...entry.threats.map((threat) => threat.description)].join('\n').toLowerCase();
+    return text.includes(search);
+  }
+  return true;
+}
+
+export class HistoryManager {
+  constructor() {
+    this.visitsSincePrune = 0;
+    this.downloadsSincePrune = 0;
+  }
+
+  // Adds a visit and counts it towards its site's reputation; returns the entry id
+  async recordVisit(analysis) {
+    try {
+      const id = await addRecord(HISTORY_STORE, toEntry(analysis));
+      await this.updateReputation(analysis, { newVisit: true });
+
+      if (++this.visitsSincePrune >= PRUNE_INTERVAL) {
+        this.visitsSincePrune = 0;
+        await this.prune();
+      }
+      return id;
+    } catch (error) {
+      console.error('Failed to record visit:', error);
+      return null;
+    }
+  }
+
+  // Replaces a visit's threats and score after the content script reported findings
+  async updateVisit(id, analysis) {
+    try {
+      // An imported backup may have rewritten the history since the visit was recorded
+      const existing = await getRecord(HISTORY_STORE, id);
+      if (existing?.url !== analysis.url) return;
+      await putRecord(HISTORY_STORE, { ...toEntry(analysis), id });
+      await this.updateReputation(analysis, { newVisit: false });
+    } catch (error) {
+      console.error('Failed to update visit:', error);
+    }
+  }
+
+  async updateReputation(analysis, { newVisit }) {
+    const domain = reputationKey(analysis.domain);
+    const previous = await getRecord(DOMAIN_STORE, domain);
+    const reputation = previous || {
+      domain,
+      firstSeen: analysis.timestamp,
+      lastSeen: analysis.timestamp,
+      visits: 0,
+      worstScore: 0,
+      worstSeen: null
+    };
+
+    if (newVisit) {
+      reputation.visits++;
+      reputation.lastSeen = Math.max(reputation.lastSeen, analysis.timestamp);
+    }
+    if (analysis.riskScore > reputation.worstScore) {
+      reputation.worstScore = analysis.riskScore;
+      reputation.worstSeen = analysis.timestamp;
+    }
+    await putRecord(DOMAIN_STORE, reputation);
+  }
+
+  async getReputation(hostname) {
+    try {
+      return (await getRecord(DOMAIN_STORE, reputationKey(hostname))) || null;
+    } catch (error) {
+      console.error('Failed to read domain reputation:', error);
+      return null;
+    }
+  }
+
+  async getEntry(id) {
+    return (await getRecord(HISTORY_STORE, id)) || null;
+  }
+
+  // Newest visits first. Pass the returned nextBefore as before to get the next page.
+  async query({ search = '', severity = '', type = '', before = null, limit = 50 } = {}) {
+    const filters = { search: search.trim().toLowerCase(), severity, type };
+    const entries = [];
+    let nextBefore = null;
+
+    await iterateRecords(
+      HISTORY_STORE,
+      { range: before ? IDBKeyRange.upperBound(before, true) : null, direction: 'prev' },
+      (entry) => {
+        if (entries.length === limit) {
+          nextBefore = entries[entries.length - 1].id;
+          return false;
+        }
+        if (matchesQuery(entry, filters)) {
+          entries.push(entry);
+        }
+        return true;
+      }
+    );
+    return { entries, nextBefore };
+  }
+
+  // Adds a download decision; returns the entry id
+  async recordDownload(entry) {
+    try {
+      const id = await addRecord(DOWNLOAD_STORE, entry);
+      if (++this.downloadsSincePrune >= PRUNE_INTERVAL) {
+        this.downloadsSincePrune = 0;
+        await this.trimStore(DOWNLOAD_STORE, MAX_DOWNLOAD_ENTRIES, {});
+      }
+      return id;
+    } catch (error) {
+      console.error('Failed to record download:', error);
+      return null;
+    }
+  }
+
+  // Applies changes to a recorded download, such as the user's answer to a paused one
+  async updateDownload(id, changes) {
+    const entry = await getRecord(DOWNLOAD_STORE, id);
+    if (!entry) return null;
+    const updated = { ...entry, ...changes };
+    await putRecord(DOWNLOAD_STORE, updated);
+    return updated;
+  }
+
+  async getDownload(id) {
+    return (await getRecord(DOWNLOAD_STORE, id)) || null;
+  }
+
+  // Newest downloads first, paged like query()
+  async queryDownloads({ before = null, limit = 50 } = {}) {
+    const entries = [];
+    let nextBefore = null;
+
+    await iterateRecords(
+      DOWNLOAD_STORE,
+      { range: before ? IDBKeyRange.upperBound(before, true) : null, direction: 'prev' },
+      (entry) => {
+        if (entries.length === limit) {
+          nextBefore = entries[entries.length - 1].id;
+          return false;
+        }
+        entries.push(entry);
+        return true;
+      }
+    );
+    return { entries, nextBefore };
+  }
+
+  async clearDownloads() {
+    await clearRecords(DOWNLOAD_STORE);
+  }
+
+  // Visits (without their ids) and site reputations, for a backup
+  async exportData() {
+    return {
+      visits: (await getAllRecords(HISTORY_STORE)).map(toEntry),
+      domains: await getAllRecords(DOMAIN_STORE)
+    };
+  }
+
+  // The history an import would leave. Replace keeps only the backup's; merge adds its visits
+  // (skipping ones already recorded) and combines reputations of sites in both.
+  async combineData({ visits, domains }, { replace }) {
+    const currentVisits = await getAllRecords(HISTORY_STORE);
+    const currentDomains = await getAllRecords(DOMAIN_STORE);
+
+    let combinedVisits = visits;
+    let combinedDomains = domains;
+    if (!replace) {
+      const visitKey = (visit) => `${visit.timestamp}|${visit.url}`;
+      const known = new Set(currentVisits.map(visitKey));
+      combinedVisits = [...currentVisits.map(toEntry), ...visits.filter((visit) => !known.has(visitKey(visit)))];
+
+      const byDomain = new Map(currentDomains.map((record) => [record.domain, record]));
+      domains.forEach((record) => {
+        const existing = byDomain.get(record.domain);
+        byDomain.set(record.domain, existing ? mergeReputation(existing, record) : record);
+      });
+      combinedDomains = [...byDomain.values()];
+    }
+
+    return {
+      visits: [...combinedVisits].sort((a, b) => a.timestamp - b.timestamp).slice(-MAX_HISTORY_ENTRIES),
+      domains: [...combinedDomains].sort((a, b) => a.lastSeen - b.lastSeen).slice(-MAX_DOMAINS),
+      visitsBefore: currentVisits.length,
+      sitesBefore: currentDomains.length
+    };
+  }
+
+  // Visits are written oldest first, as their ids double as the timeline order
+  async importData(history, { replace }) {
+    const { visits, domains } = await this.combineData(history, { replace });
+    await replaceRecords(HISTORY_STORE, visits);
+    await replaceRecords(DOMAIN_STORE, domains);
+  }
+
+  async clear() {
+    await clearRecords(HISTORY_STORE);
+    await clearRecords(DOMAIN_STORE);
+  }
+
+  // Drops the oldest visits and the longest-unseen domains beyond the limits
+  async prune() {
+    await this.trimStore(HISTORY_STORE, MAX_HISTORY_ENTRIES, {});
+    await this.trimStore(DOMAIN_STORE, MAX_DOMAINS, { index: 'lastSeen' });
+  }
+
+  async trimStore(storeName, maxRecords, { index = null }) {
+    let excess = (await countRecords(storeName)) - maxRecords;
+    if (excess <= 0) return;
+
+    await iterateRecords(storeName, { index, mode: 'readwrite' }, (record, cursor) => {
+      cursor.delete();
+      return --excess > 0;
+    });
+  }
+}
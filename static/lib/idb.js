@@ -0,0 +1,135 @@
+// Minimal promise wrapper around the extension's IndexedDB database.
+// All object stores are declared here; bump DB_VERSION when adding one.
+
+const DB_NAME = 'webguardian';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+function upgrade(db, oldVersion, transaction) {
+  if (oldVersion < 1) {
+    db.createObjectStore('feeds', { keyPath: 'id' });
+  }
+  if (oldVersion < 2) {
+    // Feed domain lists moved out of the feed records; drop v1 records so they refetch
+    if (oldVersion === 1) {
+      transaction.objectStore('feeds').clear();
+    }
+    db.createObjectStore('feed_domains', { keyPath: 'id' });
+    db.createObjectStore('matchers', { keyPath: 'category' });
+  }
+  if (oldVersion < 3) {
+    // Scan history (ids grow with time, so key order is age order) and domain reputation
+    db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+    db.createObjectStore('domains', { keyPath: 'domain' }).createIndex('lastSeen', 'lastSeen');
+  }
+  if (oldVersion < 4) {
+    // What the download monitor decided about each download, oldest first like history
+    db.createObjectStore('downloads', { keyPath: 'id', autoIncrement: true });
+  }
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) =>
+        upgrade(request.result, event.oldVersion, request.transaction);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const completed = transactionDone(transaction);
+  const result = await promisify(callback(transaction.objectStore(storeName)));
+  await completed;
+  return result;
+}
+
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+export function putRecord(storeName, value) {
+  return withStore(storeName, 'readwrite', (store) => store.put(value));
+}
+
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+export function addRecord(storeName, value) {
+  return withStore(storeName, 'readwrite', (store) => store.add(value));
+}
+
+export function countRecords(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.count());
+}
+
+export function clearRecords(storeName) {
+  return withStore(storeName, 'readwrite', (store) => store.clear());
+}
+
+// Swaps a store's contents in one transaction, so readers never see it half written
+export async function replaceRecords(storeName, records) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const completed = transactionDone(transaction);
+  const store = transaction.objectStore(storeName);
+  store.clear();
+  records.forEach((record) => store.put(record));
+  await completed;
+}
+
+// Walks records in key order (or an index's order) until visit returns false. In
+// 'readwrite' mode visit may call cursor.delete() or cursor.update().
+export async function iterateRecords(
+  storeName,
+  { index = null, range = null, direction = 'next', mode = 'readonly' },
+  visit
+) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const completed = transactionDone(transaction);
+  const store = transaction.objectStore(storeName);
+  const request = (index ? store.index(index) : store).openCursor(range, direction);
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visit(cursor.value, cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  await completed;
+}
@@ -0,0 +1,163 @@
+// Every script, frame and connection a tab's page made, for auditing who loads code on it.
+// The background records them from webRequest; the content script fills in what the DOM
+// holds that webRequest can miss (scripts served from memory cache, inline scripts).
+// Addresses are kept without their query string, which carries session tokens more often
+// than it tells vendors apart.
+import { getRegistrableDomain, isSameSite } from './domain.js';
+
+export const RESOURCE_KINDS = Object.freeze({
+  SCRIPT: 'script',
+  IFRAME: 'iframe',
+  CONNECT: 'connect'
+});
+
+// How a resource's site relates to the page, in the order they are listed
+export const PARTY_CLASSES = Object.freeze({
+  FIRST_PARTY: 'first_party',
+  TRACKER: 'tracker',
+  CDN: 'cdn',
+  UNKNOWN: 'unknown'
+});
+
+export const RESOURCE_SOURCES = Object.freeze({
+  NETWORK: 'network',
+  DOM: 'dom'
+});
+
+// A page with more than this is an ad-heavy one, and the first ones tell the story
+export const MAX_INVENTORY_RESOURCES = 500;
+
+// Sites the page sent any request to, for the cookies they can read there
+export const MAX_INVENTORY_SITES = 200;
+
+// webRequest resource types by inventory kind
+const REQUEST_KINDS = {
+  script: RESOURCE_KINDS.SCRIPT,
+  sub_frame: RESOURCE_KINDS.IFRAME,
+  xmlhttprequest: RESOURCE_KINDS.CONNECT,
+  websocket: RESOURCE_KINDS.CONNECT,
+  ping: RESOURCE_KINDS.CONNECT
+};
+
+// Public CDNs serve many vendors' code, so they say nothing about who wrote it
+const CDN_DOMAINS = new Set([
+  'cloudflare.com',
+  'jsdelivr.net',
+  'unpkg.com',
+  'googleapis.com',
+  'gstatic.com',
+  'cloudfront.net',
+  'akamaihd.net',
+  'akamaized.net',
+  'fastly.net',
+  'bootstrapcdn.com',
+  'jquery.com',
+  'azureedge.net',
+  'b-cdn.net',
+  'cdn77.org',
+  'staticfile.org',
+  'skypack.dev',
+  'esm.sh'
+]);
+
+const PARTY_ORDER = Object.values(PARTY_CLASSES);
+
+export function requestKind(type) {
+  return REQUEST_KINDS[type] || null;
+}
+
+export function emptyInventory(since = 0) {
+  return { since, resources: {}, sites: [], inlineScripts: 0, truncated: false };
+}
+
+// Requests of every type count here, images and beacons included: those set most cookies
+export function addSite(inventory, hostname) {
+  const site = getRegistrableDomain(hostname);
+  inventory.sites ||= [];
+  if (!site || inventory.sites.includes(site) || inventory.sites.length >= MAX_INVENTORY_SITES) return false;
+  inventory.sites.push(site);
+  return true;
+}
+
+// "https://cdn.example.com/app.js?session=abc" -> "https://cdn.example.com/app.js"
+function resourceAddress(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^(https?|wss?):$/.test(parsed.protocol)) return null;
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+// Returns whether the inventory changed. Only requests are counted: the content script
+// reports the same DOM resources again every time the page adds some.
+export function addResource(inventory, { url, kind, source }) {
+  const address = resourceAddress(url);
+  if (!address || !Object.values(RESOURCE_KINDS).includes(kind)) return false;
+
+  const key = `${kind} ${address}`;
+  const requests = source === RESOURCE_SOURCES.NETWORK ? 1 : 0;
+  const entry = inventory.resources[key];
+  if (entry) {
+    entry.count += requests;
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+    return true;
+  }
+  if (Object.keys(inventory.resources).length >= MAX_INVENTORY_RESOURCES) {
+    inventory.truncated = true;
+    return false;
+  }
+  inventory.resources[key] = { url: address, kind, sources: [source], count: requests };
+  return true;
+}
+
+function classifyGroup(domain, hostnames, pageHostname, isTracker) {
+  if (pageHostname && isSameSite(domain, pageHostname)) return PARTY_CLASSES.FIRST_PARTY;
+  if (hostnames.some(isTracker)) return PARTY_CLASSES.TRACKER;
+  if (CDN_DOMAINS.has(domain)) return PARTY_CLASSES.CDN;
+  return PARTY_CLASSES.UNKNOWN;
+}
+
+// The inventory grouped by registrable domain, each group classified. isTracker(hostname)
+// checks the tracker feeds.
+export function summarizeInventory(inventory, { pageUrl, isTracker }) {
+  const pageHostname = pageUrl ? new URL(pageUrl).hostname : '';
+  const groups = new Map();
+
+  Object.values(inventory?.resources || {}).forEach((resource) => {
+    const hostname = new URL(resource.url).hostname;
+    const domain = getRegistrableDomain(hostname);
+    if (!groups.has(domain)) {
+      groups.set(domain, { domain, hostnames: new Set(), resources: [] });
+    }
+    const group = groups.get(domain);
+    group.hostnames.add(hostname);
+    group.resources.push(resource);
+  });
+
+  const summary = [...groups.values()].map(({ domain, hostnames, resources }) => {
+    const counts = Object.fromEntries(Object.values(RESOURCE_KINDS).map((kind) => [kind, 0]));
+    resources.forEach((resource) => counts[resource.kind]++);
+    return {
+      domain,
+      party: classifyGroup(domain, [...hostnames], pageHostname, isTracker),
+      counts,
+      resources: resources.sort((a, b) => a.kind.localeCompare(b.kind) || a.url.localeCompare(b.url))
+    };
+  });
+  summary.sort(
+    (a, b) =>
+      PARTY_ORDER.indexOf(a.party) - PARTY_ORDER.indexOf(b.party) ||
+      b.resources.length - a.resources.length ||
+      a.domain.localeCompare(b.domain)
+  );
+
+  return {
+    pageUrl: pageUrl || null,
+    since: inventory?.since || null,
+    inlineScripts: inventory?.inlineScripts || 0,
+    truncated: !!inventory?.truncated,
+    groups: summary
+  };
+}
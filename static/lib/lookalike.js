@@ -0,0 +1,219 @@
+// Lookalike-domain detection against the protected-brand list: homoglyphs (Cyrillic "а"
+// for "a"), IDN/punycode spoofs, digit substitutions (paypa1) and misspellings (paypall).
+// Labels are reduced to a TR39-style skeleton so every spelling that renders like the
+// brand name compares equal, then compared by Damerau-Levenshtein distance.
+import { CONFUSABLES } from './confusables.js';
+import { labelToUnicode, toUnicode } from './punycode.js';
+import { parseHostname } from './domain.js';
+
+// Digits phishers use for letters that TR39 doesn't consider confusable (0 and 1 are covered)
+const DIGIT_SUBSTITUTIONS = { 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+// Short names are one typo away from too many real words (apple/apply)
+const MIN_TYPO_LENGTH = 6;
+const LONG_NAME_LENGTH = 10;
+
+const SCRIPTS = [
+  ['Latin', /\p{Script=Latin}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+  ['Greek', /\p{Script=Greek}/u],
+  ['Armenian', /\p{Script=Armenian}/u],
+  ['Cherokee', /\p{Script=Cherokee}/u],
+  ['Han', /\p{Script=Han}/u],
+  ['Hiragana', /\p{Script=Hiragana}/u],
+  ['Katakana', /\p{Script=Katakana}/u],
+  ['Hangul', /\p{Script=Hangul}/u],
+  ['Bopomofo', /\p{Script=Bopomofo}/u],
+  ['Arabic', /\p{Script=Arabic}/u],
+  ['Hebrew', /\p{Script=Hebrew}/u]
+];
+
+// Script combinations TR39's "highly restrictive" profile allows within one label
+const ALLOWED_SCRIPT_MIXES = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+let brandCache = { key: null, brands: [] };
+
+export function skeleton(label) {
+  let result = '';
+  for (const char of label.toLowerCase().normalize('NFD')) {
+    result += CONFUSABLES[char] || DIGIT_SUBSTITUTIONS[char] || char;
+  }
+  // Unlike TR39 we also drop combining marks, so "pàypal" collapses to "paypal"
+  return result.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+export function scriptOf(char) {
+  const match = SCRIPTS.find(([, pattern]) => pattern.test(char));
+  if (match) return match[0];
+  return /\p{L}/u.test(char) ? 'Other' : null;
+}
+
+export function getScripts(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    const script = scriptOf(char);
+    if (script) scripts.add(script);
+  }
+  return scripts;
+}
+
+export function isMixedScript(label) {
+  const scripts = [...getScripts(label)];
+  if (scripts.length < 2) return false;
+  return !ALLOWED_SCRIPT_MIXES.some((allowed) => scripts.every((script) => allowed.includes(script)));
+}
+
+// First label of the hostname that mixes scripts, e.g. Latin and Cyrillic in "pаypal"
+export function findMixedScriptLabel(hostname) {
+  for (const label of hostname.split('.')) {
+    const unicodeLabel = labelToUnicode(label);
+    if (isMixedScript(unicodeLabel)) {
+      return { label: unicodeLabel, scripts: [...getScripts(unicodeLabel)] };
+    }
+  }
+  return null;
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+export function damerauLevenshtein(a, b) {
+  const source = [...a];
+  const target = [...b];
+  const rows = source.length + 1;
+  const cols = target.length + 1;
+  const distances = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) distances[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[rows - 1][cols - 1];
+}
+
+// Brand domains grouped by name: paypal.com and paypal.de both protect "paypal"
+export function getProtectedBrands(domains) {
+  const key = domains.join(',');
+  if (brandCache.key === key) {
+    return brandCache.brands;
+  }
+
+  const byLabel = new Map();
+  for (const domain of domains) {
+    const parsed = parseHostname(domain);
+    if (!parsed.domainLabel) continue;
+
+    const label = labelToUnicode(parsed.domainLabel);
+    if (!byLabel.has(label)) {
+      byLabel.set(label, { domain: parsed.registrableDomain, label, skeleton: skeleton(label), domains: [] });
+    }
+    byLabel.get(label).domains.push(parsed.registrableDomain);
+  }
+
+  brandCache = { key, brands: [...byLabel.values()] };
+  return brandCache.brands;
+}
+
+// Characters of the label that stand in for something else, e.g. Cyrillic "а" (U+0430) for "a".
+// Plain ASCII letters are left out: "m" shares a skeleton with "rn" but isn't a substitution.
+export function describeSubstitutions(label) {
+  const descriptions = new Set();
+  for (const char of label.normalize('NFC')) {
+    const replacement = skeleton(char);
+    if (replacement === char || /[a-z]/.test(char)) continue;
+
+    const codePoint = char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+    const script = scriptOf(char);
+    const name = script && script !== 'Latin' && script !== 'Other' ? `${script} ` : '';
+    descriptions.add(`${name}"${char}" (U+${codePoint}) in place of "${replacement}"`);
+  }
+  return [...descriptions];
+}
+
+// Protected brand the hostname imitates, with the technique used, or null
+export function findLookalike(hostname, brandDomains) {
+  const parsed = parseHostname(hostname);
+  if (!parsed.domainLabel) {
+    return null;
+  }
+
+  const label = labelToUnicode(parsed.domainLabel);
+  const labelSkeleton = skeleton(label);
+  const isIdn = label !== parsed.domainLabel;
+  const displayHostname = toUnicode(parsed.hostname);
+  const substitutions = describeSubstitutions(label);
+
+  for (const brand of getProtectedBrands(brandDomains)) {
+    // The brand's own domains, and its name on other TLDs (paypal.de), aren't lookalikes
+    if (brand.domains.includes(parsed.registrableDomain) || label === brand.label) {
+      continue;
+    }
+
+    let technique = null;
+    let distance = 0;
+    if (labelSkeleton === brand.skeleton) {
+      technique = isIdn ? 'homoglyph' : 'character_substitution';
+    } else if ([...brand.label].length >= MIN_TYPO_LENGTH) {
+      // Skeletons alone overcount: "m" becomes "rn", so "instagramm" would be two edits away
+      distance = Math.min(
+        damerauLevenshtein(labelSkeleton, brand.skeleton),
+        damerauLevenshtein(label, brand.label)
+      );
+      const maxDistance = [...brand.label].length >= LONG_NAME_LENGTH ? 2 : 1;
+      if (distance <= maxDistance) {
+        technique = 'typosquatting';
+      }
+    }
+    if (!technique) continue;
+
+    let explanation;
+    if (technique === 'homoglyph') {
+      explanation = `look-alike Unicode characters: ${substitutions.join(', ')}`;
+    } else if (technique === 'character_substitution') {
+      explanation = substitutions.length > 0
+        ? `substituted characters: ${substitutions.join(', ')}`
+        : `letters that read as "${brand.label}" ("${label}")`;
+    } else {
+      explanation = `a misspelling of "${brand.label}" (${distance} character edit${distance > 1 ? 's' : ''})`;
+      if (substitutions.length > 0) {
+        explanation += ` and ${substitutions.join(', ')}`;
+      }
+    }
+    if (isIdn) {
+      explanation += ` - displayed as ${displayHostname}`;
+    }
+
+    return {
+      brand: brand.domain,
+      technique,
+      hostname: parsed.hostname,
+      displayHostname,
+      substitutions,
+      distance,
+      reason: `Imitates ${brand.domain} using ${explanation}`
+    };
+  }
+
+  return null;
+}
+
+// True when the label reads as the brand's name, including homoglyph spellings of it
+export function matchesBrandName(label, brand) {
+  return skeleton(labelToUnicode(label)) === brand.skeleton;
+}
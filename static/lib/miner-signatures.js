@@ -0,0 +1,86 @@
+// What in-browser cryptominers look like to the main-world monitor (main-world.js): the pools
+// their sockets connect to, the scripts that ship them and the instruction mix of their
+// WebAssembly hashing code. The content script judges the monitor's reports with these, and
+// the background checks WebSocket requests - including ones made from workers, which the
+// monitor can't see into - against the pool list.
+
+// Mining pools and the WebSocket proxies miner scripts relay shares through
+const MINING_POOL_HOSTS = [
+  'coinhive.com',
+  'coin-hive.com',
+  'authedmine.com',
+  'crypto-loot.com',
+  'cryptoloot.pro',
+  'webminepool.com',
+  'coinimp.com',
+  'coin-have.com',
+  'minero.cc',
+  'jsecoin.com',
+  'webmine.cz',
+  'cryptonoter.com',
+  'minr.pw',
+  'monerominer.rocks',
+  'coinpot.co',
+  'moneroocean.stream',
+  'supportxmr.com',
+  'minexmr.com',
+  'nanopool.org',
+  'hashvault.pro',
+  'xmrpool.eu',
+  'c3pool.com',
+  'herominers.com'
+];
+
+// Miner libraries by their script or worker file names
+const MINER_SCRIPT_PATTERN =
+  /\b(coinhive|coin-hive|authedmine|crypto-?loot|webminepool|coinimp|coin-have|minero|jsecoin|deepminer|cryptonight|webmr|xmrig|cryptonoter)\b[^/]*\.(js|wasm)\b/i;
+
+// CryptoNight, RandomX and their relatives are rounds of XOR, shifts and rotates over a
+// scratchpad. Ordinary compiled code (engines, codecs, games) spends far fewer of its
+// instructions on those, so a module whose share is this high is hashing.
+const MINER_OPCODE_PROFILE = {
+  minInstructions: 2000,
+  // xor + shifts + rotates, as a share of all instructions
+  minBitwiseShare: 0.12,
+  minXorShare: 0.04,
+  // Hash rounds rotate; bit-twiddling codecs mostly shift
+  minRotateShare: 0.005
+};
+
+export function isMiningPoolHost(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  return MINING_POOL_HOSTS.some((pool) => host === pool || host.endsWith(`.${pool}`));
+}
+
+// Stratum is the mining protocol; pools that aren't listed above still tend to name it
+export function isMiningPoolUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^wss?:$/.test(parsed.protocol)) return false;
+    return isMiningPoolHost(parsed.hostname) || /(^|[./-])stratum([./-]|$)/i.test(`${parsed.hostname}${parsed.pathname}`);
+  } catch {
+    return false;
+  }
+}
+
+// The miner library a script or worker URL names, if any
+export function findMinerScript(url) {
+  return String(url || '').match(MINER_SCRIPT_PATTERN)?.[1].toLowerCase() || null;
+}
+
+// Why a WebAssembly module report ({ profile }) looks like a miner, or null. Miners are
+// rebuilt too often for hashes of known builds to keep up; their instruction mix stays.
+export function matchMinerModule({ profile }) {
+  if (!profile || profile.instructions < MINER_OPCODE_PROFILE.minInstructions) return null;
+
+  const share = (count) => count / profile.instructions;
+  const bitwiseShare = share(profile.xor + profile.shift + profile.rotate);
+  if (
+    bitwiseShare >= MINER_OPCODE_PROFILE.minBitwiseShare &&
+    share(profile.xor) >= MINER_OPCODE_PROFILE.minXorShare &&
+    share(profile.rotate) >= MINER_OPCODE_PROFILE.minRotateShare
+  ) {
+    return `spends ${Math.round(bitwiseShare * 100)}% of its instructions on hash-style bit operations`;
+  }
+  return null;
+}
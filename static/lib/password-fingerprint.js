@@ -0,0 +1,87 @@
+// Fingerprints of the user's important passwords, for noticing one being typed on a site it
+// doesn't belong to. A fingerprint is a salted PBKDF2 hash plus the password's length, so
+// that only typed values of the right length need hashing; the password itself is never
+// stored or sent anywhere. Hashing is done where the password is typed: on the options
+// page when registering it, and in the content script when checking a field.
+
+export const FINGERPRINT_ITERATIONS = 100000;
+export const MIN_PASSWORD_LENGTH = 6;
+const SALT_BYTES = 16;
+
+/**
+ * @typedef {Object} PasswordFingerprint
+ * @property {string} id
+ * @property {string} label What the user calls the password, e.g. "Bank"
+ * @property {string} salt Base64
+ * @property {string} hash Base64 PBKDF2-SHA-256
+ * @property {number} iterations
+ * @property {number} length
+ * @property {string[]} domains Registrable domains the password belongs to
+ * @property {number} addedAt
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {string} password
+ * @param {string} salt Base64
+ * @param {number} [iterations]
+ * @returns {Promise<string>} Base64 hash
+ */
+export async function hashPassword(password, salt, iterations = FINGERPRINT_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, [
+    'deriveBits'
+  ]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    key,
+    256
+  );
+  return toBase64(new Uint8Array(bits));
+}
+
+/**
+ * A new fingerprint, without the id and date the background adds when saving it.
+ * @param {string} password
+ * @param {string} label
+ * @param {string[]} domains
+ * @returns {Promise<Omit<PasswordFingerprint, 'id' | 'addedAt'>>}
+ */
+export async function createFingerprint(password, label, domains) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  return {
+    label,
+    salt,
+    hash: await hashPassword(password, salt),
+    iterations: FINGERPRINT_ITERATIONS,
+    length: password.length,
+    domains
+  };
+}
+
+/**
+ * @param {string} value
+ * @param {Pick<PasswordFingerprint, 'salt' | 'hash' | 'iterations' | 'length'>} fingerprint
+ * @returns {Promise<boolean>}
+ */
+export async function matchesFingerprint(value, fingerprint) {
+  if (value.length !== fingerprint.length) return false;
+  return (await hashPassword(value, fingerprint.salt, fingerprint.iterations)) === fingerprint.hash;
+}
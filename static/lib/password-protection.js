@@ -0,0 +1,124 @@
+// The user's password fingerprints (see password-fingerprint.js) and the sites each password
+// belongs to. Content scripts get the fingerprints of passwords that don't belong to their
+// page, and report when one of them is typed there.
+import { normalizeBrandDomain } from './brands.js';
+import { getRegistrableDomain, isSameSite } from './domain.js';
+import { FINGERPRINT_ITERATIONS, MIN_PASSWORD_LENGTH } from './password-fingerprint.js';
+
+const STORAGE_KEY = 'webguardian_password_fingerprints';
+const MAX_FINGERPRINTS = 50;
+
+// "https://www.paypal.com/signin" -> "paypal.com"
+export function normalizePasswordDomain(value) {
+  const hostname = normalizeBrandDomain(String(value));
+  if (!hostname) {
+    throw new Error(`Not a domain: ${value}`);
+  }
+  return getRegistrableDomain(hostname) || hostname;
+}
+
+function isBase64(value) {
+  return typeof value === 'string' && value.length > 0 && /^[A-Za-z0-9+/]+=*$/.test(value);
+}
+
+export class PasswordProtectionManager {
+  constructor() {
+    this.fingerprints = [];
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      this.fingerprints = result[STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Failed to load password fingerprints:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: this.fingerprints });
+    } catch (error) {
+      console.error('Failed to save password fingerprints:', error);
+    }
+  }
+
+  // What the options page lists; salts and hashes stay in the background
+  list() {
+    return this.fingerprints.map(({ id, label, domains, addedAt }) => ({ id, label, domains, addedAt }));
+  }
+
+  async add(fingerprint) {
+    const { label, salt, hash, iterations, length, domains } = fingerprint || {};
+    if (typeof label !== 'string' || !label.trim()) {
+      throw new Error('Give the password a name');
+    }
+    if (!isBase64(salt) || !isBase64(hash)) {
+      throw new Error('Invalid password fingerprint');
+    }
+    if (!Number.isInteger(iterations) || iterations < FINGERPRINT_ITERATIONS) {
+      throw new Error('Invalid password fingerprint');
+    }
+    if (!Number.isInteger(length) || length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!Array.isArray(domains) || domains.length === 0) {
+      throw new Error('Add at least one site the password is used on');
+    }
+    if (this.fingerprints.length >= MAX_FINGERPRINTS) {
+      throw new Error(`At most ${MAX_FINGERPRINTS} passwords can be protected`);
+    }
+
+    this.fingerprints.push({
+      id: `password-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      label: label.trim(),
+      salt,
+      hash,
+      iterations,
+      length,
+      domains: [...new Set(domains.map(normalizePasswordDomain))],
+      addedAt: Date.now()
+    });
+    await this.save();
+  }
+
+  async remove(id) {
+    this.fingerprints = this.fingerprints.filter((fingerprint) => fingerprint.id !== id);
+    await this.save();
+  }
+
+  async addDomain(id, domain) {
+    const fingerprint = this.fingerprints.find((item) => item.id === id);
+    if (!fingerprint) {
+      throw new Error('Unknown password');
+    }
+    const normalized = normalizePasswordDomain(domain);
+    if (!fingerprint.domains.includes(normalized)) {
+      fingerprint.domains.push(normalized);
+      await this.save();
+    }
+  }
+
+  async removeDomain(id, domain) {
+    const fingerprint = this.fingerprints.find((item) => item.id === id);
+    if (!fingerprint) {
+      throw new Error('Unknown password');
+    }
+    if (fingerprint.domains.length === 1) {
+      throw new Error('A password needs at least one site');
+    }
+    fingerprint.domains = fingerprint.domains.filter((item) => item !== domain);
+    await this.save();
+  }
+
+  get(id) {
+    return this.fingerprints.find((fingerprint) => fingerprint.id === id) || null;
+  }
+
+  // Fingerprints of the passwords that don't belong on this site
+  foreignTo(hostname) {
+    return this.fingerprints.filter(
+      (fingerprint) => !fingerprint.domains.some((domain) => isSameSite(hostname, domain))
+    );
+  }
+}
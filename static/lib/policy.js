@@ -0,0 +1,111 @@
+// Enterprise policy from chrome.storage.managed, described by managed_schema.json. Admins
+// set it through Group Policy, MDM or the Google Admin console. Its settings override the
+// user's, and its sites, block rules and feeds are added to the user's own without being
+// stored with them, so users can't remove them and they disappear with the policy.
+import { validateCustomRules, validateSettings } from './backup.js';
+import { FEED_CATEGORIES } from './feeds/manager.js';
+import { FEED_FORMATS } from './feeds/parsers.js';
+import { SCOPE_SITE, SCOPE_WILDCARD, SITE_BLOCKED, SITE_TRUSTED, normalizePattern } from './site-lists.js';
+
+export const EMPTY_POLICY = Object.freeze({
+  settings: {},
+  sites: [],
+  customRules: [],
+  feeds: []
+});
+
+// "*.example.com" is a wildcard pattern; anything else covers the whole site
+function policySites(patterns, type, problems) {
+  if (patterns === undefined) return [];
+  if (!Array.isArray(patterns)) {
+    problems.push(`${type}Sites: expected a list`);
+    return [];
+  }
+  const entries = [];
+  patterns.forEach((value) => {
+    const scope = String(value).includes('*') ? SCOPE_WILDCARD : SCOPE_SITE;
+    try {
+      const pattern = normalizePattern(String(value), scope);
+      entries.push({
+        id: `policy-${type}-${pattern}`,
+        pattern,
+        scope,
+        type,
+        detectors: [],
+        expiresAt: null,
+        note: 'Set by your organization',
+        addedAt: 0,
+        managed: true
+      });
+    } catch (error) {
+      problems.push(`${type}Sites: ${error.message}`);
+    }
+  });
+  return entries;
+}
+
+function policyFeeds(feeds, problems) {
+  if (feeds === undefined) return [];
+  if (!Array.isArray(feeds)) {
+    problems.push('feeds: expected a list');
+    return [];
+  }
+  const valid = [];
+  feeds.forEach((feed, index) => {
+    let url;
+    try {
+      url = new URL(feed?.url);
+    } catch {
+      problems.push(`feeds[${index}].url: expected a URL`);
+      return;
+    }
+    const format = feed.format || 'auto';
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`feeds[${index}].url: must use http or https`);
+    } else if (!FEED_CATEGORIES.includes(feed.category)) {
+      problems.push(`feeds[${index}].category: expected one of ${FEED_CATEGORIES.join(', ')}`);
+    } else if (format !== 'auto' && !FEED_FORMATS.includes(format)) {
+      problems.push(`feeds[${index}].format: expected auto or one of ${FEED_FORMATS.join(', ')}`);
+    } else {
+      valid.push({
+        id: `policy-${feed.category}-${url.href}`,
+        name: feed.name || url.hostname,
+        category: feed.category,
+        format,
+        url: url.href,
+        managed: true
+      });
+    }
+  });
+  return valid;
+}
+
+// Turns raw managed storage into a policy. Invalid parts are logged and left out rather
+// than failing the whole policy.
+export function normalizePolicy(raw) {
+  const problems = [];
+  const policy = {
+    settings: raw.settings === undefined ? {} : validateSettings(raw.settings, problems, problems),
+    sites: [
+      ...policySites(raw.trustedSites, SITE_TRUSTED, problems),
+      ...policySites(raw.blockedSites, SITE_BLOCKED, problems)
+    ],
+    customRules:
+      raw.customRules === undefined
+        ? []
+        : validateCustomRules(raw.customRules, problems).map((rule) => ({ ...rule, addedAt: 0, managed: true })),
+    feeds: policyFeeds(raw.feeds, problems)
+  };
+  problems.forEach((problem) => console.warn('Ignoring managed policy value:', problem));
+  return policy;
+}
+
+export async function loadManagedPolicy() {
+  try {
+    return normalizePolicy(await chrome.storage.managed.get(null));
+  } catch (error) {
+    // Not every browser supports managed storage
+    console.error('Failed to load managed policy:', error);
+    return EMPTY_POLICY;
+  }
+}
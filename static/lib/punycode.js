@@ -0,0 +1,78 @@
+// Punycode (RFC 3492) decoding for IDN hostnames. URL.hostname always returns the
+// ASCII "xn--" form, so lookalike checks decode labels back to what the user sees.
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+const ACE_PREFIX = 'xn--';
+
+function adapt(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+    delta = Math.floor(delta / (BASE - T_MIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+}
+
+function digitValue(codePoint) {
+  if (codePoint >= 0x30 && codePoint <= 0x39) return codePoint - 22; // 0-9 -> 26-35
+  if (codePoint >= 0x41 && codePoint <= 0x5a) return codePoint - 0x41; // A-Z
+  if (codePoint >= 0x61 && codePoint <= 0x7a) return codePoint - 0x61; // a-z
+  return BASE;
+}
+
+// Decodes the part after "xn--"; throws on malformed input
+export function decode(input) {
+  const output = [];
+  const basicEnd = input.lastIndexOf('-');
+  for (let j = 0; j < Math.max(basicEnd, 0); j++) {
+    output.push(input.charCodeAt(j));
+  }
+
+  let n = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length; ) {
+    const oldi = i;
+    for (let w = 1, k = BASE; ; k += BASE) {
+      if (index >= input.length) throw new Error('Invalid punycode input');
+      const digit = digitValue(input.charCodeAt(index++));
+      if (digit >= BASE) throw new Error('Invalid punycode digit');
+      i += digit * w;
+      const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+      if (digit < t) break;
+      w *= BASE - t;
+    }
+
+    bias = adapt(i - oldi, output.length + 1, oldi === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    if (n > 0x10ffff) throw new Error('Invalid punycode code point');
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+// Decodes a single label, returning it unchanged if it isn't valid punycode
+export function labelToUnicode(label) {
+  if (!label.toLowerCase().startsWith(ACE_PREFIX)) {
+    return label;
+  }
+  try {
+    return decode(label.slice(ACE_PREFIX.length)).toLowerCase();
+  } catch {
+    return label;
+  }
+}
+
+export function toUnicode(hostname) {
+  return hostname.split('.').map(labelToUnicode).join('.');
+}
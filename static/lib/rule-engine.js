@@ -0,0 +1,642 @@
+// Declarative detection rules, shared by the background (URL and request rules), the
+// content script (page rules) and the options page's rule editor. A rule lists conditions
+// on parts of a URL, a page or a network request, and says how much a match weighs:
+//
+//   {
+//     "id": "wallet-drainer",
+//     "name": "Wallet drainer",
+//     "description": "The page loads a wallet drainer script from {match}",
+//     "recommendation": "Don't connect your crypto wallet to this site.",
+//     "severity": "high",
+//     "weight": 70,
+//     "match": {
+//       "all": [{ "field": "text", "contains": "connect wallet" }],
+//       "any": [{ "field": "script_src", "matches": "drain(er)?\\.js" }]
+//     }
+//   }
+//
+// Every condition in "all" and at least one in "any" must match; {match} in the description
+// is what the first of them matched. String comparisons ignore case; "matches" takes a
+// regular expression, which may not repeat a group that itself repeats, like (a+)+, as
+// those can take minutes to fail on a long page. "not": true inverts a condition. The
+// fields used decide where a rule runs: page fields make it a page rule, request_type a
+// request rule, and rules on URL fields alone check the address of each page visited.
+
+/** @typedef {'url' | 'page' | 'request'} RuleContext */
+/** @typedef {'low' | 'medium' | 'high'} RuleSeverity */
+
+/**
+ * @typedef {Object} RuleCondition
+ * @property {string} field
+ * @property {string} [equals]
+ * @property {string} [contains]
+ * @property {string} [startsWith]
+ * @property {string} [endsWith]
+ * @property {string} [matches] Regular expression
+ * @property {string} [exists] CSS selector; the only operator of the selector field
+ * @property {boolean} [not]
+ */
+
+/**
+ * @typedef {Object} DetectionRule
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description May include {match}, replaced with what was matched
+ * @property {string} recommendation
+ * @property {RuleSeverity} severity
+ * @property {number} weight 0-100, scored like a risk signal
+ * @property {boolean} enabled
+ * @property {RuleContext} context
+ * @property {{ all?: RuleCondition[], any?: RuleCondition[] }} match
+ * @property {string} type Threat type of findings
+ * @property {string} detector Site exception (SITE_DETECTORS) that switches the rule off
+ * @property {string} [signal] Built-in rules score as this risk signal instead of their weight
+ * @property {boolean} [builtin]
+ */
+
+/**
+ * @typedef {Object} SubjectValue
+ * @property {string} value
+ * @property {Element} [element]
+ */
+
+/**
+ * What rules are matched against. Page and request fields are only set in their context.
+ * @typedef {Object} RuleSubject
+ * @property {string} url
+ * @property {string} hostname
+ * @property {string} path
+ * @property {string} query
+ * @property {string} [text]
+ * @property {SubjectValue[]} [script_src]
+ * @property {SubjectValue[]} [inline_script]
+ * @property {string} [request_type]
+ * @property {Document} [document]
+ */
+
+/**
+ * @typedef {Object} RuleMatch
+ * @property {DetectionRule} rule
+ * @property {string} value
+ * @property {Element} [element]
+ */
+
+export const RULE_CONTEXTS = Object.freeze({ URL: 'url', PAGE: 'page', REQUEST: 'request' });
+
+/** @type {Readonly<Record<string, { label: string, context: RuleContext }>>} */
+export const RULE_FIELDS = Object.freeze({
+  url: { label: 'Full URL', context: 'url' },
+  hostname: { label: 'Hostname', context: 'url' },
+  path: { label: 'URL path', context: 'url' },
+  query: { label: 'Query string', context: 'url' },
+  text: { label: 'Page text', context: 'page' },
+  selector: { label: 'Element matching a CSS selector', context: 'page' },
+  script_src: { label: 'Script URLs', context: 'page' },
+  inline_script: { label: 'Inline script code', context: 'page' },
+  request_type: { label: 'Request type (script, xmlhttprequest...)', context: 'request' }
+});
+
+export const RULE_OPERATORS = ['equals', 'contains', 'startsWith', 'endsWith', 'matches'];
+export const RULE_SEVERITIES = ['low', 'medium', 'high'];
+
+// Threat type of user rules, and the site exception that switches them off
+export const CUSTOM_RULE_TYPE = 'custom_rule';
+export const CUSTOM_RULE_DETECTOR = 'custom_rules';
+
+// Prefix of the risk signal each user rule scores as
+export const RULE_SIGNAL_PREFIX = 'rule:';
+
+export const MAX_RULES = 200;
+const MAX_CONDITIONS = 50;
+const MAX_VALUE_LENGTH = 500;
+// Longer pages are only searched up to here
+const MAX_TEXT_LENGTH = 500000;
+// Matched text quoted in descriptions
+const MAX_MATCH_LENGTH = 100;
+
+/**
+ * The engine's stand-ins for detections that used to be hard-coded. They keep their risk
+ * signals, so scores and weight overrides work as before.
+ * @type {DetectionRule[]}
+ */
+export const BUILTIN_RULES = [
+  {
+    id: 'suspicious-path',
+    name: 'Suspicious path',
+    description: 'Suspicious path pattern detected',
+    recommendation: '',
+    severity: 'medium',
+    weight: 30,
+    enabled: true,
+    context: 'url',
+    match: {
+      any: [
+        { field: 'path', matches: 'login.*secure' },
+        { field: 'path', matches: 'verify.*account' },
+        { field: 'path', matches: 'update.*payment' },
+        { field: 'path', matches: 'suspended' }
+      ]
+    },
+    type: 'suspicious_url',
+    detector: 'suspicious_url',
+    signal: 'suspicious_path',
+    builtin: true
+  },
+  {
+    id: 'phishing-language',
+    name: 'Pressure wording',
+    description: 'Suspicious phishing language detected: "{match}"',
+    recommendation: '',
+    severity: 'low',
+    weight: 20,
+    enabled: true,
+    context: 'page',
+    match: {
+      any: [
+        'verify your account immediately',
+        'account suspended',
+        'click here now',
+        'limited time offer',
+        'confirm your identity',
+        'unusual activity detected',
+        'urgent action required',
+        'winner selected',
+        'claim your prize'
+      ].map((phrase) => ({ field: 'text', contains: phrase }))
+    },
+    type: 'phishing_language',
+    detector: 'phishing',
+    signal: 'phishing_language',
+    builtin: true
+  },
+  {
+    id: 'obfuscated-inline-script',
+    name: 'Obfuscated inline script',
+    description: 'Inline script that runs code it decodes',
+    recommendation: '',
+    severity: 'low',
+    weight: 5,
+    enabled: true,
+    context: 'page',
+    // Only decoding straight into eval or document.write; what scripts actually do at
+    // runtime is watched by the main-world monitor
+    match: {
+      any: [
+        'eval\\s*\\(\\s*(atob|unescape|decodeURIComponent|String\\.fromCharCode)\\s*\\(',
+        'document\\.write\\s*\\(\\s*(atob|unescape|decodeURIComponent)\\s*\\(',
+        'innerHTML\\s*=.*<script'
+      ].map((pattern) => ({ field: 'inline_script', matches: pattern }))
+    },
+    type: 'suspicious_inline_script',
+    detector: 'content',
+    signal: 'suspicious_inline_script',
+    builtin: true
+  }
+];
+
+/** @type {Map<string, RegExp>} */
+const regexCache = new Map();
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compile(pattern) {
+  let regex = regexCache.get(pattern);
+  if (!regex) {
+    regex = new RegExp(pattern, 'i');
+    regexCache.set(pattern, regex);
+  }
+  return regex;
+}
+
+/**
+ * Whether a group that repeats (*, + or {n,}) has a quantifier inside, like (a+)+ or
+ * (\w*\s)*. Text that almost matches makes such patterns backtrack exponentially.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  /** @type {boolean[]} Whether the enclosing groups have a quantifier so far */
+  const outer = [];
+  let quantified = false;
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      outer.push(quantified);
+      quantified = false;
+      // (?:, (?= and (?<name> aren't quantifiers
+      if (pattern[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const repeats = /^[*+]|^\{\d+,/.test(pattern.slice(i + 1));
+      if (quantified && repeats) return true;
+      quantified = (outer.pop() ?? false) || quantified;
+    } else if (char === '*' || char === '+' || (char === '{' && /^\{\d+,\d*\}/.test(pattern.slice(i)))) {
+      quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} raw
+ * @param {string} path
+ * @param {string[]} errors
+ * @returns {RuleCondition | null}
+ */
+function validateCondition(raw, path, errors) {
+  if (!isObject(raw)) {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+  const field = raw.field;
+  if (typeof field !== 'string' || !RULE_FIELDS[field]) {
+    errors.push(`${path}.field: expected one of ${Object.keys(RULE_FIELDS).join(', ')}`);
+    return null;
+  }
+
+  const operators = field === 'selector' ? ['exists'] : RULE_OPERATORS;
+  const used = Object.keys(raw).filter((key) => key !== 'field' && key !== 'not');
+  if (used.length !== 1 || !operators.includes(used[0])) {
+    errors.push(`${path}: expected exactly one of ${operators.join(', ')}`);
+    return null;
+  }
+  const operator = used[0];
+  const value = raw[operator];
+  if (typeof value !== 'string' || !value || value.length > MAX_VALUE_LENGTH) {
+    errors.push(`${path}.${operator}: expected text of up to ${MAX_VALUE_LENGTH} characters`);
+    return null;
+  }
+  if (operator === 'matches') {
+    try {
+      compile(value);
+    } catch (error) {
+      errors.push(`${path}.matches: ${/** @type {Error} */ (error).message}`);
+      return null;
+    }
+    if (hasNestedQuantifier(value)) {
+      errors.push(`${path}.matches: a repeated group can't contain *, + or {n,m}, like (a+)+`);
+      return null;
+    }
+  }
+  if (raw.not !== undefined && typeof raw.not !== 'boolean') {
+    errors.push(`${path}.not: expected true or false`);
+    return null;
+  }
+
+  return { field, [operator]: value, ...(raw.not && { not: true }) };
+}
+
+/**
+ * @param {RuleCondition[]} conditions
+ * @param {string} path
+ * @param {string[]} errors
+ * @returns {RuleContext | null}
+ */
+function contextOf(conditions, path, errors) {
+  const contexts = new Set(conditions.map(({ field }) => RULE_FIELDS[field].context));
+  if (contexts.has('page') && contexts.has('request')) {
+    errors.push(`${path}: page fields and request_type can't be combined in one rule`);
+    return null;
+  }
+  if (contexts.has('page')) return 'page';
+  if (contexts.has('request')) return 'request';
+  return 'url';
+}
+
+/**
+ * Checks a user rule, as typed into the editor or read from storage. Problems are added
+ * to errors, prefixed with path.
+ * @param {unknown} raw
+ * @param {string} path
+ * @param {string[]} errors
+ * @returns {DetectionRule | null}
+ */
+export function validateRule(raw, path, errors) {
+  if (!isObject(raw)) {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+  const before = errors.length;
+
+  if (typeof raw.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(raw.id)) {
+    errors.push(`${path}.id: expected up to 64 letters, digits, - and _`);
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    errors.push(`${path}.name: expected text`);
+  }
+  if (typeof raw.description !== 'string' || !raw.description.trim()) {
+    errors.push(`${path}.description: expected text`);
+  }
+  if (raw.recommendation !== undefined && typeof raw.recommendation !== 'string') {
+    errors.push(`${path}.recommendation: expected text`);
+  }
+  if (raw.severity !== undefined && !RULE_SEVERITIES.includes(raw.severity)) {
+    errors.push(`${path}.severity: expected one of ${RULE_SEVERITIES.join(', ')}`);
+  }
+  if (!Number.isInteger(raw.weight) || raw.weight < 0 || raw.weight > 100) {
+    errors.push(`${path}.weight: expected a whole number from 0 to 100`);
+  }
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') {
+    errors.push(`${path}.enabled: expected true or false`);
+  }
+
+  /** @type {{ all?: RuleCondition[], any?: RuleCondition[] }} */
+  const match = {};
+  if (!isObject(raw.match)) {
+    errors.push(`${path}.match: expected an object with "all" and/or "any" conditions`);
+  } else {
+    for (const key of /** @type {const} */ (['all', 'any'])) {
+      const list = raw.match[key];
+      if (list === undefined) continue;
+      if (!Array.isArray(list) || list.length === 0 || list.length > MAX_CONDITIONS) {
+        errors.push(`${path}.match.${key}: expected a list of 1 to ${MAX_CONDITIONS} conditions`);
+        continue;
+      }
+      const conditions = list.map((condition, index) =>
+        validateCondition(condition, `${path}.match.${key}[${index}]`, errors)
+      );
+      if (conditions.every(Boolean)) {
+        match[key] = /** @type {RuleCondition[]} */ (conditions);
+      }
+    }
+    if (raw.match.all === undefined && raw.match.any === undefined) {
+      errors.push(`${path}.match: expected "all" and/or "any" conditions`);
+    }
+  }
+  if (errors.length > before) return null;
+
+  const context = contextOf([...(match.all || []), ...(match.any || [])], `${path}.match`, errors);
+  if (!context) return null;
+
+  return {
+    id: raw.id,
+    name: raw.name.trim(),
+    description: raw.description.trim(),
+    recommendation: (raw.recommendation || '').trim(),
+    severity: raw.severity || 'medium',
+    weight: raw.weight,
+    enabled: raw.enabled !== false,
+    context,
+    match,
+    type: CUSTOM_RULE_TYPE,
+    detector: CUSTOM_RULE_DETECTOR
+  };
+}
+
+/**
+ * Checks a list of user rules; ids must be unique.
+ * @param {unknown} raw
+ * @param {string[]} errors
+ * @param {string} [path] Prefix of the errors
+ * @returns {DetectionRule[]}
+ */
+export function validateRules(raw, errors, path = 'rules') {
+  if (!Array.isArray(raw)) {
+    errors.push(`${path}: expected a list`);
+    return [];
+  }
+  if (raw.length > MAX_RULES) {
+    errors.push(`${path}: at most ${MAX_RULES} rules are supported`);
+    return [];
+  }
+  const ids = new Set(BUILTIN_RULES.map((rule) => rule.id));
+  /** @type {DetectionRule[]} */
+  const rules = [];
+  raw.forEach((item, index) => {
+    const rule = validateRule(item, `${path}[${index}]`, errors);
+    if (!rule) return;
+    if (ids.has(rule.id)) {
+      errors.push(`${path}[${index}].id: "${rule.id}" is already used`);
+      return;
+    }
+    ids.add(rule.id);
+    rules.push(rule);
+  });
+  return rules;
+}
+
+/**
+ * Parses the editor's text: a JSON rule or list of rules.
+ * @param {string} text
+ * @returns {{ rules: DetectionRule[], errors: string[] }}
+ */
+export function parseRules(text) {
+  /** @type {string[]} */
+  const errors = [];
+  if (!text.trim()) return { rules: [], errors };
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { rules: [], errors: [`Invalid JSON: ${/** @type {Error} */ (error).message}`] };
+  }
+  const rules = validateRules(Array.isArray(raw) ? raw : [raw], errors);
+  return { rules, errors };
+}
+
+/**
+ * @param {string} signal
+ * @returns {boolean}
+ */
+export function isRuleSignal(signal) {
+  return signal.startsWith(RULE_SIGNAL_PREFIX);
+}
+
+/**
+ * Risk signal a rule's findings score as.
+ * @param {DetectionRule} rule
+ * @returns {string}
+ */
+export function ruleSignal(rule) {
+  return rule.signal || `${RULE_SIGNAL_PREFIX}${rule.id}`;
+}
+
+/**
+ * Risk signal definitions for user rules, to score alongside RISK_SIGNALS.
+ * @param {DetectionRule[]} rules
+ * @returns {Record<string, import('./scoring.js').RiskSignal>}
+ */
+export function ruleSignals(rules) {
+  return Object.fromEntries(
+    rules
+      .filter((rule) => !rule.signal)
+      .map((rule) => [
+        ruleSignal(rule),
+        { weight: rule.weight, category: 'custom', label: rule.name, rationale: rule.description }
+      ])
+  );
+}
+
+/**
+ * @param {URL | string} url
+ * @returns {RuleSubject}
+ */
+export function urlSubject(url) {
+  const parsed = typeof url === 'string' ? new URL(url) : url;
+  return {
+    url: parsed.href,
+    hostname: parsed.hostname,
+    path: parsed.pathname,
+    query: parsed.search
+  };
+}
+
+/**
+ * A page, either the live document or one parsed from HTML in the rule editor.
+ * @param {Document} doc
+ * @param {string} url The page's address; script URLs are resolved against it
+ * @returns {RuleSubject}
+ */
+export function pageSubject(doc, url) {
+  const scripts = [...doc.querySelectorAll('script')];
+  /** @param {string} src */
+  const resolve = (src) => {
+    try {
+      return new URL(src, url).href;
+    } catch {
+      return src;
+    }
+  };
+  return {
+    ...urlSubject(url),
+    text: (doc.body?.textContent || '').slice(0, MAX_TEXT_LENGTH),
+    script_src: scripts
+      .filter((script) => script.getAttribute('src'))
+      .map((script) => ({ value: resolve(script.getAttribute('src') || ''), element: script })),
+    inline_script: scripts
+      .filter((script) => !script.getAttribute('src') && script.textContent)
+      .map((script) => ({ value: (script.textContent || '').slice(0, MAX_TEXT_LENGTH), element: script })),
+    document: doc
+  };
+}
+
+/**
+ * A network request, as seen by webRequest.
+ * @param {{ url: string, type: string }} details
+ * @returns {RuleSubject}
+ */
+export function requestSubject(details) {
+  return { ...urlSubject(details.url), request_type: details.type };
+}
+
+/**
+ * Returns what a string comparison matched, or null.
+ * @param {RuleCondition} condition
+ * @param {string} value
+ * @returns {string | null}
+ */
+function compare(condition, value) {
+  const text = value.toLowerCase();
+  if (condition.equals !== undefined) {
+    return text === condition.equals.toLowerCase() ? value : null;
+  }
+  if (condition.contains !== undefined) {
+    return text.includes(condition.contains.toLowerCase()) ? condition.contains : null;
+  }
+  if (condition.startsWith !== undefined) {
+    return text.startsWith(condition.startsWith.toLowerCase()) ? value : null;
+  }
+  if (condition.endsWith !== undefined) {
+    return text.endsWith(condition.endsWith.toLowerCase()) ? value : null;
+  }
+  if (condition.matches !== undefined) {
+    const found = compile(condition.matches).exec(value);
+    return found ? found[0] : null;
+  }
+  return null;
+}
+
+/**
+ * @param {RuleCondition} condition
+ * @param {RuleSubject} subject
+ * @returns {SubjectValue | null}
+ */
+function matchCondition(condition, subject) {
+  /** @type {SubjectValue | null} */
+  let found = null;
+  if (condition.field === 'selector') {
+    try {
+      const element = subject.document?.querySelector(condition.exists || '');
+      if (element) found = { value: condition.exists || '', element };
+    } catch {
+      // Invalid selector
+    }
+  } else {
+    const field = /** @type {keyof RuleSubject} */ (condition.field);
+    const raw = subject[field];
+    /** @type {SubjectValue[]} */
+    const values = typeof raw === 'string' ? [{ value: raw }] : Array.isArray(raw) ? raw : [];
+    for (const item of values) {
+      const matched = compare(condition, item.value);
+      if (matched !== null) {
+        found = { ...item, value: matched };
+        break;
+      }
+    }
+  }
+  if (condition.not) return found ? null : { value: '' };
+  return found;
+}
+
+/**
+ * @param {DetectionRule} rule
+ * @param {RuleSubject} subject
+ * @returns {RuleMatch | null}
+ */
+export function evaluateRule(rule, subject) {
+  /** @type {SubjectValue[]} */
+  const matched = [];
+  for (const condition of rule.match.all || []) {
+    const found = matchCondition(condition, subject);
+    if (!found) return null;
+    matched.push(found);
+  }
+  if (rule.match.any) {
+    const found = rule.match.any.map((condition) => matchCondition(condition, subject)).find(Boolean);
+    if (!found) return null;
+    matched.push(found);
+  }
+  const value = matched.find((item) => item.value)?.value || '';
+  const element = matched.find((item) => item.element)?.element;
+  return { rule, value, ...(element && { element }) };
+}
+
+/**
+ * Runs every enabled rule of the subject's context.
+ * @param {DetectionRule[]} rules
+ * @param {RuleContext} context
+ * @param {RuleSubject} subject
+ * @returns {RuleMatch[]}
+ */
+export function evaluateRules(rules, context, subject) {
+  return rules
+    .filter((rule) => rule.enabled && rule.context === context)
+    .map((rule) => evaluateRule(rule, subject))
+    .filter(/** @returns {match is RuleMatch} */ (match) => !!match);
+}
+
+/**
+ * The finding's description, with {match} filled in.
+ * @param {RuleMatch} match
+ * @returns {string}
+ */
+export function describeMatch({ rule, value }) {
+  const quoted = value.length > MAX_MATCH_LENGTH ? `${value.slice(0, MAX_MATCH_LENGTH)}…` : value;
+  return rule.description.replace(/\{match\}/g, quoted);
+}
@@ -0,0 +1,301 @@
+// declarativeNetRequest ruleset management for WebGuardian.
+// Static rulesets (static/rules/*.json) carry the built-in blocklists and are
+// switched on and off with the settings; user additions, site list entries and
+// domains from URL-based threat feeds live in dynamic rules.
+
+export const RULESET_TRACKERS = 'trackers';
+export const RULESET_MALICIOUS = 'malicious';
+export const RULESET_PHISHING = 'phishing';
+
+// Setting that controls each ruleset
+export const RULESET_SETTINGS = {
+  [RULESET_TRACKERS]: 'blockTrackers',
+  [RULESET_MALICIOUS]: 'blockMaliciousSites',
+  [RULESET_PHISHING]: 'blockPhishing'
+};
+
+// Feed domains are packed into rules of this many domains each
+const FEED_DOMAINS_PER_RULE = 1000;
+
+export const ALL_RESOURCE_TYPES = [
+  'main_frame',
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'object',
+  'xmlhttprequest',
+  'ping',
+  'csp_report',
+  'media',
+  'websocket',
+  'webtransport',
+  'webbundle',
+  'other'
+];
+
+const USER_RULES_KEY = 'webguardian_user_rules';
+
+// Blocked navigations land on the extension's interstitial instead of Chrome's error page
+export const BLOCK_PAGE_PATH = '/blocked.html';
+
+// Session rules letting a tab through to a site the user chose to visit anyway;
+// above every blocking rule, including the site lists' (up to 8)
+const PROCEED_ONCE_PRIORITY = 10;
+// ...and kept in their own id range, clear of any other session rules
+const PROCEED_ONCE_FIRST_ID = 1000000;
+
+export function buildBlockRule(id, category, domains) {
+  if (category === RULESET_TRACKERS) {
+    // Trackers are only blocked as third-party subresources so that visiting
+    // the tracker's own site (e.g. facebook.com) keeps working
+    return {
+      id,
+      priority: 1,
+      action: { type: 'block' },
+      condition: {
+        requestDomains: domains,
+        domainType: 'thirdParty',
+        resourceTypes: ALL_RESOURCE_TYPES.filter((type) => type !== 'main_frame')
+      }
+    };
+  }
+
+  return {
+    id,
+    priority: 2,
+    action: { type: 'block' },
+    condition: {
+      requestDomains: domains,
+      resourceTypes: ALL_RESOURCE_TYPES
+    }
+  };
+}
+
+// Like buildBlockRule, but top-level navigations are redirected to the block page.
+// Returns the rules with consecutive ids starting at firstId.
+export function buildBlockRules(firstId, category, domains) {
+  const rule = buildBlockRule(firstId, category, domains);
+  if (category === RULESET_TRACKERS) {
+    return [rule];
+  }
+
+  return [
+    redirectToBlockPage(rule),
+    { ...rule, id: firstId + 1, condition: withoutMainFrame(rule.condition) }
+  ];
+}
+
+export function redirectToBlockPage(rule) {
+  return {
+    ...rule,
+    action: { type: 'redirect', redirect: { extensionPath: BLOCK_PAGE_PATH } },
+    condition: { ...rule.condition, resourceTypes: ['main_frame'] }
+  };
+}
+
+export function withoutMainFrame(condition) {
+  return {
+    ...condition,
+    resourceTypes: (condition.resourceTypes || ALL_RESOURCE_TYPES).filter((type) => type !== 'main_frame')
+  };
+}
+
+export class RulesetManager {
+  constructor() {
+    this.userRules = [];
+    // From the admin policy; applied like user rules but never saved with them
+    this.managedRules = [];
+    this.feedDomainSource = null;
+    this.siteRuleSource = null;
+    this.dynamicRuleCategories = new Map();
+    // Every rebuild replaces all dynamic rules, so they run one after another
+    this.dynamicRulesUpdate = Promise.resolve();
+  }
+
+  async loadUserRules() {
+    try {
+      const result = await chrome.storage.local.get(USER_RULES_KEY);
+      this.userRules = result[USER_RULES_KEY] || [];
+    } catch (error) {
+      console.error('Failed to load user rules:', error);
+    }
+  }
+
+  async saveUserRules() {
+    try {
+      await chrome.storage.local.set({ [USER_RULES_KEY]: this.userRules });
+    } catch (error) {
+      console.error('Failed to save user rules:', error);
+    }
+  }
+
+  setManagedRules(rules) {
+    this.managedRules = rules;
+  }
+
+  getRules() {
+    return [...this.managedRules, ...this.userRules];
+  }
+
+  // Enable or disable the static rulesets and rebuild dynamic rules to match the settings
+  async sync(settings) {
+    const enableRulesetIds = [];
+    const disableRulesetIds = [];
+
+    for (const [rulesetId, settingName] of Object.entries(RULESET_SETTINGS)) {
+      if (settings.realTimeProtection && settings[settingName]) {
+        enableRulesetIds.push(rulesetId);
+      } else {
+        disableRulesetIds.push(rulesetId);
+      }
+    }
+
+    try {
+      await chrome.declarativeNetRequest.updateEnabledRulesets({
+        enableRulesetIds,
+        disableRulesetIds
+      });
+    } catch (error) {
+      console.error('Failed to update rulesets:', error);
+    }
+
+    await this.applyDynamicRules(settings);
+  }
+
+  // Feed domains are read on demand rather than kept in memory
+  setFeedDomainSource(source) {
+    this.feedDomainSource = source;
+  }
+
+  // Trusted/blocked sites and per-site exceptions (see site-lists.js)
+  setSiteRuleSource(source) {
+    this.siteRuleSource = source;
+  }
+
+  applyDynamicRules(settings) {
+    const update = this.dynamicRulesUpdate.then(() => this.rebuildDynamicRules(settings));
+    this.dynamicRulesUpdate = update.catch(() => {});
+    return update;
+  }
+
+  async rebuildDynamicRules(settings) {
+    const addRules = [];
+    const categories = new Map();
+    const isEnabled = (category) =>
+      settings.realTimeProtection && settings[RULESET_SETTINGS[category]];
+    const pushRule = (category, rule) => {
+      const id = addRules.length + 1;
+      addRules.push({ ...rule, id });
+      if (category) {
+        categories.set(id, category);
+      }
+    };
+    const addRule = (category, domains) =>
+      buildBlockRules(0, category, domains).forEach((rule) => pushRule(category, rule));
+
+    if (this.siteRuleSource) {
+      (await this.siteRuleSource(settings)).forEach(({ category, rule }) => pushRule(category, rule));
+    }
+
+    this.getRules()
+      .filter((rule) => isEnabled(rule.category))
+      .forEach((rule) => addRule(rule.category, [rule.domain]));
+
+    for (const category of Object.keys(RULESET_SETTINGS)) {
+      if (!this.feedDomainSource || !isEnabled(category)) continue;
+      const domains = await this.feedDomainSource(category);
+      for (let i = 0; i < domains.length; i += FEED_DOMAINS_PER_RULE) {
+        addRule(category, domains.slice(i, i + FEED_DOMAINS_PER_RULE));
+      }
+    }
+
+    try {
+      const existing = await chrome.declarativeNetRequest.getDynamicRules();
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: existing.map((rule) => rule.id),
+        addRules
+      });
+      this.dynamicRuleCategories = categories;
+    } catch (error) {
+      console.error('Failed to update dynamic rules:', error);
+    }
+  }
+
+  async addUserRule(domain, category, settings) {
+    if (!RULESET_SETTINGS[category]) {
+      throw new Error(`Unknown rule category: ${category}`);
+    }
+
+    const normalized = domain.trim().toLowerCase();
+    if (this.userRules.some((rule) => rule.domain === normalized && rule.category === category)) {
+      return;
+    }
+
+    this.userRules.push({ domain: normalized, category, addedAt: Date.now() });
+    await this.saveUserRules();
+    await this.applyDynamicRules(settings);
+  }
+
+  async removeUserRule(domain, category, settings) {
+    const normalized = domain.trim().toLowerCase();
+    this.userRules = this.userRules.filter(
+      (rule) => !(rule.domain === normalized && rule.category === category)
+    );
+    await this.saveUserRules();
+    await this.applyDynamicRules(settings);
+  }
+
+  async replaceUserRules(rules, settings) {
+    this.userRules = rules;
+    await this.saveUserRules();
+    await this.applyDynamicRules(settings);
+  }
+
+  // The tab allowance rules, found by their id range and the tab they name
+  async getTabAllowanceRules() {
+    const rules = await chrome.declarativeNetRequest.getSessionRules();
+    return rules.filter((rule) => rule.id >= PROCEED_ONCE_FIRST_ID);
+  }
+
+  // Let one tab load a blocked site; cleared again once the tab leaves it
+  async allowTabOnce(tabId, hostname) {
+    try {
+      const allowances = await this.getTabAllowanceRules();
+      const id = Math.max(PROCEED_ONCE_FIRST_ID - 1, ...allowances.map((rule) => rule.id)) + 1;
+      await chrome.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: allowances.filter((rule) => rule.condition.tabIds?.includes(tabId)).map((rule) => rule.id),
+        addRules: [
+          {
+            id,
+            priority: PROCEED_ONCE_PRIORITY,
+            action: { type: 'allow' },
+            condition: { tabIds: [tabId], requestDomains: [hostname], resourceTypes: ALL_RESOURCE_TYPES }
+          }
+        ]
+      });
+    } catch (error) {
+      console.error('Failed to allow site for tab:', error);
+    }
+  }
+
+  async clearTabAllowance(tabId) {
+    try {
+      const allowances = await this.getTabAllowanceRules();
+      await chrome.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: allowances.filter((rule) => rule.condition.tabIds?.includes(tabId)).map((rule) => rule.id)
+      });
+    } catch (error) {
+      console.error('Failed to clear tab allowance:', error);
+    }
+  }
+
+  // Map a matched rule back to the blocklist it came from
+  categoryForRule(rule) {
+    if (rule.rulesetId === chrome.declarativeNetRequest.DYNAMIC_RULESET_ID) {
+      return this.dynamicRuleCategories.get(rule.ruleId) || null;
+    }
+    return RULESET_SETTINGS[rule.rulesetId] ? rule.rulesetId : null;
+  }
+}
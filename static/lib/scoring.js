@@ -0,0 +1,412 @@
+// Risk scoring shared by the background analysis, the popup and the in-page warning.
+// Each detection is a signal with a weight (0-100), a category and a rationale. Signals
+// combine like independent probabilities - 1 - (1 - a)(1 - b) - so the score stays within
+// 0-100, a single signal scores exactly its weight and extra signals raise it by less.
+
+/** @typedef {'policy' | 'malware' | 'phishing' | 'url' | 'posture' | 'content' | 'download' | 'reputation' | 'custom'} RiskCategory */
+/** @typedef {'safe' | 'caution' | 'danger' | 'critical'} RiskLevel */
+
+/**
+ * @typedef {Object} RiskSignal
+ * @property {number} weight
+ * @property {RiskCategory} category
+ * @property {string} label
+ * @property {string} rationale
+ */
+
+/**
+ * @typedef {Object} RiskContribution
+ * @property {string} signal
+ * @property {RiskCategory} category
+ * @property {string} label
+ * @property {string} rationale
+ * @property {number} weight
+ * @property {number} contribution Points this signal added to the final score
+ */
+
+// Scores at or above these are treated as caution (not secure), danger (warn or block)
+// and critical (red badge)
+export const RISK_THRESHOLDS = Object.freeze({ caution: 30, danger: 60, critical: 80 });
+
+/** @type {Readonly<Record<string, RiskSignal>>} */
+export const RISK_SIGNALS = Object.freeze({
+  blocked_site: {
+    weight: 100,
+    category: 'policy',
+    label: 'Blocked by you',
+    rationale: 'You added this site to your blocked sites list.'
+  },
+  not_allowlisted: {
+    weight: 60,
+    category: 'policy',
+    label: 'Not on allowlist',
+    rationale: 'Allowlist-only mode treats every site you have not trusted as unsafe.'
+  },
+  malicious_domain: {
+    weight: 80,
+    category: 'malware',
+    label: 'Malicious domain',
+    rationale: 'The domain is listed in a malware threat feed.'
+  },
+  phishing_feed: {
+    weight: 80,
+    category: 'phishing',
+    label: 'Known phishing domain',
+    rationale: 'The domain is listed in a phishing threat feed.'
+  },
+  brand_subdomain: {
+    weight: 70,
+    category: 'phishing',
+    label: 'Brand name in subdomain',
+    rationale: 'A protected brand appears in the subdomain of an unrelated site, a common way to fake a login page.'
+  },
+  lookalike_domain: {
+    weight: 70,
+    category: 'phishing',
+    label: 'Lookalike domain',
+    rationale: 'The domain imitates a protected brand with look-alike characters or a misspelling.'
+  },
+  suspicious_tld: {
+    weight: 70,
+    category: 'phishing',
+    label: 'High-risk TLD',
+    rationale: 'Free top-level domains such as .tk and .ml are heavily used for throwaway phishing sites.'
+  },
+  password_reuse: {
+    weight: 90,
+    category: 'phishing',
+    label: 'Password typed on wrong site',
+    rationale: 'A password you protected was typed on a site it does not belong to, the way phishing pages collect them.'
+  },
+  ip_address: {
+    weight: 40,
+    category: 'url',
+    label: 'IP address host',
+    rationale: 'Legitimate sites rarely ask you to visit a bare IP address.'
+  },
+  long_url: {
+    weight: 20,
+    category: 'url',
+    label: 'Long URL',
+    rationale: 'Very long URLs can push the real domain out of view.'
+  },
+  many_subdomains: {
+    weight: 25,
+    category: 'url',
+    label: 'Deep subdomains',
+    rationale: 'Long chains of subdomains are used to bury the real domain.'
+  },
+  mixed_script: {
+    weight: 30,
+    category: 'url',
+    label: 'Mixed-script domain',
+    rationale: 'Mixing alphabets in one label is a sign of a homoglyph attack.'
+  },
+  suspicious_path: {
+    weight: 30,
+    category: 'url',
+    label: 'Suspicious path',
+    rationale: 'The path uses wording typical of credential phishing ("verify account", "suspended").'
+  },
+
+  // From the redirects that led to the page. The page itself is judged by the signals
+  // above; these describe how the visitor was brought there.
+  url_shortener: {
+    weight: 10,
+    category: 'url',
+    label: 'Shortened link',
+    rationale: 'You arrived through a link shortener, which hides where a link leads until it is opened.'
+  },
+  risky_redirect: {
+    weight: 50,
+    category: 'url',
+    label: 'Risky redirect',
+    rationale: 'A page you were redirected through on the way here scored as dangerous.'
+  },
+  redirect_bouncing: {
+    weight: 30,
+    category: 'url',
+    label: 'Redirect bouncing',
+    rationale: 'The link bounced through several unrelated sites, a way to slip past link scanners.'
+  },
+
+  // From the page's response headers and the resources it loads over plain HTTP
+  no_https: {
+    weight: 20,
+    category: 'posture',
+    label: 'No HTTPS',
+    rationale: 'The page is not encrypted, so anyone on the network can read or change it.'
+  },
+  mixed_content: {
+    weight: 15,
+    category: 'posture',
+    label: 'Mixed content',
+    rationale: 'The secure page loads resources over plain HTTP, which the network can tamper with.'
+  },
+  weak_security_headers: {
+    weight: 10,
+    category: 'posture',
+    label: 'Weak security headers',
+    rationale: 'The site sends few of the headers that protect visitors from injected scripts and framing.'
+  },
+
+  // From this browser's own history of the site. They describe context rather than a
+  // threat, so they raise the score without being listed as threats.
+  new_domain: {
+    weight: 10,
+    category: 'reputation',
+    label: 'First visit',
+    rationale: 'You have not visited this site before; most phishing sites are new to their victims.'
+  },
+  risky_history: {
+    weight: 25,
+    category: 'reputation',
+    label: 'Risky before',
+    rationale: 'An earlier visit to this site scored as dangerous.'
+  },
+
+  // Reported by the content script from the page itself. Many are common on ordinary sites
+  // (hidden iframes, obfuscated inline scripts), so they weigh little on their own.
+  phishing_language: {
+    weight: 20,
+    category: 'content',
+    label: 'Pressure wording',
+    rationale: 'The page uses urgent or too-good-to-be-true phrases typical of scams.'
+  },
+  external_login_form: {
+    weight: 40,
+    category: 'content',
+    label: 'Off-site login form',
+    rationale: 'A password form sends what you type to a different site.'
+  },
+  fake_security_badge: {
+    weight: 20,
+    category: 'content',
+    label: 'Unverified security badge',
+    rationale: 'A "secure" or "verified" badge is not served by a known certificate authority.'
+  },
+  suspicious_hidden_input: {
+    weight: 10,
+    category: 'content',
+    label: 'Oversized hidden field',
+    rationale: 'A hidden form field carries an unusually large value.'
+  },
+  suspicious_external_script: {
+    weight: 25,
+    category: 'content',
+    label: 'Suspicious script host',
+    rationale: 'A script is loaded from an IP address, shortener, random-looking or high-risk domain.'
+  },
+  dynamic_malicious_script: {
+    weight: 25,
+    category: 'content',
+    label: 'Suspicious injected script',
+    rationale: 'A script from a suspicious host was added to the page after it loaded.'
+  },
+  invalid_script_url: {
+    weight: 5,
+    category: 'content',
+    label: 'Malformed script URL',
+    rationale: 'A script tag points at a URL that cannot be parsed.'
+  },
+  suspicious_inline_script: {
+    weight: 5,
+    category: 'content',
+    label: 'Obfuscated inline script',
+    rationale: 'An inline script runs code it has just decoded, or writes in a script through innerHTML.'
+  },
+  card_skimmer: {
+    weight: 85,
+    category: 'content',
+    label: 'Card skimmer',
+    rationale: 'A page script sends payment card details you type to another site - the Magecart pattern.'
+  },
+  keylogger: {
+    weight: 75,
+    category: 'content',
+    label: 'Keylogger',
+    rationale: 'A page script records keystrokes in password fields and sends them to another site.'
+  },
+  data_exfiltration: {
+    weight: 60,
+    category: 'content',
+    label: 'Typed data sent away',
+    rationale: 'A page script sends a password you typed to another site.'
+  },
+  obfuscated_code: {
+    weight: 10,
+    category: 'content',
+    label: 'Runs hidden code',
+    rationale: 'The page decodes text at runtime and runs it as code, a common way to hide malicious scripts.'
+  },
+  document_write_script: {
+    weight: 5,
+    category: 'content',
+    label: 'Script written in',
+    rationale: 'A script adds another script with document.write. Old ad code does this; so do injected skimmers.'
+  },
+  link_text_mismatch: {
+    weight: 35,
+    category: 'content',
+    label: 'Misleading link',
+    rationale: "A link's text shows one site's address but the link leads to another, a classic phishing trick."
+  },
+  risky_link: {
+    weight: 15,
+    category: 'content',
+    label: 'Links to a risky site',
+    rationale: 'The page links to a site that scores as risky on its own.'
+  },
+  hidden_malicious_element: {
+    weight: 10,
+    category: 'content',
+    label: 'Hidden element',
+    rationale: 'An invisible iframe or element with scripts can load content you never see.'
+  },
+  hidden_iframe: {
+    weight: 10,
+    category: 'content',
+    label: 'Hidden iframe',
+    rationale: 'An invisible iframe was added to the page after it loaded.'
+  },
+  clickjacking: {
+    weight: 60,
+    category: 'content',
+    label: 'Clickjacking',
+    rationale: 'A frame from another site was hidden where you were about to click, to take the click for itself.'
+  },
+  // No longer reported - the content script runs in the top frame only, and being framed
+  // says nothing about the frame being hidden. Kept so backups that weight them still import.
+  potential_clickjacking: {
+    weight: 20,
+    category: 'content',
+    label: 'Framed by another site',
+    rationale: 'The page is shown inside another site, which could overlay it to capture clicks.'
+  },
+  cross_origin_framing: {
+    weight: 10,
+    category: 'content',
+    label: 'Framed by unknown origin',
+    rationale: 'The page is shown inside a frame whose origin cannot be checked.'
+  },
+  cryptomining_script: {
+    weight: 50,
+    category: 'content',
+    label: 'Cryptominer',
+    rationale: 'The page loads a known in-browser cryptomining library.'
+  },
+  cryptomining_wasm: {
+    weight: 60,
+    category: 'content',
+    label: 'Mining code',
+    rationale: 'The page runs WebAssembly built like cryptocurrency hashing code, which uses your device to mine.'
+  },
+  mining_pool_connection: {
+    weight: 70,
+    category: 'content',
+    label: 'Mining pool connection',
+    rationale: 'The page connects to a cryptocurrency mining pool to hand in work done on your device.'
+  },
+  // No longer reported - frame rates mistook throttled background tabs for miners. Kept so
+  // backups that weight it still import and older history still shows it.
+  high_cpu_usage: {
+    weight: 15,
+    category: 'content',
+    label: 'High CPU usage',
+    rationale: 'The page kept the CPU busy, which can mean hidden cryptomining.'
+  },
+
+  // From a download's file name and type, and the tab it was started from. Where the file
+  // comes from is scored with the address signals above.
+  dangerous_file_type: {
+    weight: 25,
+    category: 'download',
+    label: 'Program download',
+    rationale: 'The file runs code when opened. Installers are normal, but this is how most malware arrives.'
+  },
+  double_extension: {
+    weight: 70,
+    category: 'download',
+    label: 'Disguised file type',
+    rationale: 'The file name hides a program behind a harmless-looking extension, such as invoice.pdf.exe.'
+  },
+  mime_mismatch: {
+    weight: 40,
+    category: 'download',
+    label: 'File type mismatch',
+    rationale: 'The server describes the file as a different kind of file than its extension says.'
+  },
+  risky_source_tab: {
+    weight: 40,
+    category: 'download',
+    label: 'Started from a risky page',
+    rationale: 'The download was started from a page that scored as dangerous.'
+  }
+});
+
+/**
+ * @param {number} score
+ * @returns {RiskLevel}
+ */
+export function getRiskLevel(score) {
+  if (score >= RISK_THRESHOLDS.critical) return 'critical';
+  if (score >= RISK_THRESHOLDS.danger) return 'danger';
+  if (score >= RISK_THRESHOLDS.caution) return 'caution';
+  return 'safe';
+}
+
+/**
+ * Severity shown for a finding of the given weight.
+ * @param {number} weight
+ * @returns {'low' | 'medium' | 'high'}
+ */
+export function getSeverityForWeight(weight) {
+  if (weight >= RISK_THRESHOLDS.danger) return 'high';
+  if (weight >= RISK_THRESHOLDS.caution) return 'medium';
+  return 'low';
+}
+
+/**
+ * Weight of a signal, honouring user overrides (settings.riskWeights). Signals of the user's
+ * detection rules are passed in as extraSignals.
+ * @param {string} signal
+ * @param {Record<string, number>} [weights]
+ * @param {Record<string, RiskSignal>} [extraSignals]
+ * @returns {number}
+ */
+export function getSignalWeight(signal, weights = {}, extraSignals = {}) {
+  const override = weights[signal];
+  if (typeof override === 'number' && Number.isFinite(override)) {
+    return Math.min(100, Math.max(0, override));
+  }
+  return (RISK_SIGNALS[signal] || extraSignals[signal])?.weight ?? 0;
+}
+
+/**
+ * Combines signals into a 0-100 score. Repeated signals count once. The breakdown lists the
+ * strongest signals first; their contributions add up to the score.
+ * @param {string[]} signals
+ * @param {Record<string, number>} [weights]
+ * @param {Record<string, RiskSignal>} [extraSignals]
+ * @returns {{ score: number, breakdown: RiskContribution[] }}
+ */
+export function scoreSignals(signals, weights = {}, extraSignals = {}) {
+  const known = (/** @type {string} */ signal) => RISK_SIGNALS[signal] || extraSignals[signal];
+  const unique = [...new Set(signals)]
+    .filter((signal) => known(signal))
+    .map((signal) => ({ signal, weight: getSignalWeight(signal, weights, extraSignals) }))
+    .sort((a, b) => b.weight - a.weight);
+
+  let safe = 1;
+  let score = 0;
+  const breakdown = unique.map(({ signal, weight }) => {
+    safe *= 1 - weight / 100;
+    const total = Math.round((1 - safe) * 100);
+    const contribution = total - score;
+    score = total;
+    const { category, label, rationale } = known(signal);
+    return { signal, category, label, rationale, weight, contribution };
+  });
+
+  return { score, breakdown };
+}
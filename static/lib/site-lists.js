@@ -0,0 +1,411 @@
+// Trusted and blocked sites, plus per-site exceptions that switch individual detectors off.
+// Entries match a hostname exactly, by wildcard (*.example.com) or by registrable domain
+// (everything under example.co.uk), and can expire. They are enforced twice: as
+// declarativeNetRequest rules for blocking, and through lookup() for the analysis code.
+import { parseHostname } from './domain.js';
+import {
+  ALL_RESOURCE_TYPES,
+  RULESET_MALICIOUS,
+  RULESET_PHISHING,
+  RULESET_SETTINGS,
+  BLOCK_PAGE_PATH,
+  redirectToBlockPage,
+  withoutMainFrame
+} from './rulesets.js';
+
+export const SITE_LIST_EXPIRY_ALARM = 'webguardian-site-list-expiry';
+
+export const SITE_TRUSTED = 'trusted';
+export const SITE_BLOCKED = 'blocked';
+export const SITE_EXCEPTION = 'exception';
+export const SITE_LIST_TYPES = [SITE_TRUSTED, SITE_BLOCKED, SITE_EXCEPTION];
+
+export const SCOPE_EXACT = 'exact';
+export const SCOPE_WILDCARD = 'wildcard';
+export const SCOPE_SITE = 'site';
+export const SITE_SCOPES = [SCOPE_EXACT, SCOPE_WILDCARD, SCOPE_SITE];
+
+// Detectors an exception can switch off; trusted sites skip all of them
+export const SITE_DETECTORS = {
+  trackers: 'Tracker blocking',
+  malicious: 'Malicious site checks',
+  phishing: 'Phishing checks',
+  suspicious_url: 'Suspicious URL checks',
+  content: 'Page content checks',
+  custom_rules: 'Custom detection rules',
+  downloads: 'Download checks',
+  security_headers: 'Security header checks'
+};
+
+const STORAGE_KEY = 'webguardian_site_lists';
+
+// More specific scopes win; within a scope a block outranks a trust.
+// These double as declarativeNetRequest priorities (feed rules use 1 and 2).
+const SCOPE_PRIORITY = { [SCOPE_SITE]: 3, [SCOPE_WILDCARD]: 5, [SCOPE_EXACT]: 7 };
+const ALLOWLIST_ONLY_PRIORITY = 3;
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hostnamePattern(entry) {
+  return entry.pattern.split('*').map(escapeRegex).join('[a-z0-9.-]*');
+}
+
+// Lowercases, strips scheme/path/port and converts IDNs to punycode like URL.hostname does
+export function normalizePattern(pattern, scope) {
+  const trimmed = (pattern || '').trim().toLowerCase();
+  let hostname;
+  try {
+    hostname = new URL(trimmed.includes('://') ? trimmed : `http://${trimmed}`).hostname;
+  } catch {
+    throw new Error(`Invalid site: ${pattern}`);
+  }
+  hostname = hostname.replace(/\.$/, '');
+
+  if (scope === SCOPE_WILDCARD) {
+    if (!hostname.includes('*')) {
+      throw new Error('Wildcard patterns need a "*", e.g. *.example.com');
+    }
+    return hostname;
+  }
+  if (hostname.includes('*')) {
+    throw new Error('Only wildcard patterns may contain "*"');
+  }
+  if (scope === SCOPE_SITE) {
+    const parsed = parseHostname(hostname);
+    return parsed.registrableDomain || parsed.hostname;
+  }
+  return hostname;
+}
+
+export function entryMatches(entry, hostname) {
+  switch (entry.scope) {
+    case SCOPE_EXACT:
+      return hostname === entry.pattern;
+    case SCOPE_WILDCARD:
+      return new RegExp(`^${hostnamePattern(entry)}$`).test(hostname);
+    case SCOPE_SITE: {
+      const parsed = parseHostname(hostname);
+      return (parsed.registrableDomain || parsed.hostname) === entry.pattern;
+    }
+    default:
+      return false;
+  }
+}
+
+export function newEntryId() {
+  return `site-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isActive(entry, now) {
+  return !entry.expiresAt || entry.expiresAt > now;
+}
+
+// Condition for requests to the entry's hosts. Rules without resourceTypes skip main_frame,
+// so they're listed explicitly to cover navigations too.
+function requestCondition(entry, resourceTypes = ALL_RESOURCE_TYPES) {
+  if (entry.scope === SCOPE_SITE) {
+    return { requestDomains: [entry.pattern], resourceTypes };
+  }
+  // requestDomains would also match subdomains, so exact and wildcard entries use a regex
+  return {
+    regexFilter: `^[a-z][a-z0-9+.-]*://(?:[^/@]*@)?${hostnamePattern(entry)}(?::[0-9]+)?(?:[/?#]|$)`,
+    resourceTypes
+  };
+}
+
+// Blocklists an exception can switch off; their rules all share priority 2
+const BLOCKLIST_EXCEPTIONS = [RULESET_MALICIOUS, RULESET_PHISHING];
+
+// The hostname every domain an entry matches is or ends in
+function entryBase(entry) {
+  if (entry.scope !== SCOPE_WILDCARD) return entry.pattern;
+  return entry.pattern.slice(entry.pattern.lastIndexOf('*') + 1).replace(/^[.-]+/, '');
+}
+
+function isParentDomain(parent, domain) {
+  return domain.endsWith(`.${parent}`);
+}
+
+function listsDomainOrParent(listed, domain) {
+  for (let rest = domain; rest; rest = rest.slice(rest.indexOf('.') + 1 || rest.length)) {
+    if (listed.has(rest)) return true;
+  }
+  return false;
+}
+
+// initiatorDomains can't express wildcards, so overrides cover the pattern's base domain
+function initiatorDomain(entry) {
+  if (entry.scope !== SCOPE_WILDCARD) return entry.pattern;
+  const base = entryBase(entry);
+  return parseHostname(base).registrableDomain || base;
+}
+
+export class SiteListManager {
+  constructor({ onChange } = {}) {
+    this.entries = [];
+    // From the admin policy (see policy.js); never saved with the user's entries
+    this.managedEntries = [];
+    this.onChange = onChange || (() => {});
+  }
+
+  setManagedEntries(entries) {
+    this.managedEntries = entries;
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      this.entries = result[STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Failed to load site lists:', error);
+    }
+    await this.pruneExpired();
+  }
+
+  async save() {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: this.entries });
+    } catch (error) {
+      console.error('Failed to save site lists:', error);
+    }
+  }
+
+  getEntries() {
+    return [...this.managedEntries, ...this.getUserEntries()];
+  }
+
+  getUserEntries() {
+    const now = Date.now();
+    return this.entries.filter((entry) => isActive(entry, now));
+  }
+
+  async addEntry({ pattern, scope = SCOPE_SITE, type, detectors = [], expiresAt = null, note = '' }) {
+    if (!SITE_SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope: ${scope}`);
+    }
+    if (!SITE_LIST_TYPES.includes(type)) {
+      throw new Error(`Unknown site list: ${type}`);
+    }
+
+    const validDetectors = detectors.filter((detector) => SITE_DETECTORS[detector]);
+    if (type === SITE_EXCEPTION && validDetectors.length === 0) {
+      throw new Error('Choose at least one check to switch off');
+    }
+    if (expiresAt !== null && !(expiresAt > Date.now())) {
+      throw new Error('Expiry must be in the future');
+    }
+
+    const entry = {
+      id: newEntryId(),
+      pattern: normalizePattern(pattern, scope),
+      scope,
+      type,
+      detectors: type === SITE_EXCEPTION ? validDetectors : [],
+      expiresAt,
+      note,
+      addedAt: Date.now()
+    };
+
+    // Re-adding a pattern replaces its previous entry of the same kind
+    this.entries = this.entries.filter(
+      (item) => !(item.pattern === entry.pattern && item.scope === entry.scope && item.type === entry.type)
+    );
+    this.entries.push(entry);
+    await this.save();
+    await this.scheduleExpiry();
+    await this.onChange();
+    return entry;
+  }
+
+  // Swaps in a whole list at once, e.g. from an imported backup
+  async replaceEntries(entries) {
+    this.entries = entries;
+    await this.save();
+    await this.scheduleExpiry();
+    await this.onChange();
+  }
+
+  async removeEntry(id) {
+    if (this.managedEntries.some((entry) => entry.id === id)) {
+      throw new Error('This site is managed by your organization');
+    }
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    await this.save();
+    await this.scheduleExpiry();
+    await this.onChange();
+  }
+
+  // Drops expired exceptions; returns whether anything changed
+  async pruneExpired() {
+    const now = Date.now();
+    const active = this.entries.filter((entry) => isActive(entry, now));
+    const changed = active.length !== this.entries.length;
+    if (changed) {
+      this.entries = active;
+      await this.save();
+    }
+    await this.scheduleExpiry();
+    return changed;
+  }
+
+  async handleExpiryAlarm() {
+    if (await this.pruneExpired()) {
+      await this.onChange();
+    }
+  }
+
+  async scheduleExpiry() {
+    const next = Math.min(...this.entries.map((entry) => entry.expiresAt || Infinity));
+    try {
+      if (Number.isFinite(next)) {
+        await chrome.alarms.create(SITE_LIST_EXPIRY_ALARM, { when: next });
+      } else {
+        await chrome.alarms.clear(SITE_LIST_EXPIRY_ALARM);
+      }
+    } catch (error) {
+      console.error('Failed to schedule site list expiry:', error);
+    }
+  }
+
+  // How the lists apply to a hostname: status is 'trusted', 'blocked' or null, and
+  // disabled holds the detectors switched off by trust or exceptions
+  lookup(hostname) {
+    const normalized = (hostname || '').toLowerCase();
+    const matches = this.getEntries().filter((entry) => entryMatches(entry, normalized));
+
+    let decisive = null;
+    const rank = (entry) => SCOPE_PRIORITY[entry.scope] + (entry.type === SITE_BLOCKED ? 1 : 0);
+    matches
+      .filter((entry) => entry.type !== SITE_EXCEPTION)
+      .forEach((entry) => {
+        if (!decisive || rank(entry) > rank(decisive)) decisive = entry;
+      });
+
+    const status = decisive ? decisive.type : null;
+    const disabled = new Set();
+    if (status === SITE_TRUSTED) {
+      Object.keys(SITE_DETECTORS).forEach((detector) => disabled.add(detector));
+    }
+    matches
+      .filter((entry) => entry.type === SITE_EXCEPTION)
+      .forEach((entry) => entry.detectors.forEach((detector) => disabled.add(detector)));
+
+    return { hostname: normalized, status, disabled: [...disabled], entries: matches };
+  }
+
+  isDisabled(hostname, detector) {
+    return this.lookup(hostname).disabled.includes(detector);
+  }
+
+  // An allow rule would also beat every other list's priority 2 rule, so an exception for
+  // one blocklist only allows the domains that list blocks under the entry, minus the ones
+  // another enabled list still blocks. listedDomains(category) returns a list's domains.
+  async buildExceptionRules(entry, settings, listedDomains) {
+    const isEnabled = (category) => settings.realTimeProtection && settings[RULESET_SETTINGS[category]];
+    const base = entryBase(entry);
+    const others = [];
+    for (const category of Object.keys(RULESET_SETTINGS)) {
+      if (!entry.detectors.includes(category) && isEnabled(category)) {
+        others.push(new Set(await listedDomains(category)));
+      }
+    }
+
+    const items = [];
+    for (const category of BLOCKLIST_EXCEPTIONS) {
+      if (!entry.detectors.includes(category) || !isEnabled(category)) continue;
+
+      // A listed parent of the entry is allowed for the entry's own part of it only
+      const covered = new Set();
+      (await listedDomains(category)).forEach((domain) => {
+        if (domain === base || isParentDomain(domain, base)) covered.add(base);
+        else if (isParentDomain(base, domain)) covered.add(domain);
+      });
+      const allowed = [...covered].filter((domain) => !others.some((listed) => listsDomainOrParent(listed, domain)));
+      if (allowed.length === 0) continue;
+
+      const excluded = new Set();
+      others.forEach((listed) =>
+        listed.forEach((domain) => {
+          if (allowed.some((parent) => isParentDomain(parent, domain))) excluded.add(domain);
+        })
+      );
+      items.push({
+        category: null,
+        rule: {
+          priority: 2,
+          action: { type: 'allow' },
+          condition: {
+            ...requestCondition(entry),
+            requestDomains: allowed,
+            ...(excluded.size > 0 && { excludedRequestDomains: [...excluded] })
+          }
+        }
+      });
+    }
+    return items;
+  }
+
+  // declarativeNetRequest rules (without ids) for the current entries.
+  // Each item carries the blocklist category used to count its matches.
+  async buildRules(settings, listedDomains) {
+    const items = [];
+    const entries = this.getEntries();
+    // Lists are only loaded if an exception needs them, and once per build
+    const lists = new Map();
+    const listed = (category) => {
+      if (!lists.has(category)) lists.set(category, listedDomains(category));
+      return lists.get(category);
+    };
+
+    if (settings.realTimeProtection && settings.whitelistMode) {
+      // Allowlist-only mode: every top-level navigation is blocked unless a trusted entry allows it
+      items.push({
+        category: RULESET_MALICIOUS,
+        rule: {
+          priority: ALLOWLIST_ONLY_PRIORITY,
+          action: { type: 'redirect', redirect: { extensionPath: BLOCK_PAGE_PATH } },
+          condition: { resourceTypes: ['main_frame'] }
+        }
+      });
+    }
+
+    for (const entry of entries) {
+      const priority = SCOPE_PRIORITY[entry.scope];
+
+      if (entry.type === SITE_BLOCKED && settings.realTimeProtection) {
+        const rule = { priority: priority + 1, action: { type: 'block' }, condition: requestCondition(entry) };
+        items.push(
+          { category: RULESET_MALICIOUS, rule: redirectToBlockPage(rule) },
+          { category: RULESET_MALICIOUS, rule: { ...rule, condition: withoutMainFrame(rule.condition) } }
+        );
+      } else if (entry.type === SITE_TRUSTED) {
+        // Lets the navigation through and everything the trusted page loads
+        items.push({
+          category: null,
+          rule: {
+            priority,
+            action: { type: 'allowAllRequests' },
+            condition: requestCondition(entry, ['main_frame', 'sub_frame'])
+          }
+        });
+      } else if (entry.type === SITE_EXCEPTION) {
+        if (entry.detectors.includes('trackers')) {
+          // Same priority as the tracker rules: allow wins ties, malicious blocks still apply
+          items.push({
+            category: null,
+            rule: {
+              priority: 1,
+              action: { type: 'allow' },
+              condition: { initiatorDomains: [initiatorDomain(entry)] }
+            }
+          });
+        }
+        items.push(...(await this.buildExceptionRules(entry, settings, listed)));
+      }
+    }
+
+    return items;
+  }
+}
@@ -0,0 +1,111 @@
+// Daily protection statistics for the options page dashboard. The lifetime totals in
+// webguardian_stats stay as they were; this keeps the same counters per local calendar day,
+// plus which threat signals were found and on which domains, for the last STATS_DAYS_KEPT days.
+
+export const STATS_DAILY_KEY = 'webguardian_stats_daily';
+export const STATS_DAYS_KEPT = 90;
+
+// Each day keeps only its most frequent domains, so a day of heavy browsing stays small
+const MAX_DOMAINS_PER_DAY = 50;
+
+/**
+ * @typedef {Object} StatsDay
+ * @property {Record<string, number>} counters Same names as the lifetime totals
+ * @property {Record<string, number>} threats Findings per signal (or type, for threats without one)
+ * @property {Record<string, number>} domains Findings per domain
+ */
+
+/**
+ * Local calendar date as YYYY-MM-DD; sorts in date order.
+ * @param {number | Date} [time]
+ * @returns {string}
+ */
+export function dayKey(time = Date.now()) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/** @returns {StatsDay} */
+function emptyDay() {
+  return { counters: {}, threats: {}, domains: {} };
+}
+
+/**
+ * Keeps the limit largest entries of a count map.
+ * @param {Record<string, number>} counts
+ * @param {number} limit
+ * @returns {Record<string, number>}
+ */
+function topEntries(counts, limit) {
+  const entries = Object.entries(counts);
+  if (entries.length <= limit) return counts;
+  return Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, limit));
+}
+
+export class DailyStats {
+  constructor() {
+    /** @type {Record<string, StatsDay>} */
+    this.days = {};
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(STATS_DAILY_KEY);
+      this.days = result[STATS_DAILY_KEY] || {};
+    } catch (error) {
+      console.error('Failed to load daily stats:', error);
+    }
+  }
+
+  today() {
+    const key = dayKey();
+    if (!this.days[key]) {
+      this.days[key] = emptyDay();
+    }
+    return this.days[key];
+  }
+
+  /**
+   * @param {string} counter
+   * @param {number} [amount]
+   */
+  count(counter, amount = 1) {
+    const { counters } = this.today();
+    counters[counter] = (counters[counter] || 0) + amount;
+  }
+
+  /**
+   * Threats found on a page, counted by signal and by the page's domain.
+   * @param {string} domain
+   * @param {{ type: string, signal?: string }[]} threats
+   */
+  countThreats(domain, threats) {
+    if (threats.length === 0) return;
+    const day = this.today();
+    threats.forEach((threat) => {
+      const key = threat.signal || threat.type;
+      day.threats[key] = (day.threats[key] || 0) + 1;
+    });
+    day.domains[domain] = (day.domains[domain] || 0) + threats.length;
+  }
+
+  // Drops days past the retention window and trims each day's domains, then returns the
+  // entry to write to chrome.storage.local
+  toStorage() {
+    const cutoff = dayKey(Date.now() - STATS_DAYS_KEPT * 24 * 60 * 60 * 1000);
+    Object.keys(this.days).forEach((key) => {
+      if (key < cutoff) {
+        delete this.days[key];
+      } else {
+        this.days[key].domains = topEntries(this.days[key].domains, MAX_DOMAINS_PER_DAY);
+      }
+    });
+    return { [STATS_DAILY_KEY]: this.days };
+  }
+
+  clear() {
+    this.days = {};
+  }
+}
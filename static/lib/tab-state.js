@@ -0,0 +1,104 @@
+// Per-tab state (analysis, blocked request counts, "Proceed once" allowance) kept in
+// chrome.storage.session, so it outlives service worker restarts but not the browser
+// session. Each tab's state is read lazily on first use and dropped when the tab closes.
+
+const KEY_PREFIX = 'tab_';
+const LEGACY_ANALYSIS_PREFIX = 'analysis_';
+
+function stateKey(tabId) {
+  return `${KEY_PREFIX}${tabId}`;
+}
+
+function emptyState() {
+  return {
+    analysis: null,
+    blockCounts: { trackers: 0, malicious: 0, since: 0 },
+    proceedOnce: null
+  };
+}
+
+export class TabStateStore {
+  constructor() {
+    this.cache = new Map();
+    this.queues = new Map();
+  }
+
+  async get(tabId) {
+    if (!this.cache.has(tabId)) {
+      const key = stateKey(tabId);
+      let stored = null;
+      try {
+        stored = (await chrome.storage.session.get(key))[key];
+      } catch (error) {
+        console.error('Failed to load tab state:', error);
+      }
+      // Another caller may have loaded it while this one was waiting
+      if (!this.cache.has(tabId)) {
+        this.cache.set(tabId, { ...emptyState(), ...stored });
+      }
+    }
+    return this.cache.get(tabId);
+  }
+
+  // Runs updater on the tab's state and saves the result. Updates for a tab run one
+  // at a time, so concurrent events can't overwrite each other's changes.
+  update(tabId, updater) {
+    return this.enqueue(tabId, async () => {
+      const state = await this.get(tabId);
+      await updater(state);
+      try {
+        await chrome.storage.session.set({ [stateKey(tabId)]: state });
+      } catch (error) {
+        console.error('Failed to save tab state:', error);
+      }
+      return state;
+    });
+  }
+
+  remove(tabId) {
+    return this.enqueue(tabId, async () => {
+      this.cache.delete(tabId);
+      try {
+        await chrome.storage.session.remove(stateKey(tabId));
+      } catch (error) {
+        console.error('Failed to remove tab state:', error);
+      }
+    });
+  }
+
+  enqueue(tabId, task) {
+    const previous = this.queues.get(tabId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    this.queues.set(tabId, settled);
+    settled.then(() => {
+      if (this.queues.get(tabId) === settled) {
+        this.queues.delete(tabId);
+      }
+    });
+    return run;
+  }
+
+  // Drops state of tabs closed while the worker wasn't running, and the analyses older
+  // versions kept in chrome.storage.local forever
+  async prune() {
+    try {
+      const openTabs = new Set((await chrome.tabs.query({})).map((tab) => tab.id));
+      const stale = Object.keys(await chrome.storage.session.get(null)).filter(
+        (key) => key.startsWith(KEY_PREFIX) && !openTabs.has(Number(key.slice(KEY_PREFIX.length)))
+      );
+      if (stale.length > 0) {
+        await chrome.storage.session.remove(stale);
+      }
+
+      const legacy = Object.keys(await chrome.storage.local.get(null)).filter((key) =>
+        key.startsWith(LEGACY_ANALYSIS_PREFIX)
+      );
+      if (legacy.length > 0) {
+        await chrome.storage.local.remove(legacy);
+      }
+    } catch (error) {
+      console.error('Failed to prune tab state:', error);
+    }
+  }
+}
@@ -0,0 +1,648 @@
+// Runs in the page's own JavaScript world (content_scripts "world": "MAIN") to watch APIs the
+// isolated content script can't reach: WebAssembly compilation, workers, shared memory,
+// WebSockets, and what page scripts do with decoded code, keystrokes and typed data. It
+// only collects facts and carries out commands - content.js judges what it reports. The
+// two talk through events on document carrying JSON, the one format that crosses between
+// the worlds intact.
+(() => {
+  const REPORT_EVENT = 'webguardian:main-world-report';
+  const COMMAND_EVENT = 'webguardian:main-world-command';
+
+  // Reports wait until the content script says it is listening
+  const MAX_QUEUED_REPORTS = 100;
+
+  // Larger modules (game engines and the like) are reported but not profiled
+  const MAX_PROFILED_BYTES = 16 * 1024 * 1024;
+
+  // The page can replace globals once its own scripts run; keep the originals
+  const NativeCustomEvent = window.CustomEvent;
+  const NativeErrorEvent = window.ErrorEvent;
+  const dispatch = EventTarget.prototype.dispatchEvent;
+  const stringify = JSON.stringify;
+  const parse = JSON.parse;
+  const schedule = window.setTimeout.bind(window);
+
+  let nextId = 1;
+  let listening = false;
+  const queue = [];
+
+  function report(message) {
+    if (!listening) {
+      if (queue.length < MAX_QUEUED_REPORTS) queue.push(message);
+      return;
+    }
+    dispatch.call(document, new NativeCustomEvent(REPORT_EVENT, { detail: stringify(message) }));
+  }
+
+  function absoluteUrl(value) {
+    try {
+      return new URL(String(value), document.baseURI).href;
+    } catch {
+      return String(value);
+    }
+  }
+
+  // --- WebAssembly -------------------------------------------------------------------------
+
+  // Modules by the id their report used, so workers they are sent to can be traced
+  const moduleIds = new WeakMap();
+
+  function toBytes(source) {
+    if (source instanceof ArrayBuffer) return new Uint8Array(source.slice(0));
+    if (ArrayBuffer.isView(source)) {
+      return new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+    }
+    return null;
+  }
+
+  // Profiles a module's bytes after the page's own call has returned
+  function inspectModule(bytes, how, id = nextId++) {
+    if (!bytes) return id;
+    schedule(() => {
+      const profile = bytes.length <= MAX_PROFILED_BYTES ? profileWasm(bytes) : null;
+      report({ type: 'wasm_module', id, how, size: bytes.length, profile });
+    }, 0);
+    return id;
+  }
+
+  function remember(module, id) {
+    if (module) moduleIds.set(module, id);
+    return module;
+  }
+
+  const nativeWasm = {
+    compile: WebAssembly.compile,
+    instantiate: WebAssembly.instantiate,
+    compileStreaming: WebAssembly.compileStreaming,
+    instantiateStreaming: WebAssembly.instantiateStreaming,
+    Module: WebAssembly.Module
+  };
+
+  WebAssembly.compile = function compile(source, ...rest) {
+    const id = inspectModule(toBytes(source), 'compile');
+    return nativeWasm.compile.call(this, source, ...rest).then((module) => remember(module, id));
+  };
+
+  WebAssembly.instantiate = function instantiate(source, ...rest) {
+    // Instantiating an already compiled module has been seen when it was compiled
+    if (source instanceof nativeWasm.Module) {
+      return nativeWasm.instantiate.call(this, source, ...rest);
+    }
+    const id = inspectModule(toBytes(source), 'instantiate');
+    return nativeWasm.instantiate.call(this, source, ...rest).then((result) => {
+      remember(result.module, id);
+      return result;
+    });
+  };
+
+  // Streaming compilation reads the response body; a clone is taken before it does
+  function cloneForInspection(source, how) {
+    const id = nextId++;
+    const passed = Promise.resolve(source).then((response) => {
+      response
+        .clone()
+        .arrayBuffer()
+        .then((buffer) => inspectModule(new Uint8Array(buffer), how, id))
+        .catch(() => {});
+      return response;
+    });
+    return { passed, id };
+  }
+
+  if (nativeWasm.compileStreaming) {
+    WebAssembly.compileStreaming = function compileStreaming(source, ...rest) {
+      const inspected = cloneForInspection(source, 'compileStreaming');
+      return nativeWasm.compileStreaming
+        .call(this, inspected.passed, ...rest)
+        .then((module) => remember(module, inspected.id));
+    };
+  }
+
+  if (nativeWasm.instantiateStreaming) {
+    WebAssembly.instantiateStreaming = function instantiateStreaming(source, ...rest) {
+      const inspected = cloneForInspection(source, 'instantiateStreaming');
+      return nativeWasm.instantiateStreaming.call(this, inspected.passed, ...rest).then((result) => {
+        remember(result.module, inspected.id);
+        return result;
+      });
+    };
+  }
+
+  WebAssembly.Module = new Proxy(nativeWasm.Module, {
+    construct(target, args, newTarget) {
+      const id = inspectModule(toBytes(args[0]), 'Module');
+      return remember(Reflect.construct(target, args, newTarget), id);
+    }
+  });
+
+  // Instruction counts by group, read from the module's code section. Only what a profile
+  // needs is decoded; a function using an instruction not known here is skipped from there on.
+  function profileWasm(bytes) {
+    const counts = { instructions: 0, xor: 0, rotate: 0, shift: 0, andOr: 0, multiply: 0, memory: 0, functions: 0 };
+    let pos = 0;
+
+    const readU32 = () => {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = bytes[pos++];
+        result |= (byte & 0x7f) << shift;
+        shift += 7;
+      } while (byte & 0x80 && shift < 35);
+      return result >>> 0;
+    };
+    // Signed LEBs only need skipping
+    const skipLeb = () => {
+      while (bytes[pos++] & 0x80 && pos < bytes.length);
+    };
+    const skipMemarg = () => {
+      const align = readU32();
+      if (align & 0x40) readU32(); // memory index (multi-memory)
+      readU32();
+    };
+
+    const count = (opcode) => {
+      counts.instructions++;
+      if (opcode === 0x73 || opcode === 0x85) counts.xor++;
+      else if (opcode === 0x77 || opcode === 0x78 || opcode === 0x89 || opcode === 0x8a) counts.rotate++;
+      else if ((opcode >= 0x74 && opcode <= 0x76) || (opcode >= 0x86 && opcode <= 0x88)) counts.shift++;
+      else if (opcode === 0x71 || opcode === 0x72 || opcode === 0x83 || opcode === 0x84) counts.andOr++;
+      else if (opcode === 0x6c || opcode === 0x7e) counts.multiply++;
+      else if (opcode >= 0x28 && opcode <= 0x3e) counts.memory++;
+    };
+
+    // Returns false on an instruction it can't decode
+    const skipInstruction = (opcode) => {
+      if (opcode >= 0x45 && opcode <= 0xc4) return true; // numeric, no immediates
+      if (opcode >= 0x28 && opcode <= 0x3e) {
+        skipMemarg();
+        return true;
+      }
+      switch (opcode) {
+        case 0x00: case 0x01: case 0x05: case 0x0b: case 0x0f: case 0x1a: case 0x1b: case 0x19: case 0xd1:
+          return true;
+        case 0x02: case 0x03: case 0x04: case 0x06: case 0xd0:
+          skipLeb(); // block type, heap type
+          return true;
+        case 0x0c: case 0x0d: case 0x10: case 0x12: case 0x07: case 0x08: case 0x09: case 0x18:
+        case 0x20: case 0x21: case 0x22: case 0x23: case 0x24: case 0x25: case 0x26:
+        case 0x3f: case 0x40: case 0xd2:
+          readU32();
+          return true;
+        case 0x0e: {
+          const targets = readU32();
+          for (let i = 0; i <= targets; i++) readU32();
+          return true;
+        }
+        case 0x11: case 0x13:
+          readU32();
+          readU32();
+          return true;
+        case 0x1c: {
+          const types = readU32();
+          for (let i = 0; i < types; i++) skipLeb();
+          return true;
+        }
+        case 0x41: case 0x42:
+          skipLeb();
+          return true;
+        case 0x43:
+          pos += 4;
+          return true;
+        case 0x44:
+          pos += 8;
+          return true;
+        case 0xfc: {
+          const sub = readU32();
+          if (sub <= 7) return true;
+          if (sub === 8 || sub === 10 || sub === 12 || sub === 14) {
+            readU32();
+            readU32();
+            return true;
+          }
+          if (sub <= 17) {
+            readU32();
+            return true;
+          }
+          return false;
+        }
+        case 0xfd: {
+          const sub = readU32();
+          if (sub <= 11 || sub === 92 || sub === 93) skipMemarg();
+          else if (sub === 12 || sub === 13) pos += 16;
+          else if (sub >= 21 && sub <= 34) pos += 1;
+          else if (sub >= 84 && sub <= 91) {
+            skipMemarg();
+            pos += 1;
+          }
+          return true;
+        }
+        case 0xfe: {
+          const sub = readU32();
+          if (sub === 0x03) pos += 1;
+          else skipMemarg();
+          return true;
+        }
+        default:
+          return false;
+      }
+    };
+
+    try {
+      // "\0asm", version 1
+      if (bytes[0] !== 0x00 || bytes[1] !== 0x61 || bytes[2] !== 0x73 || bytes[3] !== 0x6d) return null;
+      pos = 8;
+      while (pos < bytes.length) {
+        const sectionId = bytes[pos++];
+        const sectionSize = readU32();
+        const sectionEnd = pos + sectionSize;
+        if (sectionId !== 10) {
+          pos = sectionEnd;
+          continue;
+        }
+
+        const functionCount = readU32();
+        for (let f = 0; f < functionCount && pos < sectionEnd; f++) {
+          const bodySize = readU32();
+          const bodyEnd = pos + bodySize;
+          counts.functions++;
+          const localGroups = readU32();
+          for (let i = 0; i < localGroups; i++) {
+            readU32();
+            skipLeb();
+          }
+          while (pos < bodyEnd) {
+            const opcode = bytes[pos++];
+            count(opcode);
+            if (!skipInstruction(opcode)) break;
+          }
+          pos = bodyEnd;
+        }
+        break;
+      }
+    } catch {
+      // Malformed modules fail to compile anyway; report what was read
+    }
+    return counts;
+  }
+
+  // --- Workers and shared memory -------------------------------------------------------------
+
+  // Workers the page has running, by id, with the modules sent to each
+  const workers = new Map();
+
+  function forgetWorkers(isGone) {
+    workers.forEach((entry, id) => {
+      if (isGone(entry)) workers.delete(id);
+    });
+  }
+
+  function wrapWorker(NativeWorker, kind) {
+    if (typeof NativeWorker !== 'function') return NativeWorker;
+    return new Proxy(NativeWorker, {
+      construct(target, args, newTarget) {
+        const worker = Reflect.construct(target, args, newTarget);
+        const id = nextId++;
+        const url = absoluteUrl(args[0]);
+        workers.set(id, { worker, kind, url, moduleIds: new Set() });
+        // A plain error event means the script never loaded; uncaught exceptions inside the
+        // worker come as ErrorEvents and leave it running
+        worker.addEventListener('error', (event) => {
+          if (!(event instanceof NativeErrorEvent)) forgetWorkers((entry) => entry.worker === worker);
+        });
+        report({ type: 'worker', id, kind, url, total: workers.size });
+        return worker;
+      }
+    });
+  }
+
+  const nativePostMessage = Worker.prototype.postMessage;
+  Worker.prototype.postMessage = function postMessage(message, ...rest) {
+    const entry = [...workers.values()].find((item) => item.worker === this);
+    if (entry && message && typeof message === 'object') {
+      const values = message instanceof nativeWasm.Module ? [message] : Object.values(message);
+      values.forEach((value) => {
+        const id = value instanceof nativeWasm.Module ? moduleIds.get(value) : undefined;
+        if (id) entry.moduleIds.add(id);
+      });
+    }
+    return nativePostMessage.call(this, message, ...rest);
+  };
+
+  const nativeTerminate = Worker.prototype.terminate;
+  Worker.prototype.terminate = function terminate() {
+    forgetWorkers((entry) => entry.worker === this);
+    return nativeTerminate.call(this);
+  };
+
+  // Closing its port is how a page lets go of a shared worker
+  const nativePortClose = MessagePort.prototype.close;
+  MessagePort.prototype.close = function close() {
+    forgetWorkers((entry) => entry.kind === 'shared_worker' && entry.worker.port === this);
+    return nativePortClose.call(this);
+  };
+
+  window.Worker = wrapWorker(window.Worker, 'worker');
+  window.SharedWorker = wrapWorker(window.SharedWorker, 'shared_worker');
+
+  // Miners share memory between their threads; only the first buffer is worth a report
+  if (typeof window.SharedArrayBuffer === 'function') {
+    let reported = false;
+    window.SharedArrayBuffer = new Proxy(window.SharedArrayBuffer, {
+      construct(target, args, newTarget) {
+        if (!reported) {
+          reported = true;
+          report({ type: 'shared_memory' });
+        }
+        return Reflect.construct(target, args, newTarget);
+      }
+    });
+  }
+
+  // --- WebSockets ----------------------------------------------------------------------------
+
+  const sockets = new Map();
+
+  window.WebSocket = new Proxy(window.WebSocket, {
+    construct(target, args, newTarget) {
+      const socket = Reflect.construct(target, args, newTarget);
+      const id = nextId++;
+      sockets.set(id, socket);
+      // Fires after errors too
+      socket.addEventListener('close', () => sockets.delete(id));
+      report({ type: 'websocket', id, url: absoluteUrl(args[0]) });
+      return socket;
+    }
+  });
+
+  // --- Script behaviour ----------------------------------------------------------------------
+
+  // Strings shorter than this are decoded all the time for ordinary reasons
+  const MIN_DECODED_LENGTH = 64;
+  const MAX_DECODED_STRINGS = 20;
+  // Typed values shorter than this match too much of any payload by chance
+  const MIN_MATCHED_VALUE_LENGTH = 6;
+  // A send this soon after a keystroke happened while the user was still typing
+  const TYPING_WINDOW_MS = 2000;
+
+  const KEY_EVENTS = new Set(['keydown', 'keypress', 'keyup']);
+  const CARD_FIELD_PATTERN = /card.?num|cc.?num|credit.?card|cvv|cvc|csc|security.?code/i;
+
+  // Recently decoded strings, to recognise them when they are run as code
+  const decodedStrings = [];
+  // What the user typed into password and card fields. It never leaves this script: it is
+  // only compared with what page scripts send, and reports name the kind of field.
+  const typedValues = new Map();
+  let lastSensitiveInputAt = 0;
+  // Each kind of thing is reported once
+  const reported = new Set();
+
+  function reportOnce(key, message) {
+    if (reported.has(key)) return;
+    reported.add(key);
+    report(message);
+  }
+
+  function rememberDecoded(value) {
+    if (typeof value === 'string' && value.length >= MIN_DECODED_LENGTH) {
+      decodedStrings.push(value);
+      if (decodedStrings.length > MAX_DECODED_STRINGS) decodedStrings.shift();
+    }
+    return value;
+  }
+
+  function isDecoded(code) {
+    return typeof code === 'string' && code.length >= MIN_DECODED_LENGTH && decodedStrings.some((value) => code.includes(value));
+  }
+
+  function wrapDecoder(owner, name) {
+    const native = owner[name];
+    owner[name] = function (...args) {
+      return rememberDecoded(native.apply(this, args));
+    };
+  }
+  wrapDecoder(window, 'atob');
+  wrapDecoder(window, 'unescape');
+  wrapDecoder(window, 'decodeURIComponent');
+  wrapDecoder(String, 'fromCharCode');
+
+  // eval is left alone: a wrapped eval is no longer a direct eval, which breaks code that
+  // evaluates in its own scope. Decoded code still shows up when it reaches Function, a
+  // string timer or document.write.
+  const NativeFunction = window.Function;
+  const WrappedFunction = new Proxy(NativeFunction, {
+    apply(target, thisArg, args) {
+      if (isDecoded(args[args.length - 1])) reportOnce('decoded|Function', { type: 'decoded_code', via: 'Function' });
+      return Reflect.apply(target, thisArg, args);
+    },
+    construct(target, args, newTarget) {
+      if (isDecoded(args[args.length - 1])) reportOnce('decoded|Function', { type: 'decoded_code', via: 'Function' });
+      return Reflect.construct(target, args, newTarget);
+    }
+  });
+  window.Function = WrappedFunction;
+  // (function () {}).constructor reaches Function without the global
+  NativeFunction.prototype.constructor = WrappedFunction;
+
+  ['setTimeout', 'setInterval'].forEach((name) => {
+    const native = window[name];
+    window[name] = function (handler, ...rest) {
+      if (isDecoded(handler)) reportOnce(`decoded|${name}`, { type: 'decoded_code', via: name });
+      return native.call(this, handler, ...rest);
+    };
+  });
+
+  const SCRIPT_TAG_PATTERN = /<script\b[^>]*>/gi;
+
+  function reportScriptWrite(html) {
+    const tags = html.match(SCRIPT_TAG_PATTERN);
+    if (!tags) return;
+    const hosts = tags
+      .map((tag) => tag.match(/\bsrc\s*=\s*["']?([^"'\s>]+)/i)?.[1])
+      .filter(Boolean)
+      .map((src) => new URL(absoluteUrl(src)).hostname);
+    const decoded = isDecoded(html);
+    reportOnce(`write|${hosts.join(',')}|${decoded}`, {
+      type: 'document_write',
+      hosts: [...new Set(hosts)],
+      inline: hosts.length < tags.length,
+      decoded
+    });
+  }
+
+  ['write', 'writeln'].forEach((name) => {
+    const native = Document.prototype[name];
+    Document.prototype[name] = function (...markup) {
+      try {
+        reportScriptWrite(markup.join(''));
+      } catch {
+        // Never get in the way of the page's own write
+      }
+      return native.apply(this, markup);
+    };
+  });
+
+  function sensitiveFieldKind(element) {
+    if (!(element instanceof HTMLInputElement)) return null;
+    if (element.type === 'password') return 'password';
+    const autocomplete = element.autocomplete || '';
+    if (autocomplete.startsWith('cc-') || CARD_FIELD_PATTERN.test(`${element.name} ${element.id}`)) return 'card';
+    return null;
+  }
+
+  // Listening to keys in a password or card field, or to every key on the page. Both have
+  // harmless uses (caps lock warnings, shortcuts), so they are only evidence.
+  const nativeAddEventListener = EventTarget.prototype.addEventListener;
+  EventTarget.prototype.addEventListener = function addEventListener(type, ...rest) {
+    if (KEY_EVENTS.has(type)) {
+      const field = this === window || this === document ? 'page' : sensitiveFieldKind(this);
+      if (field) reportOnce(`keys|${field}`, { type: 'key_listener', field });
+    }
+    return nativeAddEventListener.call(this, type, ...rest);
+  };
+
+  nativeAddEventListener.call(
+    document,
+    'input',
+    (event) => {
+      const field = sensitiveFieldKind(event.target);
+      if (!field) return;
+      lastSensitiveInputAt = Date.now();
+      typedValues.set(event.target, { field, value: event.target.value });
+    },
+    true
+  );
+
+  function payloadText(body) {
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    if (body instanceof FormData) {
+      return [...body.entries()].map(([key, value]) => `${key}=${typeof value === 'string' ? value : ''}`).join('&');
+    }
+    return '';
+  }
+
+  function valueForms(value, field) {
+    const forms = [value, encodeURIComponent(value)];
+    try {
+      forms.push(btoa(value));
+    } catch {
+      // Not Latin-1, so not base64-encodable as is
+    }
+    // Card numbers are often sent without the spaces they were typed with
+    if (field === 'card') forms.push(value.replace(/[\s-]/g, ''));
+    return forms;
+  }
+
+  // Which kinds of typed value a request carries, if it goes to another origin
+  function findSentValues(url, body) {
+    const target = new URL(String(url), document.baseURI);
+    if (target.origin === location.origin || !/^https?:$/.test(target.protocol)) return null;
+
+    const payload = `${target.href} ${payloadText(body)}`;
+    const fields = new Set();
+    typedValues.forEach(({ field, value }) => {
+      if (value.length < MIN_MATCHED_VALUE_LENGTH) return;
+      if (valueForms(value, field).some((form) => payload.includes(form))) fields.add(field);
+    });
+    return fields.size > 0 ? { target, fields: [...fields] } : null;
+  }
+
+  function checkSend(api, url, body) {
+    if (typedValues.size === 0) return;
+    try {
+      const sent = findSentValues(url, body);
+      if (!sent) return;
+      reportOnce(`send|${api}|${sent.target.hostname}`, {
+        type: 'exfiltration',
+        api,
+        url: sent.target.origin,
+        fields: sent.fields,
+        whileTyping: Date.now() - lastSensitiveInputAt < TYPING_WINDOW_MS
+      });
+    } catch {
+      // Never get in the way of the page's own request
+    }
+  }
+
+  const nativeFetch = window.fetch;
+  window.fetch = function fetch(input, init) {
+    checkSend('fetch', input instanceof Request ? input.url : input, init?.body);
+    return nativeFetch.call(this, input, init);
+  };
+
+  const nativeOpen = XMLHttpRequest.prototype.open;
+  const nativeSend = XMLHttpRequest.prototype.send;
+  const requestUrls = new WeakMap();
+  XMLHttpRequest.prototype.open = function open(method, url, ...rest) {
+    requestUrls.set(this, url);
+    return nativeOpen.call(this, method, url, ...rest);
+  };
+  XMLHttpRequest.prototype.send = function send(body) {
+    checkSend('XMLHttpRequest', requestUrls.get(this), body);
+    return nativeSend.call(this, body);
+  };
+
+  if (navigator.sendBeacon) {
+    const nativeBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function sendBeacon(url, data) {
+      checkSend('sendBeacon', url, data);
+      return nativeBeacon.call(this, url, data);
+    };
+  }
+
+  // Tracking pixels: new Image().src = "https://collector/?d=..."
+  const imageSrc = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+  Object.defineProperty(HTMLImageElement.prototype, 'src', {
+    ...imageSrc,
+    set(value) {
+      checkSend('image', value, null);
+      imageSrc.set.call(this, value);
+    }
+  });
+
+  // --- Commands from the content script ------------------------------------------------------
+
+  function stopMiners({ moduleIds: modules = [], workerIds = [], socketIds = [], allWorkers = false }) {
+    let stoppedWorkers = 0;
+    workers.forEach((entry, id) => {
+      const offending = allWorkers || workerIds.includes(id) || modules.some((moduleId) => entry.moduleIds.has(moduleId));
+      if (!offending) return;
+      try {
+        // Shared workers can only be disconnected from this page
+        if (entry.kind === 'shared_worker') entry.worker.port.close();
+        else entry.worker.terminate();
+        stoppedWorkers++;
+      } catch {
+        // Already gone
+      }
+      workers.delete(id);
+    });
+
+    let closedSockets = 0;
+    socketIds.forEach((id) => {
+      const socket = sockets.get(id);
+      if (!socket) return;
+      socket.close();
+      sockets.delete(id);
+      closedSockets++;
+    });
+    report({ type: 'miners_stopped', workers: stoppedWorkers, sockets: closedSockets });
+  }
+
+  document.addEventListener(COMMAND_EVENT, (event) => {
+    let command;
+    try {
+      command = parse(event.detail);
+    } catch {
+      return;
+    }
+    if (command?.command === 'ready' && !listening) {
+      listening = true;
+      queue.splice(0).forEach(report);
+    } else if (command?.command === 'stop_miners') {
+      stopMiners(command);
+    }
+  });
+})();
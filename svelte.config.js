@@ -18,6 +18,11 @@ const config = {
 			emitTypes: false
 		}),
 		
+		// Modules in static/lib are shared by the background, the content script and the popup
+		alias: {
+			$ext: 'static/lib'
+		},
+
 		// Prevent files with underscore prefixes
 		appDir: 'app',
 		inlineStyleThreshold: 0,